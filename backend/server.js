@@ -1,298 +1,887 @@
 import express from 'express'
 import cors from 'cors'
 import dotenv from 'dotenv'
-import { readFileSync } from 'fs'
+import cron from 'node-cron'
+import { mkdirSync } from 'fs'
 import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
 import { FootballDataService } from './services/footballData.js'
 import MatchTrackerFD from './services/matchTrackerFD.js'
+import { computeSeasonStats } from './services/seasonStats.js'
+import RosterStore from './services/rosterStore.js'
+import ApiFootballService from './services/apiFootball.js'
+import ApiFootballProvider from './services/providers/apiFootballProvider.js'
+import { configureFixtures, getFixtureMode, isReplaying } from './services/fixtureRecorder.js'
+import WebhookService from './services/webhooks.js'
+import PushService from './services/pushNotifications.js'
+import { buildCalendar } from './services/calendar.js'
+import { findNotablePerformances, buildAtomFeed } from './services/feed.js'
+import { LEADERBOARD_STATS, LEADERBOARD_PERIODS, buildLeaderboard } from './services/leaderboards.js'
+import { buildDepthChart } from './services/depthChart.js'
+import { findMatchups } from './services/matchups.js'
+import { resolveReportWeek, isReportWeekInRange, buildWeeklyReport, renderMarkdown, renderHtml } from './services/weeklyReport.js'
+import ReportStore from './services/reportStore.js'
+import { buildSampleMatchData } from './services/demoData.js'
+import { buildShareCard, loadHeadshot, renderShareSvg, renderSharePng, renderSharePage } from './services/shareCard.js'
+import { loadNation, getSiteSlug } from './services/nation.js'
+import { readTimeZone, startOfLocalDay, toMatchday, toMatchdayEntry } from './services/matchday.js'
 
 dotenv.config()
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
 
+// Tracked nation (NATION=us|ca|mx, see data/nations.json) - roster, branding, caches, timezone
+const nation = loadNation(process.env.NATION)
+
 const app = express()
 const PORT = process.env.PORT || 3001
+// Where shared links send people (the frontend is hosted separately)
+const SITE_URL = (process.env.SITE_URL || nation.siteUrl || 'http://localhost:5173').replace(/\/$/, '')
+// This backend's public address, for absolute links it hands out (feed, share pages)
+const PUBLIC_API_URL = (process.env.PUBLIC_API_URL || `http://localhost:${PORT}`).replace(/\/$/, '')
+const FIXTURE_RANGE_MAX_DAYS = 31 // Widest ?from/?to window for /api/fixtures
 
 // Middleware
+// Only behind a reverse proxy (e.g. TRUST_PROXY=1 on Render): req.ip then comes from
+// X-Forwarded-For, which a directly exposed server must not believe - the per-IP rate limits
+// and push subscription caps would let clients pick their own IP
+if (process.env.TRUST_PROXY && process.env.TRUST_PROXY !== 'false') {
+  const hops = Number(process.env.TRUST_PROXY)
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY)
+}
 app.use(cors())
 app.use(express.json())
 app.use((req, res, next) => { res.set('Cache-Control', 'no-store'); next() })
 
-// Load players data
-const playersData = JSON.parse(
-  readFileSync(join(__dirname, 'data/players.json'), 'utf-8')
-)
+// Load roster (roster.json in the nation's cache directory, seeded from its roster file -
+// data/cache/roster.json and data/players.json for the US)
+const cacheDir = join(__dirname, 'data', nation.cacheDir)
+mkdirSync(cacheDir, { recursive: true })
+const roster = new RosterStore({
+  seedFile: join(__dirname, 'data', nation.roster),
+  rosterFile: join(cacheDir, 'roster.json'),
+  auditFile: join(cacheDir, 'rosterAudit.json'),
+  reseed: process.env.ROSTER_RESEED === 'true'
+})
+
+// Record or replay raw provider responses - PROVIDER_FIXTURES=record|replay
+// (recordings live in PROVIDER_FIXTURES_DIR, default data/fixtures)
+configureFixtures({
+  mode: process.env.PROVIDER_FIXTURES || 'off',
+  dir: process.env.PROVIDER_FIXTURES_DIR || join(__dirname, 'data/fixtures')
+})
 
 // Initialize services - Football-Data.org
 const footballDataKey = process.env.FOOTBALL_DATA_KEY || ''
 const apiService = new FootballDataService(footballDataKey)
-const matchTracker = new MatchTrackerFD(apiService)
-
-// Demo mode - use sample data when no API key
-const isDemoMode = !footballDataKey
+const matchTracker = new MatchTrackerFD(apiService, roster.getPlayers(), null, {
+  cacheDir,
+  manualStatsFile: nation.playerStats ? join(__dirname, 'data', nation.playerStats) : null,
+  timezone: nation.timezone
+})
+if (process.env.PROVIDER_FIXTURES_DATE) {
+  // Replay a recorded matchday as if it were today
+  matchTracker.matchday = process.env.PROVIDER_FIXTURES_DATE
+}
 
-// Helper to generate dates
-const daysAgo = (days) => {
-  const d = new Date()
-  d.setDate(d.getDate() - days)
-  return d.toISOString()
+// API-Football is an optional extra provider - list 'api-football' in data/providers.json to use it
+const apiFootballKey = process.env.API_FOOTBALL_KEY || ''
+if (apiFootballKey) {
+  const apiFootball = new ApiFootballService(apiFootballKey)
+  matchTracker.providers.register(new ApiFootballProvider(apiFootball, {
+    leagues: roster.getLeagues(),
+    teamMatches: (a, b) => matchTracker.teamMatches(a, b)
+  }))
 }
 
-// Sample match data for demo mode
-const sampleMatchData = {
-  1: { // Pulisic - live match today
-    fixtureId: 12345,
-    status: 'live',
-    homeTeam: 'AC Milan',
-    awayTeam: 'Inter',
-    homeScore: 2,
-    awayScore: 1,
-    minute: 67,
-    isHome: true,
-    participated: true,
-    minutesPlayed: 67,
-    started: true,
-    events: [
-      { type: 'goal', minute: 23 },
-      { type: 'assist', minute: 55 }
-    ],
-    lastGame: {
-      date: daysAgo(7),
-      homeTeam: 'Roma',
-      awayTeam: 'AC Milan',
-      homeScore: 1,
-      awayScore: 2,
-      isHome: false,
-      participated: true,
-      minutesPlayed: 90,
-      started: true,
-      events: [{ type: 'goal', minute: 78 }]
-    }
+// Hot-reload the tracker whenever the roster is edited through the API
+roster.on('change', players => matchTracker.setPlayers(players))
+
+// Outbound webhooks for match events (goals, assists, red cards, starting XI...)
+const webhooks = new WebhookService(join(cacheDir, 'webhooks.json'), { getLeagues: () => roster.getLeagues() })
+matchTracker.on('events', events => webhooks.dispatch(events))
+
+// Web Push notifications for followed players
+const push = new PushService({
+  subscriptionsFile: join(cacheDir, 'pushSubscriptions.json'),
+  vapidFile: join(cacheDir, 'vapid.json'),
+  vapid: {
+    publicKey: process.env.VAPID_PUBLIC_KEY,
+    privateKey: process.env.VAPID_PRIVATE_KEY,
+    subject: process.env.VAPID_SUBJECT
   },
-  6: { // Antonee Robinson - live match
-    fixtureId: 12346,
-    status: 'live',
-    homeTeam: 'Fulham',
-    awayTeam: 'Chelsea',
-    homeScore: 1,
-    awayScore: 1,
-    minute: 82,
-    isHome: true,
-    participated: true,
-    minutesPlayed: 82,
-    started: true,
-    events: [],
-    lastGame: {
-      date: daysAgo(4),
-      homeTeam: 'Fulham',
-      awayTeam: 'Arsenal',
-      homeScore: 0,
-      awayScore: 3,
-      isHome: true,
-      participated: true,
-      minutesPlayed: 90,
-      started: true,
-      events: []
+  // Development only: accept http:// and localhost endpoints (a local stand-in push service)
+  allowLocalEndpoints: process.env.PUSH_ALLOW_LOCAL_ENDPOINTS === 'true'
+})
+matchTracker.on('events', events => push.dispatch(events))
+
+// Weekly roundups, saved every Monday (WEEKLY_REPORT_CRON, in WEEKLY_REPORT_TZ)
+const reports = new ReportStore(join(cacheDir, 'reports'))
+const weeklyReportCron = process.env.WEEKLY_REPORT_CRON || '0 9 * * 1'
+const weeklyReportTimezone = process.env.WEEKLY_REPORT_TZ || nation.timezone
+
+// Admin keys for roster editing - ADMIN_API_KEYS="name:key,name2:key2"
+// The name is recorded in the roster audit log as the author of each change
+const adminKeys = new Map(
+  (process.env.ADMIN_API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim().split(':'))
+    .filter(([name, key]) => name && key)
+    .map(([name, key]) => [key, name])
+)
+
+// Require a valid admin key (Authorization: Bearer <key>)
+const requireAdmin = (req, res, next) => {
+  if (adminKeys.size === 0) {
+    return res.status(503).json({ error: 'Roster editing is disabled - set ADMIN_API_KEYS to enable it' })
+  }
+  const auth = req.get('Authorization') || ''
+  const key = auth.startsWith('Bearer ') ? auth.slice(7).trim() : null
+  if (!key || !adminKeys.has(key)) {
+    return res.status(401).json({ error: 'Invalid or missing admin key' })
+  }
+  req.adminUser = adminKeys.get(key)
+  next()
+}
+
+// Allow each client (by IP) `max` requests per `windowMs` on a route
+const rateLimit = ({ windowMs, max }) => {
+  const hits = new Map() // ip -> { count, resetAt }
+  return (req, res, next) => {
+    const now = Date.now()
+    if (hits.size > 10000) {
+      for (const [ip, entry] of hits) if (entry.resetAt <= now) hits.delete(ip)
     }
-  },
-  5: { // Giovanni Reyna - finished match today
-    fixtureId: 12347,
-    status: 'finished',
-    homeTeam: 'Borussia Monchengladbach',
-    awayTeam: 'Bayern Munich',
-    homeScore: 0,
-    awayScore: 2,
-    minute: 90,
-    isHome: true,
-    participated: true,
-    minutesPlayed: 25,
-    started: false,
-    events: [
-      { type: 'sub_in', minute: 65 }
-    ],
-    lastGame: {
-      date: daysAgo(6),
-      homeTeam: 'Wolfsburg',
-      awayTeam: 'Borussia Monchengladbach',
-      homeScore: 1,
-      awayScore: 1,
-      isHome: false,
-      participated: true,
-      minutesPlayed: 70,
-      started: true,
-      events: [{ type: 'sub_out', minute: 70 }]
+    let entry = hits.get(req.ip)
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs }
+      hits.set(req.ip, entry)
     }
-  },
-  16: { // Ricardo Pepi - upcoming match today
-    fixtureId: 12348,
-    status: 'upcoming',
-    homeTeam: 'PSV',
-    awayTeam: 'Ajax',
-    homeScore: 0,
-    awayScore: 0,
-    minute: 0,
-    isHome: true,
-    participated: false,
-    minutesPlayed: 0,
-    started: false,
-    events: [],
-    kickoff: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(),
-    lastGame: {
-      date: daysAgo(3),
-      homeTeam: 'PSV',
-      awayTeam: 'Feyenoord',
-      homeScore: 2,
-      awayScore: 0,
-      isHome: true,
-      participated: true,
-      minutesPlayed: 90,
-      started: true,
-      events: [{ type: 'goal', minute: 34 }, { type: 'goal', minute: 67 }]
+    entry.count++
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)))
+      return res.status(429).json({ error: 'Too many requests - try again later' })
     }
-  },
-  2: { // McKennie - live match
-    fixtureId: 12349,
-    status: 'live',
-    homeTeam: 'Juventus',
-    awayTeam: 'Napoli',
-    homeScore: 1,
-    awayScore: 0,
-    minute: 34,
-    isHome: true,
-    participated: true,
-    minutesPlayed: 34,
-    started: true,
-    events: [
-      { type: 'yellow', minute: 28 }
-    ],
-    lastGame: {
-      date: daysAgo(5),
-      homeTeam: 'Juventus',
-      awayTeam: 'Torino',
-      homeScore: 2,
-      awayScore: 0,
-      isHome: true,
-      participated: true,
-      minutesPlayed: 85,
-      started: true,
-      events: [{ type: 'assist', minute: 44 }, { type: 'sub_out', minute: 85 }]
+    next()
+  }
+}
+
+// Auto-apply transfers detected from FotMob profiles (ROSTER_AUTO_APPLY=true)
+// Otherwise discrepancies are only reported at /api/roster/discrepancies
+const autoApplyTransfers = process.env.ROSTER_AUTO_APPLY === 'true'
+
+// Roster league for a detected transfer: a tracked teammate's at the new club, otherwise
+// FotMob's league for the player when it's one we track. Null when it can't be resolved.
+const resolveTransferLeague = (discrepancy) => {
+  const teammate = roster.getPlayers().find(p =>
+    p.id !== discrepancy.playerId && matchTracker.teamMatches(discrepancy.fotmobTeam, p.team))
+  if (teammate) return teammate.league
+  const fotmobLeague = discrepancy.fotmobLeague?.toLowerCase()
+  return roster.getLeagues().find(l => l.name.toLowerCase() === fotmobLeague)?.name || null
+}
+
+// Check roster teams against FotMob and optionally apply detected transfers. Transfers whose
+// new league can't be resolved are only reported - applying them would leave the old league.
+// A check that's already running is shared rather than started again.
+let transferCheck = null
+const checkForTransfers = () => {
+  transferCheck ??= runTransferCheck().finally(() => { transferCheck = null })
+  return transferCheck
+}
+
+const runTransferCheck = async () => {
+  const result = await matchTracker.checkRosterDiscrepancies()
+  for (const discrepancy of result.discrepancies) {
+    discrepancy.resolvedLeague = resolveTransferLeague(discrepancy)
+    if (!autoApplyTransfers) continue
+    if (!discrepancy.resolvedLeague) {
+      discrepancy.applied = false
+      console.log(`Not applying transfer for ${discrepancy.name}: ${discrepancy.fotmobTeam}'s league isn't tracked`)
+      continue
     }
-  },
-  12: { // Balogun - upcoming match
-    fixtureId: 12350,
-    status: 'upcoming',
-    homeTeam: 'AS Monaco',
-    awayTeam: 'PSG',
-    homeScore: 0,
-    awayScore: 0,
-    minute: 0,
-    isHome: true,
-    participated: false,
-    minutesPlayed: 0,
-    started: false,
-    events: [],
-    kickoff: new Date(Date.now() + 4 * 60 * 60 * 1000).toISOString(),
-    lastGame: {
-      date: daysAgo(8),
-      homeTeam: 'Lyon',
-      awayTeam: 'AS Monaco',
-      homeScore: 1,
-      awayScore: 3,
-      isHome: false,
-      participated: true,
-      minutesPlayed: 72,
-      started: true,
-      events: [{ type: 'goal', minute: 23 }, { type: 'sub_out', minute: 72 }]
+    try {
+      roster.updatePlayer(discrepancy.playerId, {
+        team: discrepancy.fotmobTeam,
+        league: discrepancy.resolvedLeague
+      }, 'transfer-detector')
+      discrepancy.applied = true
+    } catch (error) {
+      discrepancy.applied = false
+      console.error(`Could not apply transfer for ${discrepancy.name}:`, error.message)
     }
-  },
-  // Players with no match today but have last game data
-  7: { // Tyler Adams - no match today
-    status: 'no_match_today',
-    lastGame: {
-      date: daysAgo(2),
-      homeTeam: 'Bournemouth',
-      awayTeam: 'Liverpool',
-      homeScore: 0,
-      awayScore: 4,
-      isHome: true,
-      participated: true,
-      minutesPlayed: 90,
-      started: true,
-      events: [{ type: 'yellow', minute: 56 }]
+  }
+  return result
+}
+
+// Send a roster/webhook error (validation, not found, duplicate) as JSON
+const sendServiceError = (res, error) => {
+  if (error.name === 'RosterError' || error.name === 'WebhookError' || error.name === 'PushError') {
+    return res.status(error.status).json({ error: error.message, details: error.details || undefined })
+  }
+  res.status(500).json({ error: error.message })
+}
+
+// Players picked by ?players=1,2 and/or ?league=serie_a,Ligue 1 (league ids or names).
+// Returns { players }, or { error } for an unknown league.
+const selectPlayers = (query) => {
+  let players = roster.getPlayers()
+  if (query.players) {
+    const ids = query.players.split(',').map(id => parseInt(id))
+    players = players.filter(p => ids.includes(p.id))
+  }
+  if (query.league) {
+    const leagues = roster.getLeagues()
+    const names = []
+    for (const league of query.league.split(',')) {
+      const match = leagues.find(l => l.id === league || l.name === league)
+      if (!match) return { error: `Unknown league: ${league}` }
+      names.push(match.name)
     }
-  },
-  3: { // Yunus Musah - no match today
-    status: 'no_match_today',
-    lastGame: {
-      date: daysAgo(10),
-      homeTeam: 'Atalanta',
-      awayTeam: 'Udinese',
-      homeScore: 3,
-      awayScore: 1,
-      isHome: true,
-      participated: true,
-      minutesPlayed: 15,
-      started: false,
-      events: [{ type: 'sub_in', minute: 75 }]
+    players = players.filter(p => names.includes(p.league))
+  }
+  return { players }
+}
+
+// Demo mode - use sample data when no API key (replays run the live tracker without one)
+const isDemoMode = !footballDataKey && !isReplaying()
+
+// Sample match data for demo mode, for the active roster (rebuilt when the roster is edited)
+let sampleMatchData = buildSampleMatchData(roster.getPlayers())
+roster.on('change', players => { sampleMatchData = buildSampleMatchData(players) })
+
+// Upcoming sample matches in the fixture schedule's shape (one fixture per match, with its players)
+const getDemoFixtures = (players) => {
+  const fixtures = new Map()
+  for (const player of players) {
+    const match = sampleMatchData[player.id]
+    if (match?.status !== 'upcoming') continue
+    if (!fixtures.has(match.fixtureId)) {
+      fixtures.set(match.fixtureId, {
+        id: match.fixtureId,
+        provider: 'demo',
+        kickoff: match.kickoff,
+        homeTeam: match.homeTeam,
+        awayTeam: match.awayTeam,
+        status: match.status,
+        sequence: 0,
+        teams: [player.team],
+        players: []
+      })
     }
-  },
-  4: { // Timothy Weah - no match today, didn't play last game
-    status: 'no_match_today',
-    lastGame: {
-      date: daysAgo(5),
-      homeTeam: 'Juventus',
-      awayTeam: 'Torino',
-      homeScore: 2,
-      awayScore: 0,
-      isHome: true,
-      participated: false,
-      minutesPlayed: 0,
-      started: false,
-      events: []
+    fixtures.get(match.fixtureId).players.push({ ...player, isHome: match.isHome })
+  }
+  return [...fixtures.values()].sort((a, b) => new Date(a.kickoff) - new Date(b.kickoff))
+}
+
+// Stand-in appearance history for demo mode: each sample player's last game plus today's finished match
+const getDemoAppearances = (playerId) => {
+  const match = sampleMatchData[playerId]
+  if (!match) return []
+  return [
+    match.status === 'finished' ? { ...match, date: match.kickoff || new Date().toISOString() } : null,
+    match.lastGame ? { ...match.lastGame, status: 'finished' } : null
+  ].filter(Boolean)
+}
+
+// Stored match history for a player (sample games in demo mode)
+const getStoredAppearances = playerId => isDemoMode ?
+  getDemoAppearances(playerId) :
+  matchTracker.appearances.getPlayerAppearances(playerId)
+
+// Date of the earliest stored appearance of any tracked player, or null
+const getFirstAppearanceDate = () => {
+  let first = Infinity
+  for (const player of roster.getPlayers()) {
+    for (const appearance of getStoredAppearances(player.id)) {
+      const time = new Date(appearance.date).getTime()
+      if (time < first) first = time
     }
   }
+  return first === Infinity ? null : new Date(first)
+}
+
+// Build a week's roundup from the stored history, saving it once the week is over. Only the
+// Monday job and an admin ?refresh=true call this; other report requests never write.
+const generateWeeklyReport = (week) => {
+  const report = buildWeeklyReport(roster.getPlayers(), getStoredAppearances, week)
+  if (week.end <= new Date() && !isDemoMode) reports.save(report)
+  return report
+}
+
+// A player's live or finished match by fixture ID: today's, the last game, or one from stored history
+const findSharedMatch = (playerId, fixtureId) => {
+  const data = (isDemoMode ? sampleMatchData : matchTracker.getAllMatchData())[playerId]
+  const isFixture = match => match?.fixtureId && String(match.fixtureId) === String(fixtureId)
+  if (isFixture(data) && (data.status === 'live' || data.status === 'finished')) {
+    return { ...data, date: data.kickoff || data.date }
+  }
+  if (isFixture(data?.lastGame)) return { ...data.lastGame, status: 'finished' }
+  return isDemoMode ? null : matchTracker.appearances.findByFixture(playerId, fixtureId)
+}
+
+// Start of a ?from/?to value: YYYY-MM-DD is a whole day in `timeZone` (UTC without one, and
+// ?to includes it), anything else is parsed as a timestamp. Returns null when it isn't a date.
+const parseRangeParam = (value, { endOfDay = false, timeZone = null } = {}) => {
+  const date = new Date(value)
+  if (isNaN(date)) return null
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return date
+  if (endOfDay) date.setUTCDate(date.getUTCDate() + 1)
+  return timeZone ? startOfLocalDay(date.toISOString().split('T')[0], timeZone) : date
 }
 
 // Routes
 
 // Get all players
 app.get('/api/players', (req, res) => {
-  res.json(playersData.players)
+  res.json(roster.getPlayers())
+})
+
+// Add a player to the roster
+app.post('/api/players', requireAdmin, (req, res) => {
+  try {
+    const player = roster.addPlayer(req.body, req.adminUser)
+    res.status(201).json({ success: true, player })
+  } catch (error) {
+    sendServiceError(res, error)
+  }
+})
+
+// Update a player (e.g. transfer: { "team": "Toronto FC", "league": "MLS" })
+app.patch('/api/players/:id', requireAdmin, (req, res) => {
+  try {
+    const player = roster.updatePlayer(parseInt(req.params.id, 10), req.body, req.adminUser)
+    res.json({ success: true, player })
+  } catch (error) {
+    sendServiceError(res, error)
+  }
+})
+
+// Remove a player from the roster
+app.delete('/api/players/:id', requireAdmin, (req, res) => {
+  try {
+    const player = roster.removePlayer(parseInt(req.params.id, 10), req.adminUser)
+    res.json({ success: true, player })
+  } catch (error) {
+    sendServiceError(res, error)
+  }
+})
+
+// Roster change history (who changed what)
+app.get('/api/roster/audit', requireAdmin, (req, res) => {
+  const limit = parseInt(req.query.limit, 10) || 100
+  res.json({ entries: roster.getAuditLog(limit) })
+})
+
+// Get a player's stored appearance history (every match the tracker has observed)
+app.get('/api/players/:id/appearances', (req, res) => {
+  const playerId = parseInt(req.params.id, 10)
+  const player = roster.getPlayer(playerId)
+  if (!player) {
+    return res.status(404).json({ error: 'Player not found' })
+  }
+
+  const appearances = matchTracker.appearances.getPlayerAppearances(playerId)
+  res.json({
+    playerId,
+    count: appearances.length,
+    appearances
+  })
+})
+
+// Everything the player page needs: roster bio, every stored match and the next fixtures
+app.get('/api/players/:id/profile', async (req, res) => {
+  const playerId = parseInt(req.params.id, 10)
+  const player = roster.getPlayer(playerId)
+  if (!player) {
+    return res.status(404).json({ error: 'Player not found' })
+  }
+
+  if (isDemoMode) {
+    const sample = sampleMatchData[playerId]
+    const today = sample && (sample.status === 'live' || sample.status === 'finished') ?
+      { ...sample, date: sample.kickoff || new Date().toISOString() } : null
+    return res.json({
+      mode: 'demo',
+      player,
+      matches: [today, sample?.lastGame].filter(Boolean),
+      nextFixtures: sample?.status === 'upcoming' ? [{
+        fixtureId: sample.fixtureId,
+        kickoff: sample.kickoff,
+        homeTeam: sample.homeTeam,
+        awayTeam: sample.awayTeam,
+        isHome: sample.isHome
+      }] : []
+    })
+  }
+
+  try {
+    const matches = await matchTracker.getPlayerMatchLog(player)
+    res.json({
+      mode: 'live',
+      player,
+      matches,
+      nextFixtures: matchTracker.getPlayerNextFixtures(player)
+    })
+  } catch (error) {
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Get a player's current-season aggregate, split by competition type
+app.get('/api/players/:id/season', (req, res) => {
+  const playerId = parseInt(req.params.id, 10)
+  const player = roster.getPlayer(playerId)
+  if (!player) {
+    return res.status(404).json({ error: 'Player not found' })
+  }
+
+  const appearances = matchTracker.appearances.getPlayerAppearances(playerId)
+  res.json({
+    playerId,
+    ...computeSeasonStats(player, appearances)
+  })
+})
+
+// Players whose roster team differs from their FotMob profile (likely transfers), from the last
+// scheduled check. ?refresh=true re-checks every player now (and applies transfers with
+// ROSTER_AUTO_APPLY), so it needs an admin key.
+const requireAdminToRefresh = (req, res, next) => req.query.refresh === 'true' ? requireAdmin(req, res, next) : next()
+
+app.get('/api/roster/discrepancies', rateLimit({ windowMs: 60 * 1000, max: 30 }), requireAdminToRefresh, async (req, res) => {
+  if (isDemoMode) {
+    return res.json({ mode: 'demo', checkedAt: null, discrepancies: [] })
+  }
+
+  try {
+    const result = req.query.refresh === 'true'
+      ? await checkForTransfers()
+      : matchTracker.rosterDiscrepancies || { checkedAt: null, discrepancies: [] }
+    res.json({ autoApply: autoApplyTransfers, ...result })
+  } catch (error) {
+    res.status(500).json({ error: error.message })
+  }
 })
 
 // Get all leagues
 app.get('/api/leagues', (req, res) => {
-  res.json(playersData.leagues)
+  res.json(roster.getLeagues())
 })
 
-// Get match data for all players
+// Get match data for all players. ?tz= re-buckets "today" for the viewer's timezone.
 app.get('/api/matches', (req, res) => {
+  const { timeZone, error } = readTimeZone(req.query)
+  if (error) return res.status(400).json({ error })
+
   if (isDemoMode) {
     res.json({
       mode: 'demo',
       message: 'Running in demo mode with sample data. Set API_FOOTBALL_KEY to enable live data.',
-      data: sampleMatchData
+      data: timeZone ? toMatchday(sampleMatchData, timeZone) : sampleMatchData
     })
   } else {
     const liveData = matchTracker.getAllMatchData()
     res.json({
       mode: 'live',
-      data: liveData
+      data: timeZone ? toMatchday(liveData, timeZone) : liveData
+    })
+  }
+})
+
+// Webhooks (admin) - POST { url, format: json|slack|discord, secret?, description?,
+// filters: { players: [ids], leagues: [ids or names], events: [types], lineupStatuses: [...] } }
+app.get('/api/webhooks', requireAdmin, (req, res) => {
+  res.json(webhooks.list())
+})
+
+app.post('/api/webhooks', requireAdmin, (req, res) => {
+  try {
+    // The secret is only returned here - store it to verify X-Webhook-Signature
+    const webhook = webhooks.add(req.body, req.adminUser)
+    res.status(201).json({ success: true, webhook })
+  } catch (error) {
+    sendServiceError(res, error)
+  }
+})
+
+app.patch('/api/webhooks/:id', requireAdmin, (req, res) => {
+  try {
+    res.json({ success: true, webhook: webhooks.update(req.params.id, req.body) })
+  } catch (error) {
+    sendServiceError(res, error)
+  }
+})
+
+app.delete('/api/webhooks/:id', requireAdmin, (req, res) => {
+  try {
+    res.json({ success: true, webhook: webhooks.remove(req.params.id) })
+  } catch (error) {
+    sendServiceError(res, error)
+  }
+})
+
+// Send a sample event to a webhook and report the result
+app.post('/api/webhooks/:id/test', requireAdmin, async (req, res) => {
+  try {
+    const player = roster.getPlayer(parseInt(req.body?.playerId, 10)) || roster.getPlayers()[0]
+    const delivery = await webhooks.sendTest(req.params.id, player)
+    res.json({ success: !delivery.error, delivery })
+  } catch (error) {
+    sendServiceError(res, error)
+  }
+})
+
+app.get('/api/webhooks/:id/deliveries', requireAdmin, (req, res) => {
+  try {
+    res.json(webhooks.getDeliveries(req.params.id))
+  } catch (error) {
+    sendServiceError(res, error)
+  }
+})
+
+// Web Push - public VAPID key for PushManager.subscribe()
+app.get('/api/push/vapid-public-key', (req, res) => {
+  res.json({ publicKey: push.getPublicKey() })
+})
+
+// Subscribe (or update) - { subscription, players: [ids], events?: [types] }
+app.post('/api/push/subscribe', rateLimit({ windowMs: 60 * 1000, max: 20 }), (req, res) => {
+  const { subscription, players, events } = req.body || {}
+  try {
+    push.subscribe(subscription, players, events, req.ip)
+    res.status(201).json({ success: true, players })
+  } catch (error) {
+    sendServiceError(res, error)
+  }
+})
+
+app.post('/api/push/unsubscribe', (req, res) => {
+  const removed = push.unsubscribe(req.body?.endpoint)
+  res.json({ success: removed })
+})
+
+// Send a test notification to a subscribed endpoint (admin)
+app.post('/api/push/test', requireAdmin, async (req, res) => {
+  try {
+    const status = await push.sendTest(req.body?.endpoint)
+    if (status === null) return res.status(404).json({ error: 'Subscription not found' })
+    res.json({ success: true, status })
+  } catch (error) {
+    if (error.name === 'PushError') return sendServiceError(res, error)
+    res.status(502).json({ error: error.message })
+  }
+})
+
+// Match event log - ?since=<event id or ISO timestamp>&types=goal,assist&players=1,2&limit=
+app.get('/api/events', (req, res) => {
+  if (isDemoMode) {
+    return res.json({ mode: 'demo', events: [], lastId: 0 })
+  }
+  const limit = Math.min(parseInt(req.query.limit) || 200, 1000)
+  const types = req.query.types ? req.query.types.split(',') : null
+  const playerIds = req.query.players ? req.query.players.split(',').map(id => parseInt(id)) : null
+  try {
+    const events = matchTracker.eventLog.getSince(req.query.since, { limit, types, playerIds })
+    res.json({ mode: 'live', events, lastId: matchTracker.eventLog.lastId })
+  } catch (error) {
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Upcoming fixtures as an iCalendar feed to subscribe to
+// ?players=1,2 limits to some players, ?league=serie_a (id or name, comma separated) to leagues
+app.get('/api/calendar.ics', (req, res) => {
+  const { players, error } = selectPlayers(req.query)
+  if (error) return res.status(400).json({ error })
+
+  const fixtures = isDemoMode ? getDemoFixtures(players) : matchTracker.getUpcomingFixtures(players)
+
+  const calendar = buildCalendar(fixtures, {
+    name: players.length === 1 ? `${players[0].name} - ${nation.siteName}` : nation.siteName,
+    description: `Upcoming games of ${nation.demonym} players abroad`,
+    siteName: nation.siteName,
+    uidDomain: getSiteSlug(nation)
+  })
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${getSiteSlug(nation)}.ics"`
+  })
+  res.send(calendar)
+})
+
+// Fixtures kicking off between ?from and ?to (default: the next 7 days), with the tracked
+// players in each - players from the same match share one fixture. Takes ?players and ?league
+// like the calendar. Range is capped at FIXTURE_RANGE_MAX_DAYS.
+app.get('/api/fixtures', (req, res) => {
+  const { players, error } = selectPlayers(req.query)
+  if (error) return res.status(400).json({ error })
+
+  const { timeZone, error: tzError } = readTimeZone(req.query)
+  if (tzError) return res.status(400).json({ error: tzError })
+
+  const from = req.query.from ? parseRangeParam(req.query.from, { timeZone }) : new Date()
+  if (!from) return res.status(400).json({ error: `Invalid from date: ${req.query.from}` })
+  const to = req.query.to ?
+    parseRangeParam(req.query.to, { endOfDay: true, timeZone }) :
+    new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000)
+  if (!to) return res.status(400).json({ error: `Invalid to date: ${req.query.to}` })
+  if (to <= from) return res.status(400).json({ error: 'to must be after from' })
+  if (to - from > FIXTURE_RANGE_MAX_DAYS * 24 * 60 * 60 * 1000) {
+    return res.status(400).json({ error: `Date range is limited to ${FIXTURE_RANGE_MAX_DAYS} days` })
+  }
+
+  const upcoming = isDemoMode ? getDemoFixtures(players) : matchTracker.getUpcomingFixtures(players)
+  const fixtures = upcoming
+    .filter(f => new Date(f.kickoff) >= from && new Date(f.kickoff) < to)
+    .map(f => ({
+      id: f.id,
+      provider: f.provider,
+      kickoff: f.kickoff,
+      homeTeam: f.homeTeam,
+      awayTeam: f.awayTeam,
+      competition: f.competition || '',
+      venue: f.venue || '',
+      status: f.status,
+      players: f.players.map(p => ({
+        id: p.id,
+        name: p.name,
+        team: p.team,
+        position: p.position,
+        image: p.image,
+        isHome: p.isHome ?? matchTracker.teamMatches(f.homeTeam, p.team)
+      }))
+    }))
+
+  res.json({
+    mode: isDemoMode ? 'demo' : 'live',
+    from: from.toISOString(),
+    to: to.toISOString(),
+    fixtures
+  })
+})
+
+// Players ranked by ?stat (goals, assists, contributions, minutes, starts, rating) over
+// ?period=season|30d, from stored appearances. Takes ?league and ?players like the calendar;
+// ?limit caps the entries (default 25, max 100).
+app.get('/api/leaderboards', (req, res) => {
+  const stat = req.query.stat || 'goals'
+  const period = req.query.period || 'season'
+  if (!LEADERBOARD_STATS[stat]) {
+    return res.status(400).json({ error: `Unknown stat: ${stat}`, details: { stats: Object.keys(LEADERBOARD_STATS) } })
+  }
+  if (!LEADERBOARD_PERIODS.includes(period)) {
+    return res.status(400).json({ error: `Unknown period: ${period}`, details: { periods: LEADERBOARD_PERIODS } })
+  }
+  const { players, error } = selectPlayers(req.query)
+  if (error) return res.status(400).json({ error })
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 100)
+  res.json({
+    mode: isDemoMode ? 'demo' : 'live',
+    ...buildLeaderboard(players, getStoredAppearances, { stat, period, limit })
+  })
+})
+
+// National team depth chart: players grouped by position (GK, CB, FB, DM/CM, AM/W, ST) and
+// ordered by recent club minutes share, starts and rating, each marked regular/rotation/bench
+app.get('/api/depth-chart', (req, res) => {
+  res.json({
+    mode: isDemoMode ? 'demo' : 'live',
+    ...buildDepthChart(roster.getPlayers(), getStoredAppearances)
+  })
+})
+
+// "Americans vs Americans" (or the tracked nation's equivalent): today's matches and next games with tracked players on both sides
+app.get('/api/matchups', (req, res) => {
+  const { timeZone, error } = readTimeZone(req.query)
+  if (error) return res.status(400).json({ error })
+
+  const allMatchData = isDemoMode ? sampleMatchData : matchTracker.getAllMatchData()
+  res.json({
+    mode: isDemoMode ? 'demo' : 'live',
+    matchups: findMatchups(roster.getPlayers(), timeZone ? toMatchday(allMatchData, timeZone) : allMatchData, {
+      teamMatches: (apiTeamName, ourTeamName) => matchTracker.teamMatches(apiTeamName, ourTeamName)
     })
+  })
+})
+
+// Weekly roundup for ?week=2025-W10 (or any date in the week; default the last completed week).
+// Finished weeks come from the stored report when there is one; other weeks are built on the
+// fly but not saved, and must lie between the first stored appearance and now. ?refresh=true
+// rebuilds and saves a finished week, so it needs an admin key. ?format=markdown|html renders
+// it; JSON otherwise.
+app.get('/api/reports/weekly', requireAdminToRefresh, (req, res) => {
+  const week = resolveReportWeek(req.query.week)
+  if (!week) {
+    return res.status(400).json({ error: `Invalid week: ${req.query.week} (use 2025-W10 or 2025-03-08)` })
+  }
+  const format = req.query.format || 'json'
+  if (!['json', 'markdown', 'html'].includes(format)) {
+    return res.status(400).json({ error: `Unknown format: ${format}`, details: { formats: ['json', 'markdown', 'html'] } })
+  }
+
+  let report = req.query.refresh === 'true' ? null : reports.get(week.id)
+  if (!report) {
+    if (!isReportWeekInRange(week, getFirstAppearanceDate())) {
+      return res.status(400).json({ error: `No report for ${week.id} - weeks run from the first stored appearance until now` })
+    }
+    report = req.query.refresh === 'true' ?
+      generateWeeklyReport(week) :
+      buildWeeklyReport(roster.getPlayers(), getStoredAppearances, week)
+  }
+  if (format === 'markdown') {
+    res.type('text/markdown; charset=utf-8').send(renderMarkdown(report, { siteName: nation.siteName }))
+  } else if (format === 'html') {
+    res.type('text/html; charset=utf-8').send(renderHtml(report, { siteName: nation.siteName }))
+  } else {
+    res.json({ mode: isDemoMode ? 'demo' : 'live', ...report })
+  }
+})
+
+// Weeks with a stored report, newest first
+app.get('/api/reports', (req, res) => {
+  res.json({ weekly: reports.list() })
+})
+
+// Atom feed of notable performances (goals, assists, ratings of 8+, debuts, red cards)
+// from last games and today's matches. ?players=1,2 limits it to some players.
+app.get('/api/feed.xml', (req, res) => {
+  let players = roster.getPlayers()
+  if (req.query.players) {
+    const ids = req.query.players.split(',').map(id => parseInt(id))
+    players = players.filter(p => ids.includes(p.id))
+  }
+
+  const performances = isDemoMode ?
+    findNotablePerformances(players, sampleMatchData) :
+    findNotablePerformances(players, matchTracker.getAllMatchData(), id => matchTracker.appearances.getPlayerAppearances(id))
+  const feed = buildAtomFeed(performances, {
+    title: players.length === 1 ? `${players[0].name} - ${nation.siteName}` : nation.siteName,
+    subtitle: `${nation.demonym} players abroad`,
+    siteName: nation.siteName,
+    feedId: `urn:${getSiteSlug(nation)}:performances`,
+    selfUrl: `${PUBLIC_API_URL}${req.originalUrl}`
+  })
+  res.set('Content-Type', 'application/atom+xml; charset=utf-8')
+  res.send(feed)
+})
+
+// Share card headshots: data/headshots/<nation>/<playerId>.png (or .jpg, .webp), optional
+const headshotsDir = join(__dirname, 'data/headshots', nation.id)
+
+// Rendered PNGs of finished matches by playerId/fixtureId - they no longer change, and
+// rasterizing is the expensive part. The oldest is dropped past SHARE_PNG_CACHE_SIZE.
+const sharePngCache = new Map()
+const SHARE_PNG_CACHE_SIZE = 200
+
+// Share card image for a player's match: /api/share/1/12345.png (or .svg), 1200x630.
+// Live matches aren't cached since the score and minutes keep changing.
+app.get('/api/share/:playerId/:fixtureId.:format', rateLimit({ windowMs: 60 * 1000, max: 30 }), async (req, res) => {
+  const { fixtureId, format } = req.params
+  if (!['png', 'svg'].includes(format)) {
+    return res.status(400).json({ error: `Unknown format: ${format}`, details: { formats: ['png', 'svg'] } })
   }
+  const player = roster.getPlayer(parseInt(req.params.playerId))
+  const match = player && findSharedMatch(player.id, fixtureId)
+  if (!match) {
+    return res.status(404).json({ error: 'No live or finished match found for that player and fixture' })
+  }
+
+  try {
+    const card = buildShareCard(player, match)
+    const cacheKey = `${player.id}/${fixtureId}`
+    res.set('Cache-Control', card.status === 'live' ? 'no-store' : 'public, max-age=3600')
+    if (format === 'png' && card.status === 'finished' && sharePngCache.has(cacheKey)) {
+      return res.type('image/png').send(sharePngCache.get(cacheKey))
+    }
+
+    const svg = renderShareSvg(card, { headshot: loadHeadshot(headshotsDir, player.id), siteName: nation.siteName })
+    if (format === 'svg') {
+      res.type('image/svg+xml').send(svg)
+    } else {
+      const png = renderSharePng(svg)
+      if (card.status === 'finished') {
+        sharePngCache.set(cacheKey, png)
+        if (sharePngCache.size > SHARE_PNG_CACHE_SIZE) sharePngCache.delete(sharePngCache.keys().next().value)
+      }
+      res.type('image/png').send(png)
+    }
+  } catch (error) {
+    console.error(`Error rendering share card ${player.id}/${fixtureId}:`, error)
+    res.status(500).json({ error: 'Failed to render share card', details: error.message })
+  }
+})
+
+// Shareable link for a player's match: Open Graph / Twitter tags pointing at the share card
+// for link previews, then a redirect to the player's page on the site
+app.get('/api/share/:playerId/:fixtureId', (req, res) => {
+  const { fixtureId } = req.params
+  const player = roster.getPlayer(parseInt(req.params.playerId))
+  const match = player && findSharedMatch(player.id, fixtureId)
+  if (!match) {
+    return res.status(404).json({ error: 'No live or finished match found for that player and fixture' })
+  }
+
+  const pageUrl = `${PUBLIC_API_URL}/api/share/${player.id}/${encodeURIComponent(fixtureId)}`
+  res.type('text/html').send(renderSharePage(buildShareCard(player, match), {
+    pageUrl,
+    imageUrl: `${pageUrl}.png`,
+    targetUrl: `${SITE_URL}/player/${player.id}`,
+    siteName: nation.siteName
+  }))
 })
 
-// Get match data for a specific player
+// Live match updates (Server-Sent Events)
+// Sends an 'update' event with { timestamp, players: { id: entry | null } } whenever the
+// polling loop changes a player's status, score, minute, events or lineup status.
+// Clients should load /api/matches when the stream (re)connects and apply deltas on top.
+const streamClients = new Set()
+
+matchTracker.on('update', update => {
+  const message = `event: update\ndata: ${JSON.stringify(update)}\n\n`
+  for (const client of streamClients) {
+    client.write(message)
+  }
+})
+
+// Comment line every 25 seconds keeps proxies from closing idle streams
+setInterval(() => {
+  for (const client of streamClients) {
+    client.write(': ping\n\n')
+  }
+}, 25 * 1000)
+
+app.get('/api/stream', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx response buffering
+  })
+  res.flushHeaders()
+  res.write(`retry: 10000\nevent: ready\ndata: ${JSON.stringify({ mode: isDemoMode ? 'demo' : 'live' })}\n\n`)
+
+  streamClients.add(res)
+  req.on('close', () => streamClients.delete(res))
+})
+
+// Get match data for a specific player. ?tz= re-buckets "today" for the viewer's timezone.
 app.get('/api/matches/:playerId', (req, res) => {
   const playerId = parseInt(req.params.playerId)
+  const { timeZone, error } = readTimeZone(req.query)
+  if (error) return res.status(400).json({ error })
 
   if (isDemoMode) {
     const matchData = sampleMatchData[playerId]
     res.json({
       mode: 'demo',
-      data: matchData || null
+      data: (timeZone ? toMatchdayEntry(matchData, timeZone) : matchData) || null
+    })
+  } else if (timeZone) {
+    const matchData = toMatchdayEntry(matchTracker.getAllMatchData()[playerId], timeZone)
+    res.json({
+      mode: 'live',
+      data: matchData?.status === 'no_match_today' ? null : matchData || null
     })
   } else {
     const matchData = matchTracker.getPlayerMatchData(playerId)
@@ -316,10 +905,11 @@ app.post('/api/matches/refresh', async (req, res) => {
       await matchTracker.updateFotMobData()
       await matchTracker.updateLastGameData()
       await matchTracker.updateNextGameData()
+      await matchTracker.updateFixtureSchedule()
       res.json({
         mode: 'live',
         success: true,
-        message: 'Match data, FotMob data, last game data, and next game data refreshed'
+        message: 'Match data, FotMob data, last game data, next game data and fixture schedule refreshed'
       })
     } catch (error) {
       res.status(500).json({
@@ -363,7 +953,7 @@ app.get('/api/player/:id/match-stats', async (req, res) => {
     return res.status(400).json({ error: 'fixtureId query param required' })
   }
 
-  const player = playersData.players.find(p => p.id === playerId)
+  const player = roster.getPlayer(playerId)
   if (!player) {
     return res.status(404).json({ error: 'Player not found' })
   }
@@ -412,8 +1002,15 @@ app.get('/api/status', (req, res) => {
     mode: isDemoMode ? 'demo' : 'live',
     apiKeyConfigured: !!footballDataKey,
     apiProvider: 'football-data.org',
-    playersCount: playersData.players.length,
-    leaguesCount: playersData.leagues.length,
+    fixtureMode: getFixtureMode(),
+    nation: nation.code,
+    playersCount: roster.getPlayers().length,
+    leaguesCount: roster.getLeagues().length,
+    appearancesStored: matchTracker.appearances.getCount(),
+    learnedTeamIds: Object.keys(matchTracker.teamIds.getLearned()).length,
+    unresolvedTeams: matchTracker.teamIds.getUnresolved(),
+    scheduledFixtures: matchTracker.schedule.getCount(),
+    pushSubscriptions: push.getCount(),
     polling: matchTracker.isPolling,
     hasLiveMatches: isDemoMode ?
       Object.values(sampleMatchData).some(m => m.status === 'live') :
@@ -421,6 +1018,12 @@ app.get('/api/status', (req, res) => {
   })
 })
 
+// Data providers, their capabilities and the effective priority for each roster league
+app.get('/api/providers', (req, res) => {
+  const leagues = [...new Set(roster.getPlayers().map(p => p.league))]
+  res.json(matchTracker.providers.describe(leagues))
+})
+
 // Football-Data.org status (for debugging)
 app.get('/api/football-status', async (req, res) => {
   if (isDemoMode) {
@@ -441,11 +1044,11 @@ const SERVER_VERSION = '2.5.1' // Fix 403 Turnstile detection + HTML scrape fall
 app.listen(PORT, () => {
   console.log(`
 ╔═══════════════════════════════════════════════════════╗
-║        Americans Abroad - Backend Server              ║
+║        ${`${nation.siteName} - Backend Server`.padEnd(47)}║
 ╠═══════════════════════════════════════════════════════╣
 ║  Server running on http://localhost:${PORT}              ║
 ║  Mode: ${isDemoMode ? 'DEMO (sample data)' : 'LIVE (Football-Data.org)'}                 ${isDemoMode ? ' ' : ''}║
-║  Players tracked: ${playersData.players.length}                              ║
+║  Players tracked: ${roster.getPlayers().length}                              ║
 ╚═══════════════════════════════════════════════════════╝
   `)
 
@@ -457,8 +1060,25 @@ app.listen(PORT, () => {
     console.log('   Get a free API key at: https://www.football-data.org/')
     console.log('')
   } else {
-    // Start polling for live matches (every 5 minutes)
+    // Start polling for live matches (every 5 minutes), then check for transfers
     matchTracker.startPolling(5 * 60 * 1000)
+      .then(() => checkForTransfers())
+      .catch(error => console.error('Transfer check failed:', error))
+
+    // Re-check for transfers every 6 hours
+    setInterval(() => {
+      checkForTransfers().catch(error => console.error('Transfer check failed:', error))
+    }, 6 * 60 * 60 * 1000)
+
+    // Monday roundup of last week (rebuilt so it has the final ratings and late results)
+    if (cron.validate(weeklyReportCron)) {
+      cron.schedule(weeklyReportCron, () => {
+        const report = generateWeeklyReport(resolveReportWeek())
+        console.log(`Weekly report ${report.week}: ${report.summary.appearances} appearances, ${report.standouts.length} standouts`)
+      }, { timezone: weeklyReportTimezone })
+    } else {
+      console.error(`Invalid WEEKLY_REPORT_CRON "${weeklyReportCron}" - weekly reports won't be generated`)
+    }
   }
 })
 
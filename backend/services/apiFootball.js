@@ -1,6 +1,8 @@
 // API-Football Service
 // Documentation: https://www.api-football.com/documentation-v3
 
+import { providerFetch } from './fixtureRecorder.js'
+
 const API_BASE = 'https://v3.football.api-sports.io'
 
 class ApiFootballService {
@@ -18,7 +20,7 @@ class ApiFootballService {
     }
 
     try {
-      const response = await fetch(`${API_BASE}${endpoint}`, {
+      const response = await providerFetch('api-football', `${API_BASE}${endpoint}`, {
         headers: {
           'x-apisports-key': this.apiKey,
         }
@@ -0,0 +1,186 @@
+// Appearance Store
+// Durable per-player match history, persisted to data/cache/appearances.json
+// Every match the tracker observes (Football-Data.org, FotMob, manual stats) is
+// recorded here so finished games survive past the next matchday
+
+import { readFileSync, writeFileSync, existsSync } from 'fs'
+
+// Higher priority sources overwrite player stats from lower ones; lower priority
+// sources only fill in fields that are still unknown
+const SOURCE_PRIORITY = {
+  fotmob_player_api: 4,
+  fotmob: 3,
+  fotmob_team_lineup: 2,
+  manual: 2,
+  api: 1
+}
+
+// Fields copied from tracker entries into stored appearances
+const APPEARANCE_FIELDS = [
+  'date', 'homeTeam', 'awayTeam', 'homeScore', 'awayScore', 'isHome', 'competition',
+  'minutesPlayed', 'started', 'participated', 'onBench', 'rating', 'goals', 'assists'
+]
+
+class AppearanceStore {
+  constructor(filePath) {
+    this.filePath = filePath
+    this.appearances = new Map() // playerId -> appearances, most recent first
+    this.dirty = false
+    this.load()
+  }
+
+  // Load appearance history from file
+  load() {
+    try {
+      if (existsSync(this.filePath)) {
+        const data = JSON.parse(readFileSync(this.filePath, 'utf-8'))
+        let count = 0
+        for (const [playerId, appearances] of Object.entries(data.players || {})) {
+          this.appearances.set(parseInt(playerId), appearances)
+          count += appearances.length
+        }
+        console.log(`Loaded ${count} stored appearances for ${this.appearances.size} players`)
+      }
+    } catch (error) {
+      console.error('Error loading appearance store:', error)
+    }
+  }
+
+  // Save appearance history to file (no-op when nothing changed)
+  save() {
+    if (!this.dirty) return
+    try {
+      const data = {
+        updatedAt: new Date().toISOString(),
+        players: Object.fromEntries(this.appearances)
+      }
+      writeFileSync(this.filePath, JSON.stringify(data, null, 2))
+      this.dirty = false
+    } catch (error) {
+      console.error('Error saving appearance store:', error)
+    }
+  }
+
+  // Calendar day (UTC) of a kickoff - a team never plays twice on the same day,
+  // so this identifies the fixture even when sources disagree on fixture IDs
+  getMatchDay(date) {
+    if (!date) return null
+    const parsed = new Date(date)
+    if (isNaN(parsed)) return null
+    return parsed.toISOString().split('T')[0]
+  }
+
+  // Find the stored appearance for the same fixture
+  findExisting(appearances, fixtureId, matchDay) {
+    return appearances.find(a =>
+      (fixtureId && a.fixtureIds?.includes(fixtureId)) ||
+      (matchDay && this.getMatchDay(a.date) === matchDay)
+    )
+  }
+
+  // Record a match observed for a player. `entry` uses the tracker's match data shape
+  // (matchData / lastGameData / FotMob recentMatches). Returns the stored appearance.
+  record(playerId, entry, source) {
+    if (!entry) return null
+    const fixtureId = entry.fixtureId ?? entry.matchId ?? null
+    const matchDay = this.getMatchDay(entry.date ?? entry.kickoff)
+    if (!matchDay) return null
+
+    const incoming = { fixtureId, source, status: entry.status || 'finished' }
+    for (const field of APPEARANCE_FIELDS) {
+      if (entry[field] !== undefined) incoming[field] = entry[field]
+    }
+    if (incoming.date === undefined) incoming.date = entry.kickoff
+    if (incoming.isHome !== undefined && incoming.isHome !== null) {
+      incoming.opponent = incoming.isHome ? entry.awayTeam : entry.homeTeam
+    }
+    incoming.events = entry.events || []
+
+    if (!this.appearances.has(playerId)) {
+      this.appearances.set(playerId, [])
+    }
+    const appearances = this.appearances.get(playerId)
+    const existing = this.findExisting(appearances, fixtureId, matchDay)
+    const now = new Date().toISOString()
+
+    if (!existing) {
+      const appearance = {
+        ...incoming,
+        fixtureIds: fixtureId ? [fixtureId] : [],
+        firstSeen: now,
+        updatedAt: now
+      }
+      appearances.push(appearance)
+      appearances.sort((a, b) => new Date(b.date) - new Date(a.date))
+      this.dirty = true
+      return appearance
+    }
+
+    const before = JSON.stringify(existing)
+    this.mergeInto(existing, incoming)
+    if (JSON.stringify(existing) !== before) {
+      existing.updatedAt = now
+      this.dirty = true
+    }
+    return existing
+  }
+
+  // Merge a newer observation of the same fixture into a stored appearance
+  mergeInto(existing, incoming) {
+    const existingPriority = SOURCE_PRIORITY[existing.source] || 0
+    const incomingPriority = SOURCE_PRIORITY[incoming.source] || 0
+    const overwrite = incomingPriority >= existingPriority
+
+    if (incoming.fixtureId && !existing.fixtureIds.includes(incoming.fixtureId)) {
+      existing.fixtureIds.push(incoming.fixtureId)
+    }
+
+    for (const [field, value] of Object.entries(incoming)) {
+      if (field === 'status' || field === 'events' || field === 'source') continue
+      if (value === null || value === undefined) continue
+      if (overwrite || existing[field] === null || existing[field] === undefined) {
+        existing[field] = value
+      }
+    }
+
+    // Events: never replace a populated list with an empty one (FD has no
+    // event data for most participants)
+    if (incoming.events.length > 0 && (overwrite || existing.events.length === 0)) {
+      existing.events = incoming.events
+    }
+
+    // Status only moves forward: live -> finished
+    if (existing.status !== 'finished') {
+      existing.status = incoming.status
+    }
+
+    if (overwrite) {
+      existing.source = incoming.source
+    }
+  }
+
+  // Get all stored appearances for a player (most recent first)
+  getPlayerAppearances(playerId) {
+    return this.appearances.get(playerId) || []
+  }
+
+  // Find a stored appearance by any of its known fixture IDs
+  findByFixture(playerId, fixtureId) {
+    const id = String(fixtureId)
+    return this.getPlayerAppearances(playerId).find(a =>
+      a.fixtureIds?.some(f => String(f) === id)
+    ) || null
+  }
+
+  // Total number of stored appearances
+  getCount() {
+    let count = 0
+    for (const appearances of this.appearances.values()) {
+      count += appearances.length
+    }
+    return count
+  }
+}
+
+export { AppearanceStore, SOURCE_PRIORITY }
+export default AppearanceStore
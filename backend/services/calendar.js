@@ -0,0 +1,118 @@
+// Calendar Feed
+// Builds an iCalendar (RFC 5545) feed of upcoming fixtures for calendar apps to subscribe to.
+// UIDs come from provider fixture IDs so re-fetching the feed updates events in place, and
+// SEQUENCE is the schedule's revision number so moved kickoffs replace the old time.
+
+const DEFAULT_SITE_NAME = 'Americans Abroad'
+const DEFAULT_UID_DOMAIN = 'americans-abroad'
+const MATCH_DURATION_MS = 2 * 60 * 60 * 1000 // Block two hours per game
+const REFRESH_INTERVAL = 'PT6H' // Hint for how often clients should re-fetch
+
+const EVENT_STATUS = {
+  cancelled: 'CANCELLED',
+  postponed: 'TENTATIVE',
+  suspended: 'TENTATIVE'
+}
+
+// 20261019T183000Z
+const formatDateTime = date => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+
+// Escape TEXT values (backslash, semicolon, comma, newline)
+const escapeText = value => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n')
+
+const encoder = new TextEncoder()
+
+// Fold content lines longer than 75 octets (continuation lines start with a space)
+function foldLine(line) {
+  if (encoder.encode(line).length <= 75) return line
+
+  const parts = []
+  let current = ''
+  let currentBytes = 0
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length
+    const limit = parts.length === 0 ? 75 : 74 // Continuation lines lose one octet to the space
+    if (currentBytes + charBytes > limit) {
+      parts.push(current)
+      current = ''
+      currentBytes = 0
+    }
+    current += char
+    currentBytes += charBytes
+  }
+  parts.push(current)
+  return parts.join('\r\n ')
+}
+
+// Link to the match page for providers that have public ones
+function getMatchUrl(fixture) {
+  if (fixture.provider === 'fotmob') return `https://www.fotmob.com/match/${fixture.id}`
+  return null
+}
+
+function buildEvent(fixture, now, uidDomain) {
+  const players = fixture.players || []
+  const kickoff = new Date(fixture.kickoff)
+  const url = getMatchUrl(fixture)
+  const names = players.map(p => p.name).join(', ')
+  const description = [
+    fixture.competition,
+    ...players.map(p => `${p.name} (${p.team}${p.position ? `, ${p.position}` : ''})`),
+    url
+  ].filter(Boolean).join('\n')
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${fixture.provider}-${fixture.id}@${uidDomain}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART:${formatDateTime(kickoff)}`,
+    `DTEND:${formatDateTime(kickoff.getTime() + MATCH_DURATION_MS)}`,
+    `SEQUENCE:${fixture.sequence || 0}`,
+    `SUMMARY:${escapeText(`${fixture.homeTeam} vs ${fixture.awayTeam}${names ? ` (${names})` : ''}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${EVENT_STATUS[fixture.status] || 'CONFIRMED'}`,
+    'TRANSP:TRANSPARENT'
+  ]
+  if (fixture.venue) lines.push(`LOCATION:${escapeText(fixture.venue)}`)
+  if (fixture.competition) lines.push(`CATEGORIES:${escapeText(fixture.competition)}`)
+  if (url) lines.push(`URL:${url}`)
+  if (fixture.createdAt) lines.push(`CREATED:${formatDateTime(fixture.createdAt)}`)
+  if (fixture.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(fixture.updatedAt)}`)
+  lines.push('END:VEVENT')
+  return lines
+}
+
+// fixtures: [{ id, provider, kickoff, homeTeam, awayTeam, competition, venue, status,
+//              sequence, createdAt, updatedAt, players: [{ name, team, position }] }]
+// siteName and uidDomain brand the feed (PRODID, event UIDs) for the tracked nation
+function buildCalendar(fixtures, {
+  name = DEFAULT_SITE_NAME,
+  description = '',
+  siteName = DEFAULT_SITE_NAME,
+  uidDomain = DEFAULT_UID_DOMAIN
+} = {}) {
+  const now = new Date()
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${siteName}//Fixture Calendar//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`
+  ]
+  if (description) lines.push(`X-WR-CALDESC:${escapeText(description)}`)
+  for (const fixture of fixtures) {
+    lines.push(...buildEvent(fixture, now, uidDomain))
+  }
+  lines.push('END:VCALENDAR')
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
+
+export { buildCalendar }
+export default buildCalendar
@@ -0,0 +1,173 @@
+// Demo Data
+// Sample match data for demo mode (no FOOTBALL_DATA_KEY), built from the active roster so
+// every nation's demo shows its own players: a few live, finished and upcoming games, some
+// players without a game today and, when two tracked clubs share a league, a live matchup
+// between them. Scores and events are from the player's side: score [for, against].
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+
+// Made-up clubs for when the roster has too few of its own to play against
+const FALLBACK_OPPONENTS = [
+  'Harbour City', 'Riverside Athletic', 'Northgate Rovers', 'Eastwood United', 'Kingsbridge FC',
+  'Westvale Town', 'Southport Albion', 'Redhill Wanderers', 'Lakeside Sporting'
+]
+
+// One scenario per club, in roster order
+const SCENARIOS = [
+  {
+    status: 'live', minute: 67, isHome: true, score: [2, 1], minutesPlayed: 67, started: true,
+    events: [{ type: 'goal', minute: 23 }, { type: 'assist', minute: 55 }],
+    lastGame: { daysAgo: 7, isHome: false, score: [2, 1], minutesPlayed: 90, started: true, events: [{ type: 'goal', minute: 78 }] }
+  },
+  {
+    status: 'live', minute: 82, isHome: true, score: [1, 1], minutesPlayed: 82, started: true, events: [],
+    lastGame: { daysAgo: 4, isHome: true, score: [0, 3], minutesPlayed: 90, started: true, events: [] }
+  },
+  {
+    status: 'finished', minute: 90, isHome: true, score: [0, 2], minutesPlayed: 25, started: false,
+    events: [{ type: 'sub_in', minute: 65 }],
+    lastGame: { daysAgo: 6, isHome: false, score: [1, 1], minutesPlayed: 70, started: true, events: [{ type: 'sub_out', minute: 70 }] }
+  },
+  {
+    status: 'upcoming', kickoffIn: 2 * HOUR, isHome: true,
+    lastGame: { daysAgo: 3, isHome: true, score: [2, 0], minutesPlayed: 90, started: true, events: [{ type: 'goal', minute: 34 }, { type: 'goal', minute: 67 }] }
+  },
+  {
+    status: 'live', minute: 34, isHome: true, score: [1, 0], minutesPlayed: 34, started: true,
+    events: [{ type: 'yellow', minute: 28 }],
+    lastGame: { daysAgo: 5, isHome: true, score: [2, 0], minutesPlayed: 85, started: true, events: [{ type: 'assist', minute: 44 }, { type: 'sub_out', minute: 85 }] }
+  },
+  {
+    status: 'upcoming', kickoffIn: 4 * HOUR, isHome: true,
+    lastGame: { daysAgo: 8, isHome: false, score: [3, 1], minutesPlayed: 72, started: true, events: [{ type: 'goal', minute: 23 }, { type: 'sub_out', minute: 72 }] }
+  },
+  {
+    status: 'no_match_today',
+    lastGame: { daysAgo: 2, isHome: true, score: [0, 4], minutesPlayed: 90, started: true, events: [{ type: 'yellow', minute: 56 }] }
+  },
+  {
+    status: 'no_match_today',
+    lastGame: { daysAgo: 10, isHome: true, score: [3, 1], minutesPlayed: 15, started: false, events: [{ type: 'sub_in', minute: 75 }] }
+  },
+  {
+    status: 'no_match_today',
+    lastGame: { daysAgo: 5, isHome: true, score: [2, 0], minutesPlayed: 0, started: false, events: [] }
+  }
+]
+
+// The live matchup between two tracked clubs: home side's score first
+const MATCHUP = { minute: 58, score: [1, 0], events: [[{ type: 'yellow', minute: 41 }], []] }
+
+// Roster clubs other than the player's, same league first
+function getOtherClubs(player, players) {
+  const teams = league => players
+    .filter(p => p.team !== player.team && (league === undefined || p.league === league))
+    .map(p => p.team)
+  return [...new Set([...teams(player.league), ...teams()])]
+}
+
+// Teams and score of a game from one side's point of view
+function toGame(team, opponent, isHome, [scored, conceded]) {
+  return {
+    homeTeam: isHome ? team : opponent,
+    awayTeam: isHome ? opponent : team,
+    homeScore: isHome ? scored : conceded,
+    awayScore: isHome ? conceded : scored,
+    isHome
+  }
+}
+
+function buildEntry(player, scenario, { opponent, lastOpponent }, fixtureId, now) {
+  const last = scenario.lastGame
+  const lastGame = {
+    date: new Date(now - last.daysAgo * DAY).toISOString(),
+    ...toGame(player.team, lastOpponent, last.isHome, last.score),
+    participated: last.minutesPlayed > 0,
+    minutesPlayed: last.minutesPlayed,
+    started: last.started,
+    events: last.events
+  }
+  if (scenario.status === 'no_match_today') return { status: 'no_match_today', lastGame }
+
+  const today = toGame(player.team, opponent, scenario.isHome, scenario.score || [0, 0])
+  if (scenario.status === 'upcoming') {
+    return {
+      fixtureId,
+      status: 'upcoming',
+      ...today,
+      minute: 0,
+      participated: false,
+      minutesPlayed: 0,
+      started: false,
+      events: [],
+      kickoff: new Date(now + scenario.kickoffIn).toISOString(),
+      lastGame
+    }
+  }
+  return {
+    fixtureId,
+    status: scenario.status,
+    ...today,
+    minute: scenario.minute,
+    participated: scenario.minutesPlayed > 0,
+    minutesPlayed: scenario.minutesPlayed,
+    started: scenario.started,
+    events: scenario.events,
+    kickoff: new Date(now - (scenario.status === 'live' ? scenario.minute + 15 : 150) * MINUTE).toISOString(),
+    lastGame
+  }
+}
+
+// { playerId: entry } for the roster, shaped like MatchTrackerFD.getAllMatchData()
+function buildSampleMatchData(players, now = Date.now()) {
+  const data = {}
+
+  // First player of each club gets the next scenario (teammates would contradict each other)
+  const featured = []
+  for (const player of players) {
+    if (featured.length >= SCENARIOS.length) break
+    if (!featured.some(p => p.team === player.team)) featured.push(player)
+  }
+  const featuredTeams = new Set(featured.map(p => p.team))
+
+  // Two clubs left in the same league play each other, live
+  const remaining = players.filter(p => !featuredTeams.has(p.team))
+  const home = remaining.find(p => remaining.some(o => o.league === p.league && o.team !== p.team))
+  const away = home && remaining.find(p => p.league === home.league && p.team !== home.team)
+  const playingToday = new Set([...featuredTeams, home?.team, away?.team])
+
+  // Today's opponents are untracked clubs, one game each, so no two entries describe the
+  // same match differently
+  let fixtureId = 12345
+  for (const [index, player] of featured.entries()) {
+    const others = getOtherClubs(player, players)
+    const opponent = others.find(team => !playingToday.has(team)) || FALLBACK_OPPONENTS[index]
+    playingToday.add(opponent)
+    const lastOpponent = others[0] || FALLBACK_OPPONENTS[FALLBACK_OPPONENTS.length - 1 - index]
+    data[player.id] = buildEntry(player, SCENARIOS[index], { opponent, lastOpponent }, fixtureId++, now)
+  }
+
+  if (home && away) {
+    const kickoff = new Date(now - (MATCHUP.minute + 7) * MINUTE).toISOString()
+    for (const [index, player] of [home, away].entries()) {
+      data[player.id] = {
+        fixtureId,
+        status: 'live',
+        ...toGame(home.team, away.team, true, MATCHUP.score),
+        isHome: index === 0,
+        minute: MATCHUP.minute,
+        participated: true,
+        minutesPlayed: MATCHUP.minute,
+        started: true,
+        events: MATCHUP.events[index],
+        kickoff
+      }
+    }
+  }
+
+  return data
+}
+
+export { buildSampleMatchData }
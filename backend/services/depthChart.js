@@ -0,0 +1,134 @@
+// Depth Chart
+// Groups the roster into national-team position groups and orders each group by
+// how much the players are actually playing for their clubs right now
+
+import { aggregateAppearances } from './seasonStats.js'
+
+const RECENT_MATCHES = 8 // Club matches looked at per player
+const RECENT_DAYS = 90 // ...as long as they're this recent (skips stale history after a long layoff)
+const FULL_MATCH_MINUTES = 90
+
+// Position names to abbreviations (same as the player cards)
+const POSITION_ABBREVIATIONS = {
+  'Goalkeeper': 'GK', 'Defender': 'DF', 'Center Back': 'CB', 'Centre Back': 'CB',
+  'Left Back': 'LB', 'Right Back': 'RB', 'Wing Back': 'WB',
+  'Midfielder': 'MF', 'Central Midfielder': 'CM', 'Defensive Midfielder': 'DM',
+  'Attacking Midfielder': 'AM', 'Left Midfielder': 'LM', 'Right Midfielder': 'RM',
+  'Forward': 'FW', 'Left Wing': 'LW', 'Right Wing': 'RW', 'Left Winger': 'LW', 'Right Winger': 'RW',
+  'Striker': 'ST', 'Centre Forward': 'CF', 'Center Forward': 'CF', 'Winger': 'W'
+}
+
+// Depth chart groups, in formation order, and the abbreviations each one takes.
+// Generic "Defender"/"Midfielder"/"Forward" go to the most common spot.
+const POSITION_GROUPS = [
+  { id: 'GK', label: 'Goalkeepers', positions: ['GK'] },
+  { id: 'CB', label: 'Center Backs', positions: ['CB', 'DF'] },
+  { id: 'FB', label: 'Fullbacks', positions: ['LB', 'RB', 'WB'] },
+  { id: 'DM/CM', label: 'Defensive & Central Midfielders', positions: ['DM', 'CM', 'MF'] },
+  { id: 'AM/W', label: 'Attacking Midfielders & Wingers', positions: ['AM', 'LM', 'RM', 'LW', 'RW', 'W'] },
+  { id: 'ST', label: 'Strikers', positions: ['ST', 'CF', 'FW'] }
+]
+
+// Minutes share above which a player counts as a regular, and below which they're mostly on the bench
+const REGULAR_SHARE = 0.6
+const ROTATION_SHARE = 0.25
+
+// Weights for the depth score (each part is 0-1)
+const SCORE_WEIGHTS = { minutesShare: 0.6, startShare: 0.25, rating: 0.15 }
+
+function getPositionGroup(position) {
+  const abbreviation = POSITION_ABBREVIATIONS[position] || position
+  return POSITION_GROUPS.find(g => g.positions.includes(abbreviation))?.id || null
+}
+
+// 'regular', 'rotation', 'bench', or 'no_data' when no recent club matches are stored
+function getRole(stats) {
+  if (stats.matches === 0) return 'no_data'
+  if (stats.minutesShare >= REGULAR_SHARE) return 'regular'
+  if (stats.minutesShare >= ROTATION_SHARE) return 'rotation'
+  return 'bench'
+}
+
+// Recent club usage from stored appearances (most recent first)
+function getRecentUsage(appearances, now) {
+  const since = new Date(now.getTime() - RECENT_DAYS * 24 * 60 * 60 * 1000)
+  const recent = appearances
+    .filter(a => (!a.status || a.status === 'finished') && new Date(a.date) >= since && new Date(a.date) <= now)
+    .slice(0, RECENT_MATCHES)
+  const stats = aggregateAppearances(recent)
+  const availableMinutes = stats.matches * FULL_MATCH_MINUTES
+  return {
+    matches: stats.matches,
+    appearances: stats.appearances,
+    starts: stats.starts,
+    minutes: stats.minutes,
+    minutesShare: availableMinutes ? Math.min(1, stats.minutes / availableMinutes) : 0,
+    startShare: stats.matches ? stats.starts / stats.matches : 0,
+    avgRating: stats.avgRating,
+    ratedGames: stats.ratedGames,
+    unusedSub: recent.filter(a => !a.participated && a.onBench).length,
+    lastPlayed: recent.find(a => a.participated)?.date || null
+  }
+}
+
+// 0-1 blend of minutes share, starts and rating. Unrated players get a neutral 0.5
+// for the rating part so missing ratings don't sink them.
+function getDepthScore(usage) {
+  const rating = usage.avgRating !== null ?
+    Math.min(1, Math.max(0, (usage.avgRating - 5) / 4)) :
+    0.5
+  const score = SCORE_WEIGHTS.minutesShare * usage.minutesShare +
+    SCORE_WEIGHTS.startShare * usage.startShare +
+    SCORE_WEIGHTS.rating * rating
+  return usage.matches === 0 ? 0 : Math.round(score * 1000) / 1000
+}
+
+// Depth chart for the roster. getAppearances(playerId) returns stored appearances.
+// Players whose position doesn't map to a group are listed under `unassigned`.
+function buildDepthChart(players, getAppearances, now = new Date()) {
+  const groups = POSITION_GROUPS.map(g => ({ id: g.id, label: g.label, players: [] }))
+  const unassigned = []
+
+  for (const player of players) {
+    const usage = getRecentUsage(getAppearances(player.id), now)
+    const entry = {
+      player: {
+        id: player.id,
+        name: player.name,
+        team: player.team,
+        league: player.league,
+        position: player.position,
+        image: player.image,
+        caps: player.caps
+      },
+      role: getRole(usage),
+      score: getDepthScore(usage),
+      stats: {
+        ...usage,
+        minutesShare: Math.round(usage.minutesShare * 100) / 100,
+        startShare: Math.round(usage.startShare * 100) / 100
+      }
+    }
+    const groupId = getPositionGroup(player.position)
+    const group = groups.find(g => g.id === groupId)
+    if (group) {
+      group.players.push(entry)
+    } else {
+      unassigned.push(entry)
+    }
+  }
+
+  for (const group of groups) {
+    group.players.sort((a, b) => b.score - a.score || (b.player.caps || 0) - (a.player.caps || 0))
+    group.players.forEach((entry, i) => { entry.depth = i + 1 })
+  }
+
+  return {
+    window: { matches: RECENT_MATCHES, days: RECENT_DAYS },
+    thresholds: { regular: REGULAR_SHARE, rotation: ROTATION_SHARE },
+    groups,
+    unassigned
+  }
+}
+
+export { POSITION_GROUPS, getPositionGroup, buildDepthChart }
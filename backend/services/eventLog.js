@@ -0,0 +1,90 @@
+// Event Log
+// Append-only log of match events, persisted to data/cache/events.jsonl (one event per line).
+// Events get an increasing numeric id so clients can page with ?since=<id>.
+
+import { readFileSync, appendFileSync, existsSync } from 'fs'
+
+const MAX_EVENTS_IN_MEMORY = 5000
+
+const hasSinceValue = since => since !== undefined && since !== null && since !== ''
+
+class EventLog {
+  constructor(filePath) {
+    this.filePath = filePath
+    this.events = [] // Most recent MAX_EVENTS_IN_MEMORY events, oldest first
+    this.keys = new Set() // Dedupe keys of events in memory
+    this.lastId = 0
+    this.load()
+  }
+
+  // Load the tail of the log from file
+  load() {
+    try {
+      if (existsSync(this.filePath)) {
+        const lines = readFileSync(this.filePath, 'utf-8').split('\n').filter(Boolean)
+        for (const line of lines.slice(-MAX_EVENTS_IN_MEMORY)) {
+          try {
+            this.remember(JSON.parse(line))
+          } catch {
+            // Skip a partially written line
+          }
+        }
+        console.log(`Loaded ${this.events.length} match events (last id ${this.lastId})`)
+      }
+    } catch (error) {
+      console.error('Error loading event log:', error)
+    }
+  }
+
+  remember(event) {
+    this.events.push(event)
+    if (event.key) this.keys.add(event.key)
+    this.lastId = Math.max(this.lastId, event.id)
+    if (this.events.length > MAX_EVENTS_IN_MEMORY) {
+      const dropped = this.events.shift()
+      if (dropped.key) this.keys.delete(dropped.key)
+    }
+  }
+
+  // Append events, skipping any already logged. Returns the newly logged events.
+  append(events) {
+    const added = []
+    for (const event of events) {
+      if (event.key && this.keys.has(event.key)) continue
+      const logged = { id: this.lastId + 1, timestamp: new Date().toISOString(), ...event }
+      this.remember(logged)
+      added.push(logged)
+    }
+
+    if (added.length > 0) {
+      try {
+        appendFileSync(this.filePath, added.map(e => JSON.stringify(e)).join('\n') + '\n')
+      } catch (error) {
+        console.error('Error writing event log:', error)
+      }
+    }
+    return added
+  }
+
+  // Events after an event id (number) or an ISO timestamp, oldest first
+  getSince(since, { limit = 200, types = null, playerIds = null } = {}) {
+    let filtered = this.events
+    if (hasSinceValue(since)) {
+      if (/^\d+$/.test(String(since))) {
+        const afterId = parseInt(since)
+        filtered = filtered.filter(e => e.id > afterId)
+      } else {
+        const afterTime = new Date(since)
+        if (isNaN(afterTime)) throw new Error('since must be an event id or an ISO timestamp')
+        filtered = filtered.filter(e => new Date(e.timestamp) > afterTime)
+      }
+    }
+    if (types) filtered = filtered.filter(e => types.includes(e.type))
+    if (playerIds) filtered = filtered.filter(e => playerIds.includes(e.playerId))
+    // Without `since`, return the most recent events
+    return hasSinceValue(since) ? filtered.slice(0, limit) : filtered.slice(-limit)
+  }
+}
+
+export { EventLog }
+export default EventLog
@@ -0,0 +1,184 @@
+// Performance Feed
+// Picks notable performances (goals, assists, ratings of 8+, debuts, red cards) out of the
+// tracker's last-game and today's-match data and renders them as an Atom feed (RFC 4287).
+// One entry per player per match, so a brace and an 8.5 rating are a single item.
+
+const DEFAULT_SITE_NAME = 'Americans Abroad'
+const DEFAULT_FEED_ID = 'urn:americans-abroad:performances'
+const HIGH_RATING = 8
+const MAX_ENTRIES = 100
+
+const escapeXml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+const countEvents = (match, type) => (match.events || []).filter(e => e.type === type).length
+
+const getMatchDay = date => {
+  const parsed = new Date(date)
+  return isNaN(parsed) ? null : parsed.toISOString().split('T')[0]
+}
+
+// The side a player was on in a stored appearance
+const getAppearanceTeam = appearance =>
+  appearance.isHome ? appearance.homeTeam : appearance.awayTeam
+
+// First appearance for the current club, when stored history shows an earlier club
+function isClubDebut(match, appearances) {
+  if (!appearances?.length || !match.participated) return false
+  const matchDay = getMatchDay(match.date || match.kickoff)
+  const club = match.isHome ? match.homeTeam : match.awayTeam
+  const played = appearances
+    .filter(a => a.participated && a.date)
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+  const firstForClub = played.find(a => getAppearanceTeam(a) === club)
+  if (!firstForClub || getMatchDay(firstForClub.date) !== matchDay) return false
+  return played.some(a => new Date(a.date) < new Date(firstForClub.date) && getAppearanceTeam(a) !== club)
+}
+
+// Notable things a player did in one match, e.g. [{ type: 'goal', count: 2 }, { type: 'rating', value: 8.4 }]
+function getHighlights(match, appearances) {
+  const highlights = []
+  const goals = countEvents(match, 'goal') || match.goals || 0
+  const assists = countEvents(match, 'assist') || match.assists || 0
+  if (goals > 0) highlights.push({ type: 'goal', count: goals })
+  if (assists > 0) highlights.push({ type: 'assist', count: assists })
+  if (countEvents(match, 'red') > 0) highlights.push({ type: 'red_card' })
+  // Live ratings move around - only count the final one
+  if (match.status !== 'live' && match.rating >= HIGH_RATING) {
+    highlights.push({ type: 'rating', value: match.rating })
+  }
+  if (isClubDebut(match, appearances)) highlights.push({ type: 'debut' })
+  return highlights
+}
+
+// Notable performances from getAllMatchData()-shaped data ({ playerId: { ...today, lastGame } }).
+// getAppearances(playerId) returns stored history for debut detection and update times.
+function findNotablePerformances(players, allMatchData, getAppearances = () => []) {
+  const performances = []
+  for (const player of players) {
+    const data = allMatchData[player.id]
+    if (!data) continue
+    const appearances = getAppearances(player.id)
+
+    // Today's entry first - once finished it's usually also the last game, and fresher
+    const matches = [data.lastGame]
+    if (data.status === 'live' || data.status === 'finished') {
+      matches.unshift({ ...data, date: data.kickoff || data.date })
+    }
+    const seen = new Set()
+    for (const match of matches) {
+      const matchDay = match && getMatchDay(match.date || match.kickoff)
+      if (!matchDay || seen.has(matchDay)) continue
+      seen.add(matchDay)
+
+      const highlights = getHighlights(match, appearances)
+      if (highlights.length === 0) continue
+      const stored = appearances.find(a => getMatchDay(a.date) === matchDay)
+      performances.push({
+        player,
+        match,
+        highlights,
+        id: `${player.id}:${matchDay}`,
+        published: stored?.firstSeen || new Date(match.date).toISOString(),
+        updated: stored?.updatedAt || new Date(match.date).toISOString()
+      })
+    }
+  }
+  return performances
+    .sort((a, b) => new Date(b.updated) - new Date(a.updated))
+    .slice(0, MAX_ENTRIES)
+}
+
+function describeHighlight(highlight) {
+  switch (highlight.type) {
+    case 'goal':
+      if (highlight.count === 1) return 'a goal'
+      if (highlight.count === 2) return 'a brace'
+      if (highlight.count === 3) return 'a hat-trick'
+      return `${highlight.count} goals`
+    case 'assist':
+      return highlight.count === 1 ? 'an assist' : `${highlight.count} assists`
+    case 'rating':
+      // "an 8.4", "a 9.1"
+      return `${Math.floor(highlight.value) === 8 ? 'an' : 'a'} ${highlight.value} rating`
+    case 'debut':
+      return 'a club debut'
+    case 'red_card':
+      return 'a red card'
+    default:
+      return highlight.type
+  }
+}
+
+// "Christian Pulisic: a brace and an assist in Roma 1-2 AC Milan"
+function getEntryTitle({ player, match, highlights }) {
+  const parts = highlights.map(describeHighlight)
+  const list = parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts.at(-1)}` : parts[0]
+  const score = `${match.homeTeam} ${match.homeScore ?? 0}-${match.awayScore ?? 0} ${match.awayTeam}`
+  return `${player.name}: ${list} in ${score}`
+}
+
+function getEntrySummary({ player, match }) {
+  const details = [
+    match.competition,
+    match.minutesPlayed ? `${match.minutesPlayed} minutes` : null,
+    match.started === false && match.participated ? 'off the bench' : null,
+    match.rating ? `rating ${match.rating}` : null,
+    match.status === 'live' ? `live, ${match.minute}'` : null
+  ].filter(Boolean)
+  return `${player.name} (${player.team})${details.length ? ` - ${details.join(', ')}` : ''}`
+}
+
+// Entry IDs extend the feed's: <feedId>:<playerId>:<matchDay>
+function buildEntry(performance, feedId) {
+  const { match, highlights } = performance
+  const url = match.fixtureId ? `https://www.fotmob.com/match/${match.fixtureId}` : null
+  const lines = [
+    '  <entry>',
+    `    <id>${escapeXml(`${feedId}:${performance.id}`)}</id>`,
+    `    <title>${escapeXml(getEntryTitle(performance))}</title>`,
+    `    <published>${performance.published}</published>`,
+    `    <updated>${performance.updated}</updated>`,
+    `    <author><name>${escapeXml(performance.player.name)}</name></author>`,
+    `    <summary>${escapeXml(getEntrySummary(performance))}</summary>`
+  ]
+  if (url) lines.push(`    <link rel="alternate" type="text/html" href="${escapeXml(url)}"/>`)
+  for (const highlight of highlights) {
+    lines.push(`    <category term="${highlight.type}"/>`)
+  }
+  lines.push('  </entry>')
+  return lines.join('\n')
+}
+
+// Atom document for performances from findNotablePerformances(); siteName and feedId brand it
+// for the tracked nation
+function buildAtomFeed(performances, {
+  title = DEFAULT_SITE_NAME,
+  subtitle = 'American players abroad',
+  siteName = DEFAULT_SITE_NAME,
+  feedId = DEFAULT_FEED_ID,
+  selfUrl = null
+} = {}) {
+  const updated = performances[0]?.updated || new Date().toISOString()
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feedId)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <subtitle>Goals, assists, big ratings, debuts and red cards from ${escapeXml(subtitle)}</subtitle>`,
+    `  <updated>${updated}</updated>`,
+    `  <generator>${escapeXml(siteName)}</generator>`
+  ]
+  if (selfUrl) lines.push(`  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`)
+  for (const performance of performances) {
+    lines.push(buildEntry(performance, feedId))
+  }
+  lines.push('</feed>')
+  return lines.join('\n') + '\n'
+}
+
+export { findNotablePerformances, buildAtomFeed }
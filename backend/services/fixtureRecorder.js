@@ -0,0 +1,148 @@
+// Fixture Recorder
+// Record raw provider responses to disk and replay them later, so a matchday can be
+// reproduced offline (no football-data.org key, no FotMob Turnstile blocks).
+//
+// Modes (set once at startup with configureFixtures):
+//   off     - requests go to the network (default)
+//   record  - requests go to the network and every response is saved
+//   replay  - responses are served from disk; nothing touches the network
+//
+// Layout: <dir>/<provider>/<request key>.<sequence>.json
+// The same URL is usually requested many times during a matchday (live polling), so each
+// response gets the next sequence number. Replay walks through them in order and keeps
+// serving the last one once they run out.
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync } from 'fs'
+import { createHash } from 'crypto'
+import { join } from 'path'
+
+const MODES = ['off', 'record', 'replay']
+
+const state = {
+  mode: 'off',
+  dir: null,
+  sequences: new Map(), // provider/key -> next sequence number (record) or cursor (replay)
+  recorded: new Map() // provider -> Map(key -> sorted sequence numbers), indexed on first use
+}
+
+// Set the recorder mode and directory
+function configureFixtures({ mode = 'off', dir } = {}) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown fixture mode "${mode}" (expected one of ${MODES.join(', ')})`)
+  }
+  if (mode !== 'off' && !dir) {
+    throw new Error('A fixture directory is required to record or replay')
+  }
+  state.mode = mode
+  state.dir = dir
+  state.sequences.clear()
+  state.recorded.clear()
+  if (mode === 'record') mkdirSync(dir, { recursive: true })
+  if (mode !== 'off') console.log(`Provider fixtures: ${mode} (${dir})`)
+}
+
+function getFixtureMode() {
+  return state.mode
+}
+
+function isReplaying() {
+  return state.mode === 'replay'
+}
+
+// File-safe key for a URL: host + path + query, with a hash suffix when it gets long
+function getRequestKey(url) {
+  const parsed = new URL(url)
+  const readable = `${parsed.hostname}${parsed.pathname}${parsed.search}`
+    .replace(/[^a-zA-Z0-9._-]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+  if (readable.length <= 120) return readable
+  const hash = createHash('sha1').update(url).digest('hex').slice(0, 10)
+  return `${readable.slice(0, 100)}_${hash}`
+}
+
+function getFixturePath(provider, key, sequence) {
+  return join(state.dir, provider, `${key}.${String(sequence).padStart(4, '0')}.json`)
+}
+
+// Sequence numbers on disk for every request of a provider: Map(key -> [sequence])
+function indexRecordings(provider) {
+  const index = new Map()
+  const providerDir = join(state.dir, provider)
+  if (!existsSync(providerDir)) return index
+  for (const file of readdirSync(providerDir)) {
+    const match = file.match(/^(.+)\.(\d{4})\.json$/)
+    if (!match) continue
+    if (!index.has(match[1])) index.set(match[1], [])
+    index.get(match[1]).push(parseInt(match[2]))
+  }
+  for (const sequences of index.values()) sequences.sort((a, b) => a - b)
+  return index
+}
+
+// Sequence numbers on disk for a request when the provider was first used (so a second
+// recording session appends; responses recorded since are counted in state.sequences)
+function getRecordedSequences(provider, key) {
+  if (!state.recorded.has(provider)) state.recorded.set(provider, indexRecordings(provider))
+  return state.recorded.get(provider).get(key) || []
+}
+
+async function recordResponse(provider, url, response) {
+  const key = getRequestKey(url)
+  const id = `${provider}/${key}`
+  if (!state.sequences.has(id)) {
+    const existing = getRecordedSequences(provider, key)
+    state.sequences.set(id, existing.length > 0 ? existing[existing.length - 1] + 1 : 1)
+  }
+  const sequence = state.sequences.get(id)
+  state.sequences.set(id, sequence + 1)
+
+  // Read a copy so the caller can still consume the original body
+  const body = await response.clone().text()
+  const fixture = {
+    url,
+    recordedAt: new Date().toISOString(),
+    status: response.status,
+    contentType: response.headers.get('content-type') || '',
+    body
+  }
+  mkdirSync(join(state.dir, provider), { recursive: true })
+  writeFileSync(getFixturePath(provider, key, sequence), JSON.stringify(fixture, null, 2))
+}
+
+function replayResponse(provider, url) {
+  const key = getRequestKey(url)
+  const id = `${provider}/${key}`
+  const sequences = getRecordedSequences(provider, key)
+  if (sequences.length === 0) {
+    throw new Error(`No recorded ${provider} response for ${url}`)
+  }
+  const cursor = state.sequences.get(id) || 0
+  const sequence = sequences[Math.min(cursor, sequences.length - 1)]
+  state.sequences.set(id, cursor + 1)
+
+  const fixture = JSON.parse(readFileSync(getFixturePath(provider, key, sequence), 'utf-8'))
+  return new Response(fixture.body, {
+    status: fixture.status,
+    headers: { 'content-type': fixture.contentType }
+  })
+}
+
+// Drop-in replacement for fetch() used by the provider services
+async function providerFetch(provider, url, options) {
+  if (state.mode === 'replay') {
+    return replayResponse(provider, url)
+  }
+
+  const response = await fetch(url, options)
+  if (state.mode === 'record') {
+    try {
+      await recordResponse(provider, url, response)
+    } catch (error) {
+      console.error(`Error recording ${provider} response for ${url}:`, error.message)
+    }
+  }
+  return response
+}
+
+export { configureFixtures, getFixtureMode, isReplaying, providerFetch, getRequestKey }
+export default providerFetch
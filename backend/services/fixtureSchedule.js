@@ -0,0 +1,119 @@
+// Fixture Schedule
+// Upcoming fixtures of tracked clubs (every known game, not just the next one), persisted to
+// data/cache/fixtureSchedule.json. Each fixture keeps a revision number that goes up whenever
+// its kickoff, teams or status change, so calendar subscribers pick up moved games.
+
+import { readFileSync, writeFileSync, existsSync } from 'fs'
+
+const KEEP_PAST_FIXTURES_MS = 24 * 60 * 60 * 1000 // Drop fixtures a day after kickoff
+
+// Fields that, when changed, mean subscribers should update the fixture
+const REVISED_FIELDS = ['kickoff', 'homeTeam', 'awayTeam', 'status', 'venue', 'competition']
+
+class FixtureSchedule {
+  constructor(filePath) {
+    this.filePath = filePath
+    this.fixtures = new Map() // `${provider}:${id}` -> scheduled fixture
+    this.load()
+  }
+
+  // Load the schedule from file
+  load() {
+    try {
+      if (existsSync(this.filePath)) {
+        const data = JSON.parse(readFileSync(this.filePath, 'utf-8'))
+        for (const fixture of data.fixtures || []) {
+          this.fixtures.set(this.getKey(fixture), fixture)
+        }
+        console.log(`Loaded ${this.fixtures.size} scheduled fixtures`)
+      }
+    } catch (error) {
+      console.error('Error loading fixture schedule:', error)
+    }
+  }
+
+  // Save the schedule to file
+  save() {
+    try {
+      const data = {
+        updatedAt: new Date().toISOString(),
+        fixtures: [...this.fixtures.values()]
+      }
+      writeFileSync(this.filePath, JSON.stringify(data, null, 2))
+    } catch (error) {
+      console.error('Error saving fixture schedule:', error)
+    }
+  }
+
+  getKey(fixture) {
+    return `${fixture.provider}:${fixture.id}`
+  }
+
+  // Merge a club's upcoming fixtures (provider Fixture objects) into the schedule.
+  // Returns the number of fixtures that were added or changed.
+  update(teamName, fixtures) {
+    const now = new Date().toISOString()
+    let changed = 0
+
+    for (const fixture of fixtures) {
+      if (!fixture?.id || !fixture.kickoff) continue
+      const key = this.getKey(fixture)
+      const existing = this.fixtures.get(key)
+      const fields = {
+        id: fixture.id,
+        provider: fixture.provider,
+        kickoff: fixture.kickoff,
+        homeTeam: fixture.homeTeam,
+        awayTeam: fixture.awayTeam,
+        status: fixture.status || 'upcoming',
+        venue: fixture.venue || '',
+        competition: fixture.competition || ''
+      }
+
+      if (!existing) {
+        this.fixtures.set(key, { ...fields, teams: [teamName], sequence: 0, createdAt: now, updatedAt: now })
+        changed++
+        continue
+      }
+
+      if (!existing.teams.includes(teamName)) existing.teams.push(teamName)
+      const revised = REVISED_FIELDS.filter(field => existing[field] !== fields[field])
+      if (revised.length > 0) {
+        if (revised.includes('kickoff')) {
+          console.log(`Schedule: ${fields.homeTeam} vs ${fields.awayTeam} moved from ${existing.kickoff} to ${fields.kickoff}`)
+        }
+        Object.assign(existing, fields, { sequence: existing.sequence + 1, updatedAt: now })
+        changed++
+      }
+    }
+    return changed
+  }
+
+  // Drop fixtures that kicked off more than a day ago and clubs no longer on the roster
+  prune(teamNames) {
+    const cutoff = Date.now() - KEEP_PAST_FIXTURES_MS
+    const teams = new Set(teamNames)
+    for (const [key, fixture] of this.fixtures) {
+      fixture.teams = fixture.teams.filter(team => teams.has(team))
+      if (fixture.teams.length === 0 || new Date(fixture.kickoff).getTime() < cutoff) {
+        this.fixtures.delete(key)
+      }
+    }
+  }
+
+  // Fixtures involving any of the given clubs, soonest first. Games that kicked off in the
+  // last day are kept so they don't vanish from calendars while being played.
+  getFixtures(teamNames = null) {
+    const teams = teamNames ? new Set(teamNames) : null
+    return [...this.fixtures.values()]
+      .filter(f => !teams || f.teams.some(team => teams.has(team)))
+      .sort((a, b) => new Date(a.kickoff) - new Date(b.kickoff))
+  }
+
+  getCount() {
+    return this.fixtures.size
+  }
+}
+
+export { FixtureSchedule }
+export default FixtureSchedule
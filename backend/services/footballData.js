@@ -1,6 +1,8 @@
 // Football-Data.org API Service
 // Documentation: https://www.football-data.org/documentation/api
 
+import { providerFetch, isReplaying } from './fixtureRecorder.js'
+
 const API_BASE = 'https://api.football-data.org/v4'
 
 class FootballDataService {
@@ -45,8 +47,8 @@ class FootballDataService {
       return cached.data
     }
 
-    // Enforce rate limiting before making the API call
-    await this.waitForRateLimit()
+    // Enforce rate limiting before making the API call (recorded responses don't count)
+    if (!isReplaying()) await this.waitForRateLimit()
 
     try {
       const headers = {}
@@ -54,7 +56,7 @@ class FootballDataService {
         headers['X-Auth-Token'] = this.apiKey
       }
 
-      const response = await fetch(`${API_BASE}${endpoint}`, { headers })
+      const response = await providerFetch('football-data', `${API_BASE}${endpoint}`, { headers })
 
       if (!response.ok) {
         const errorText = await response.text()
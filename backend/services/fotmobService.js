@@ -1,6 +1,8 @@
 // FotMob API Service for player statistics
 // Fetches detailed player performance data from FotMob
 
+import { providerFetch } from './fixtureRecorder.js'
+
 const FOTMOB_API_BASE = 'https://www.fotmob.com/api'
 
 // Team name to FotMob ID mapping
@@ -160,6 +162,27 @@ class FotMobService {
     this.liveCacheExpiry = 45 * 1000 // 45 seconds for live match data
     this.teamDataCache = new Map()
     this.playerIdCache = new Map() // playerName -> fotmobId
+    this.teamIdResolver = null // TeamIdResolver for clubs missing from TEAM_IDS (set by the tracker)
+  }
+
+  // FotMob team ID for a roster team name (TEAM_IDS first, then learned mappings)
+  getTeamId(teamName) {
+    return TEAM_IDS[teamName] || this.teamIdResolver?.getTeamId(teamName) || null
+  }
+
+  // Search FotMob for teams by name - returns [{ id, name }]
+  async searchTeams(term) {
+    const data = await this.fetchFromApi(`/search/suggest?term=${encodeURIComponent(term)}&lang=en`)
+    const groups = Array.isArray(data) ? data : [data]
+    const teams = []
+    for (const group of groups) {
+      for (const suggestion of group?.suggestions || []) {
+        if (suggestion.type === 'team' && suggestion.id) {
+          teams.push({ id: parseInt(suggestion.id), name: suggestion.name })
+        }
+      }
+    }
+    return teams
   }
 
   async fetchFromApi(endpoint, bypassCache = false) {
@@ -170,7 +193,7 @@ class FotMobService {
     }
 
     try {
-      const response = await fetch(`${FOTMOB_API_BASE}${endpoint}`)
+      const response = await providerFetch('fotmob', `${FOTMOB_API_BASE}${endpoint}`)
 
       if (!response.ok) {
         // Detect Cloudflare Turnstile / challenge responses
@@ -233,7 +256,7 @@ class FotMobService {
 
   // Get team data including squad and recent matches
   async getTeamData(teamName, forLiveData = false) {
-    const teamId = TEAM_IDS[teamName]
+    const teamId = this.getTeamId(teamName) || await this.teamIdResolver?.resolve(teamName)
     if (!teamId) {
       console.log(`FotMob: No team ID mapping for ${teamName}`)
       return null
@@ -272,7 +295,7 @@ class FotMobService {
     }
 
     try {
-      const response = await fetch(`https://www.fotmob.com/match/${matchId}`)
+      const response = await providerFetch('fotmob', `https://www.fotmob.com/match/${matchId}`)
       if (!response.ok) {
         throw new Error(`FotMob page returned ${response.status}`)
       }
@@ -332,7 +355,7 @@ class FotMobService {
     }
 
     try {
-      const response = await fetch(`https://www.fotmob.com/players/${fotmobPlayerId}`)
+      const response = await providerFetch('fotmob', `https://www.fotmob.com/players/${fotmobPlayerId}`)
       if (!response.ok) {
         throw new Error(`FotMob player page returned ${response.status}`)
       }
@@ -372,7 +395,7 @@ class FotMobService {
 
   // Get player's recent matches from their FotMob profile
   // If currentTeam is provided, only returns matches for that team
-  async getPlayerRecentMatches(fotmobPlayerId, currentTeam = null) {
+  async getPlayerRecentMatches(fotmobPlayerId, currentTeam = null, limit = 5) {
     const playerData = await this.getPlayerData(fotmobPlayerId)
     if (!playerData) return null
 
@@ -387,7 +410,7 @@ class FotMobService {
       matches = matches.filter(m => this.teamNamesMatch(m.teamName, currentTeam))
     }
 
-    for (const match of matches.slice(0, 5)) { // Last 5 matches
+    for (const match of matches.slice(0, limit)) { // Most recent first
       // Determine home/away teams based on isHomeTeam flag
       const playerTeam = match.teamName
       const opponentTeam = match.opponentTeamName
@@ -595,7 +618,7 @@ class FotMobService {
     if (!teamData?.overview?.lastMatch) return null
 
     const lastMatch = teamData.overview.lastMatch
-    const teamId = TEAM_IDS[teamName]
+    const teamId = this.getTeamId(teamName)
     const isHome = lastMatch.home?.id === teamId
 
     // Get full match details to get the date and competition
@@ -791,14 +814,14 @@ class FotMobService {
     )
     result.goals = goalEvents.length
     for (const goal of goalEvents) {
-      result.events.push({ type: 'goal', minute: goal.time })
+      result.events.push({ type: 'goal', minute: goal.time, id: goal.eventId ?? null })
     }
 
     // Count assists
     for (const event of matchEvents) {
       if (event.type === 'Goal' && this.playerNameMatches(event.assistInput, playerName)) {
         result.assists++
-        result.events.push({ type: 'assist', minute: event.time })
+        result.events.push({ type: 'assist', minute: event.time, id: event.eventId ?? null })
       }
     }
 
@@ -809,7 +832,7 @@ class FotMobService {
     )
     for (const card of cardEvents) {
       const cardType = card.card === 'Red' || card.type === 'Red' ? 'red' : 'yellow'
-      result.events.push({ type: cardType, minute: card.time })
+      result.events.push({ type: cardType, minute: card.time, id: card.eventId ?? null })
     }
 
     return result
@@ -992,7 +1015,7 @@ class FotMobService {
       if (isHome === null) {
         const teamData = await this.getTeamData(teamName)
         if (teamData?.overview?.lastMatch) {
-          const teamId = TEAM_IDS[teamName]
+          const teamId = this.getTeamId(teamName)
           isHome = teamData.overview.lastMatch.home?.id === teamId
         }
       }
@@ -0,0 +1,97 @@
+// Leaderboards
+// Ranks tracked players by totals over the current season or the last 30 days,
+// aggregated from stored appearances (see seasonStats.js)
+
+import { getSeasonRange, aggregateAppearances } from './seasonStats.js'
+
+const RECENT_DAYS = 30
+const MIN_RATED_GAMES = 3 // Average rating needs a few games to mean anything
+
+// Ranked stats: value from an aggregateAppearances() line. Ties on the value go to
+// whoever needed fewer minutes (counting stats) or more rated games (rating).
+const LEADERBOARD_STATS = {
+  goals: { label: 'Goals', value: s => s.goals },
+  assists: { label: 'Assists', value: s => s.assists },
+  contributions: { label: 'Goal contributions', value: s => s.goals + s.assists },
+  minutes: { label: 'Minutes', value: s => s.minutes },
+  starts: { label: 'Starts', value: s => s.starts },
+  rating: {
+    label: 'Average rating',
+    value: s => s.ratedGames >= MIN_RATED_GAMES ? s.avgRating : null,
+    tiebreak: (a, b) => b.ratedGames - a.ratedGames
+  }
+}
+
+const LEADERBOARD_PERIODS = ['season', '30d']
+
+const byFewerMinutes = (a, b) => a.minutes - b.minutes
+
+// Date range a player's appearances are counted over
+function getPeriodRange(player, period, now) {
+  if (period === '30d') {
+    return {
+      label: `Last ${RECENT_DAYS} days`,
+      start: new Date(now.getTime() - RECENT_DAYS * 24 * 60 * 60 * 1000),
+      end: now
+    }
+  }
+  // Each player's own league season (MLS runs on the calendar year)
+  return getSeasonRange(player.league, now)
+}
+
+// Rank players by a stat. getAppearances(playerId) returns stored appearances.
+// Players without a value (nothing recorded, too few rated games) are left out;
+// equal values share a rank (1, 2, 2, 4).
+function buildLeaderboard(players, getAppearances, { stat, period = 'season', limit = 25 }, now = new Date()) {
+  const definition = LEADERBOARD_STATS[stat]
+  const tiebreak = definition.tiebreak || byFewerMinutes
+
+  const rows = []
+  for (const player of players) {
+    const range = getPeriodRange(player, period, now)
+    const appearances = getAppearances(player.id).filter(a => {
+      if (a.status && a.status !== 'finished') return false
+      const date = new Date(a.date)
+      return date >= range.start && date < range.end
+    })
+    const stats = aggregateAppearances(appearances)
+    const value = definition.value(stats)
+    if (value === null || value === undefined || value <= 0) continue
+    rows.push({ player, value, stats, period: range.label })
+  }
+
+  rows.sort((a, b) => b.value - a.value || tiebreak(a.stats, b.stats) || a.player.name.localeCompare(b.player.name))
+
+  const entries = rows.slice(0, limit).map(row => ({
+    rank: rows.findIndex(r => r.value === row.value) + 1,
+    player: {
+      id: row.player.id,
+      name: row.player.name,
+      team: row.player.team,
+      league: row.player.league,
+      position: row.player.position,
+      image: row.player.image
+    },
+    value: row.value,
+    period: row.period,
+    stats: {
+      appearances: row.stats.appearances,
+      starts: row.stats.starts,
+      minutes: row.stats.minutes,
+      goals: row.stats.goals,
+      assists: row.stats.assists,
+      avgRating: row.stats.avgRating,
+      ratedGames: row.stats.ratedGames
+    }
+  }))
+
+  return {
+    stat,
+    label: definition.label,
+    period,
+    ranked: rows.length,
+    entries
+  }
+}
+
+export { LEADERBOARD_STATS, LEADERBOARD_PERIODS, MIN_RATED_GAMES, buildLeaderboard }
@@ -0,0 +1,24 @@
+// Lineup Window
+// Lineups are usually published about an hour before kickoff. The tracker checks FotMob for
+// lineup status from 45 minutes before kickoff until 15 minutes after; lineup notifications
+// use the same window so a stale "starting" status is never announced.
+
+const LINEUP_WINDOW_BEFORE_MIN = 45
+const LINEUP_WINDOW_AFTER_MIN = 15
+
+// Minutes until kickoff (negative once the match has started), or null without a kickoff time
+function getMinutesUntilKickoff(kickoff, now = new Date()) {
+  if (!kickoff) return null
+  const kickoffTime = new Date(kickoff)
+  if (isNaN(kickoffTime)) return null
+  return (kickoffTime - now) / (1000 * 60)
+}
+
+function isInLineupWindow(kickoff, now = new Date()) {
+  const minutesUntilKickoff = getMinutesUntilKickoff(kickoff, now)
+  return minutesUntilKickoff !== null &&
+    minutesUntilKickoff <= LINEUP_WINDOW_BEFORE_MIN &&
+    minutesUntilKickoff > -LINEUP_WINDOW_AFTER_MIN
+}
+
+export { isInLineupWindow, getMinutesUntilKickoff, LINEUP_WINDOW_BEFORE_MIN, LINEUP_WINDOW_AFTER_MIN }
@@ -0,0 +1,158 @@
+// Match Events
+// Compares a player's match entry before and after a poll and produces typed events
+// (kickoff, lineup announced, goal, assist, cards, substitutions, full time, final rating)
+
+const EVENT_TYPES = [
+  'kickoff',
+  'lineup_announced',
+  'goal',
+  'assist',
+  'yellow_card',
+  'red_card',
+  'sub_in',
+  'sub_out',
+  'full_time',
+  'rating_final'
+]
+
+// Tracker event types -> log event types
+const PLAYER_EVENT_TYPES = {
+  goal: 'goal',
+  assist: 'assist',
+  yellow: 'yellow_card',
+  red: 'red_card',
+  sub_in: 'sub_in',
+  sub_out: 'sub_out'
+}
+
+// Calendar day (UTC) of the kickoff - identifies the fixture across sources with different IDs
+const getMatchDay = entry => {
+  const date = new Date(entry.kickoff || entry.date || Date.now())
+  return isNaN(date) ? 'unknown' : date.toISOString().split('T')[0]
+}
+
+// Key a player event by its provider event ID when it has one, otherwise by type and
+// occurrence (second goal = goal:#2). The minute isn't part of the key: providers revise
+// minutes during a match (45' -> 45+2'), and the revised event isn't a new one.
+const getPlayerEventKeys = events => {
+  const seen = new Map()
+  return (events || []).map(event => {
+    if (event.id !== undefined && event.id !== null) return { event, key: `${event.type}:id:${event.id}` }
+    const occurrence = (seen.get(event.type) || 0) + 1
+    seen.set(event.type, occurrence)
+    return { event, key: `${event.type}:#${occurrence}` }
+  })
+}
+
+// Diff a player's match entry. `before` may be undefined (first time we've seen the match).
+// Returns event objects without id/timestamp (the event log assigns those). Each event has
+// a `key` that is stable across polls and restarts so the log can drop duplicates.
+function diffMatchEntry(player, before, after) {
+  if (!after || !after.status || after.status === 'no_match_today') return []
+
+  // A different fixture (e.g. yesterday's entry replaced by today's) is a fresh start
+  const previous = before && getMatchDay(before) === getMatchDay(after) ? before : null
+  const matchDay = getMatchDay(after)
+  const keyPrefix = `${player.id}:${matchDay}`
+  const events = []
+
+  const base = {
+    playerId: player.id,
+    playerName: player.name,
+    team: player.team,
+    league: player.league,
+    fixtureId: after.fixtureId || null,
+    match: {
+      homeTeam: after.homeTeam,
+      awayTeam: after.awayTeam,
+      homeScore: after.homeScore ?? null,
+      awayScore: after.awayScore ?? null,
+      isHome: after.isHome ?? null,
+      competition: after.competition || null,
+      kickoff: after.kickoff || null,
+      status: after.status,
+      minute: after.minute || null
+    }
+  }
+  const add = (type, key, fields = {}) => {
+    events.push({ ...base, type, key: `${keyPrefix}:${key}`, minute: null, ...fields })
+  }
+
+  // Lineup announced (only known in the window before kickoff)
+  if (after.lineupStatus && after.lineupStatus !== previous?.lineupStatus) {
+    add('lineup_announced', `lineup:${after.lineupStatus}`, { lineupStatus: after.lineupStatus })
+  }
+
+  // Kickoff
+  const wasStarted = previous?.status === 'live' || previous?.status === 'finished'
+  if ((after.status === 'live' || after.status === 'finished') && !wasStarted) {
+    add('kickoff', 'kickoff', { minute: 0 })
+  }
+
+  // Player events (goals, assists, cards, subs) not present before
+  const previousKeys = new Set(getPlayerEventKeys(previous?.events).map(e => e.key))
+  for (const { event, key } of getPlayerEventKeys(after.events)) {
+    const type = PLAYER_EVENT_TYPES[event.type]
+    if (!type || previousKeys.has(key)) continue
+    add(type, key, { minute: event.minute ?? null })
+  }
+
+  // Full time
+  if (after.status === 'finished' && previous?.status !== 'finished') {
+    add('full_time', 'full_time', {
+      minute: 90,
+      participated: after.participated ?? null,
+      started: after.started ?? null,
+      minutesPlayed: after.minutesPlayed ?? null
+    })
+  }
+
+  // Final rating - the first rating seen once the match is finished
+  if (after.status === 'finished' && after.rating !== null && after.rating !== undefined &&
+      (previous?.status !== 'finished' || previous?.rating === null || previous?.rating === undefined)) {
+    add('rating_final', 'rating_final', { rating: after.rating })
+  }
+
+  return events
+}
+
+// One-line human readable summary of an event, e.g.
+// "⚽ Ricardo Pepi scored (67') - PSV 2-1 Ajax"
+function describeEvent(event) {
+  const m = event.match || {}
+  const score = `${m.homeTeam} ${m.homeScore ?? 0}-${m.awayScore ?? 0} ${m.awayTeam}`
+  const fixture = `${m.homeTeam} vs ${m.awayTeam}`
+  const minute = event.minute !== null && event.minute !== undefined ? ` (${event.minute}')` : ''
+  const name = event.playerName
+
+  switch (event.type) {
+    case 'kickoff':
+      return `Kickoff: ${fixture} (${name})`
+    case 'lineup_announced':
+      if (event.lineupStatus === 'starting') return `📋 ${name} starts for ${event.team} - ${fixture}`
+      if (event.lineupStatus === 'bench') return `📋 ${name} on the bench for ${event.team} - ${fixture}`
+      return `📋 ${name} not in the squad - ${fixture}`
+    case 'goal':
+      return `⚽ ${name} scored${minute} - ${score}`
+    case 'assist':
+      return `🅰️ ${name} assist${minute} - ${score}`
+    case 'yellow_card':
+      return `🟨 ${name} booked${minute} - ${score}`
+    case 'red_card':
+      return `🟥 ${name} sent off${minute} - ${score}`
+    case 'sub_in':
+      return `🔼 ${name} came on${minute} - ${score}`
+    case 'sub_out':
+      return `🔽 ${name} subbed off${minute} - ${score}`
+    case 'full_time': {
+      const played = event.participated ? `${event.minutesPlayed ?? '?'} min` : 'did not play'
+      return `FT: ${score} - ${name} ${played}`
+    }
+    case 'rating_final':
+      return `⭐ ${name} rated ${event.rating} - ${score}`
+    default:
+      return `${name}: ${event.type} - ${score}`
+  }
+}
+
+export { EVENT_TYPES, diffMatchEntry, describeEvent }
@@ -2,32 +2,72 @@
 // Handles tracking matches for American players
 // Integrates with FotMob for player-level statistics
 
+import { EventEmitter } from 'events'
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs'
 import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
 import { LEAGUE_CODES, EUROPEAN_COMPETITIONS } from './footballData.js'
-import FotMobService, { TEAM_IDS } from './fotmobService.js'
+import FotMobService from './fotmobService.js'
+import AppearanceStore from './appearanceStore.js'
+import TeamIdResolver from './teamIdResolver.js'
+import EventLog from './eventLog.js'
+import FixtureSchedule from './fixtureSchedule.js'
+import { diffMatchEntry } from './matchEvents.js'
+import { isInLineupWindow, getMinutesUntilKickoff } from './lineupWindow.js'
+import { getLocalDate } from './matchday.js'
+import { CAPABILITIES, createProviderRegistry } from './providers/index.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
 
-class MatchTrackerFD {
-  constructor(apiService) {
+// Fields whose changes are pushed to stream subscribers ('update' event)
+const PUBLISHED_FIELDS = ['status', 'homeScore', 'awayScore', 'minute', 'events', 'lineupStatus', 'kickoff']
+
+const SCHEDULE_REFRESH_MS = 6 * 60 * 60 * 1000 // Re-read clubs' fixture lists every 6 hours
+const SCHEDULE_DAYS_AHEAD = 14 // Date window for providers that search fixtures by date (FD caps ranges)
+const MATCH_LOG_FETCH_LIMIT = 10 // Recent matches read from a player's FotMob profile for the player page
+
+class MatchTrackerFD extends EventEmitter {
+  // cacheDir and manualStatsFile default to the US tracker's data/cache and data/playerStats.json
+  constructor(apiService, players = null, providers = null, {
+    cacheDir = join(__dirname, '../data/cache'),
+    manualStatsFile = join(__dirname, '../data/playerStats.json'),
+    timezone = 'America/New_York'
+  } = {}) {
+    super()
     this.api = apiService
     this.fotmob = new FotMobService()
-    this.players = this.loadPlayers()
+    this.players = players || this.loadPlayers()
+    // Which source to use for what, per league (see services/providers/index.js)
+    this.providers = providers || createProviderRegistry({
+      priorityFile: join(__dirname, '../data/providers.json'),
+      footballData: apiService,
+      fotmob: this.fotmob,
+      teamMatches: (a, b) => this.teamMatches(a, b),
+      findFotMobMatch: (playerId, date) => this.findFotMobMatchForDate(playerId, date),
+      findManualMatch: (playerId, date) => this.findManualMatchForDate(playerId, date)
+    })
     this.matchData = new Map() // playerId -> today's match data
     this.lastGameData = new Map() // playerId -> last game data
     this.nextGameData = new Map() // playerId -> next upcoming game (cached)
     this.fotmobData = new Map() // playerId -> FotMob match data (cached)
     this.manualStats = new Map() // playerId -> manually entered stats
+    this.rosterDiscrepancies = null // Last transfer check: { checkedAt, discrepancies }
+    this.matchday = null // Pinned 'today' (YYYY-MM-DD) when replaying a recorded matchday
+    this.timezone = timezone // Timezone whose calendar day is 'today'
+    this.published = new Map() // playerId -> last published fields (JSON), for stream deltas
     this.isPolling = false
     this.pollInterval = null
-    const cacheDir = join(__dirname, '../data/cache')
+    this.scheduleInterval = null
     mkdirSync(cacheDir, { recursive: true })
     this.cacheFile = join(cacheDir, 'nextGamesCache.json')
     this.fotmobCacheFile = join(cacheDir, 'fotmobCache.json')
-    this.manualStatsFile = join(__dirname, '../data/playerStats.json')
+    this.manualStatsFile = manualStatsFile // Hand-entered stats, optional
+    this.appearances = new AppearanceStore(join(cacheDir, 'appearances.json')) // playerId -> match history
+    this.teamIds = new TeamIdResolver(join(cacheDir, 'teamIds.json'), this.fotmob, this.players)
+    this.fotmob.teamIdResolver = this.teamIds
+    this.eventLog = new EventLog(join(cacheDir, 'events.jsonl')) // Match events (goals, cards, lineups...)
+    this.schedule = new FixtureSchedule(join(cacheDir, 'fixtureSchedule.json')) // Clubs' upcoming fixtures
     this.loadNextGamesCache()
     this.loadFotMobCache()
     this.loadManualStats()
@@ -44,6 +84,45 @@ class MatchTrackerFD {
     }
   }
 
+  // Hot-reload the roster (called when players are added/edited/removed through the API)
+  // Players who left or changed team lose their cached match state so stale games aren't shown
+  setPlayers(players) {
+    const previous = new Map(this.players.map(p => [p.id, p]))
+    this.players = players
+    this.teamIds.setPlayers(players)
+
+    const currentIds = new Set(players.map(p => p.id))
+    let needsRefresh = players.some(p => !previous.has(p.id))
+    for (const [playerId, oldPlayer] of previous) {
+      const current = players.find(p => p.id === playerId)
+      if (!currentIds.has(playerId) || current.team !== oldPlayer.team) {
+        this.clearPlayerState(playerId)
+        if (current) needsRefresh = true
+      }
+    }
+    this.saveNextGamesCache()
+    this.saveFotMobCache()
+    console.log(`Roster reloaded: tracking ${players.length} players`)
+
+    // New or transferred players have no last/next game until the next full refresh,
+    // which the polling loop never does on its own - kick one off in the background
+    if (needsRefresh && this.isPolling) {
+      this.updateLastGameData()
+        .then(() => this.updateNextGameData())
+        .then(() => this.publishChanges())
+        .then(() => this.updateFixtureSchedule())
+        .catch(error => console.error('Error refreshing games after roster change:', error))
+    }
+  }
+
+  // Drop cached match/last/next game data for a player
+  clearPlayerState(playerId) {
+    this.matchData.delete(playerId)
+    this.lastGameData.delete(playerId)
+    this.nextGameData.delete(playerId)
+    this.fotmobData.delete(playerId)
+  }
+
   // Load cached next games from file
   loadNextGamesCache() {
     try {
@@ -158,18 +237,24 @@ class MatchTrackerFD {
     return byTeam
   }
 
-  // Get today's date in YYYY-MM-DD format (Eastern time)
-  // Using Eastern time so that European games played on the same calendar day
-  // don't disappear after midnight UTC (which is only ~7pm Eastern)
+  // Get today's date in YYYY-MM-DD format in the tracker's timezone (the nation's by default)
+  // so that European games played on the same calendar day don't disappear after
+  // midnight UTC (which is only ~7pm Eastern)
   getTodayDate() {
-    return new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' })
+    if (this.matchday) return this.matchday
+    return getLocalDate(new Date(), this.timezone)
   }
 
-  // Get date N days ago/ahead in YYYY-MM-DD format (Eastern time)
+  // Get date N days ago/ahead in YYYY-MM-DD format (tracker's timezone)
   getDateOffset(daysOffset) {
+    if (this.matchday) {
+      const date = new Date(`${this.matchday}T12:00:00Z`)
+      date.setUTCDate(date.getUTCDate() + daysOffset)
+      return date.toISOString().split('T')[0]
+    }
     const date = new Date()
     date.setDate(date.getDate() + daysOffset)
-    return date.toLocaleDateString('en-CA', { timeZone: 'America/New_York' })
+    return getLocalDate(date, this.timezone)
   }
 
   // Check if a lineup player name matches our player's full name.
@@ -354,10 +439,10 @@ class MatchTrackerFD {
   getSupportedLeagueCodes() {
     const codes = new Set()
 
-    // Add domestic league codes for players
+    // Add domestic league codes for players whose league uses Football-Data.org for fixtures
     for (const player of this.players) {
       const code = LEAGUE_CODES[player.league]
-      if (code) codes.add(code)
+      if (code && this.usesFootballData(player.league)) codes.add(code)
     }
 
     // Add European competitions (Champions League, Europa League)
@@ -369,6 +454,11 @@ class MatchTrackerFD {
     return Array.from(codes).join(',')
   }
 
+  // Whether Football-Data.org is the fixtures source for a league (per data/providers.json)
+  usesFootballData(league) {
+    return this.providers.isPrimary('football-data', CAPABILITIES.FIXTURES_BY_DATE, league)
+  }
+
   // Check if we need to refresh next game for a team
   needsNextGameRefresh(teamName) {
     const players = this.players.filter(p => p.team === teamName)
@@ -411,6 +501,7 @@ class MatchTrackerFD {
 
         // Check if any of our players' teams are playing
         for (const [teamName, players] of Object.entries(playersByTeam)) {
+          if (!this.usesFootballData(players[0].league)) continue
           let isHome = null
 
           if (this.teamMatches(homeTeam, teamName)) {
@@ -518,11 +609,13 @@ class MatchTrackerFD {
                 assists: playerEvents.filter(e => e.type === 'assist').length,
                 competition: match.competition?.name
               })
+              this.recordAppearance(player.id, this.matchData.get(player.id), 'api')
             }
           }
         }
       }
 
+      this.appearances.save()
       console.log(`Updated match data for ${this.matchData.size} players from Football-Data.org`)
       return true
     } catch (error) {
@@ -544,6 +637,9 @@ class MatchTrackerFD {
         if (processedTeams.has(teamName)) continue
         processedTeams.add(teamName)
 
+        // Skip leagues configured without FotMob
+        if (!this.providers.usesProvider('fotmob', CAPABILITIES.MATCH_DETAILS, players[0].league)) continue
+
         // Check if any player from this team already has match data from Football-Data.org
         // (We still want to update FotMob-sourced matches to catch status changes)
         const hasFootballDataMatch = players.some(p => {
@@ -556,25 +652,27 @@ class MatchTrackerFD {
           // augment with FotMob lineup status (FD free tier has no lineup data for upcoming games)
           const fdMatch = this.matchData.get(players[0].id)
           if (fdMatch?.status === 'upcoming' && fdMatch.kickoff) {
-            const minutesUntilKickoff = (new Date(fdMatch.kickoff) - new Date()) / 60000
-            if (minutesUntilKickoff <= 45 && minutesUntilKickoff > -15) {
+            if (isInLineupWindow(fdMatch.kickoff)) {
               try {
                 const teamData = await this.fotmob.getTeamData(teamName, false)
-                const fotmobMatchId = teamData?.overview?.nextMatch?.id
-                if (fotmobMatchId) {
-                  const teamId = TEAM_IDS[teamName] || this.getTeamIdFromFotMob(teamName, teamData)
-                  const isHome = teamData.overview.nextMatch.home?.id === teamId
+                const nextMatch = teamData?.overview?.nextMatch
+                if (nextMatch?.id) {
+                  const teamId = this.fotmob.getTeamId(teamName) || this.getTeamIdFromFotMob(teamName, teamData)
+                  const fixture = {
+                    id: nextMatch.id,
+                    provider: 'fotmob',
+                    kickoff: fdMatch.kickoff,
+                    homeTeam: fdMatch.homeTeam,
+                    awayTeam: fdMatch.awayTeam,
+                    isHome: nextMatch.home?.id === teamId
+                  }
+                  const { source, statuses } = await this.getLineupStatuses(fixture, players)
                   for (const player of players) {
-                    try {
-                      const lineupInfo = await this.fotmob.getPlayerLineupStatus(fotmobMatchId, player.name, isHome)
-                      if (lineupInfo) {
-                        const existing = this.matchData.get(player.id)
-                        if (existing) {
-                          this.matchData.set(player.id, { ...existing, lineupStatus: lineupInfo.status })
-                          console.log(`FotMob: ${player.name} lineup status (FD match): ${lineupInfo.status}`)
-                        }
-                      }
-                    } catch (err) { /* continue */ }
+                    const existing = this.matchData.get(player.id)
+                    if (existing && statuses.has(player.id)) {
+                      this.matchData.set(player.id, { ...existing, lineupStatus: statuses.get(player.id) })
+                      console.log(`${source}: ${player.name} lineup status (FD match): ${statuses.get(player.id)}`)
+                    }
                   }
                 }
               } catch (err) {
@@ -591,10 +689,11 @@ class MatchTrackerFD {
           if (!teamData?.overview) continue
 
           // CRITICAL: Verify FotMob returned data for the correct team
-          // This catches wrong team ID mappings in TEAM_IDS
+          // This catches wrong team ID mappings in TEAM_IDS (and wrongly learned ones)
           const fotmobTeamName = teamData.details?.name || teamData.details?.shortName
           if (fotmobTeamName && !this.teamMatches(fotmobTeamName, teamName)) {
             console.log(`FotMob: Team ID mismatch for ${teamName} - FotMob returned "${fotmobTeamName}"`)
+            this.teamIds.forget(teamName, `FotMob returned "${fotmobTeamName}" for the learned ID`)
             continue
           }
 
@@ -606,7 +705,7 @@ class MatchTrackerFD {
 
           // First check if nextMatch is today (live or upcoming)
           if (nextMatch?.status?.utcTime) {
-            const nextMatchDate = new Date(nextMatch.status.utcTime).toLocaleDateString('en-CA', { timeZone: 'America/New_York' })
+            const nextMatchDate = getLocalDate(nextMatch.status.utcTime, this.timezone)
             if (nextMatchDate === today) {
               matchToUse = nextMatch
             }
@@ -614,7 +713,7 @@ class MatchTrackerFD {
 
           // If no nextMatch today, check if lastMatch is today (just finished)
           if (!matchToUse && lastMatch?.status?.utcTime) {
-            const lastMatchDate = new Date(lastMatch.status.utcTime).toLocaleDateString('en-CA', { timeZone: 'America/New_York' })
+            const lastMatchDate = getLocalDate(lastMatch.status.utcTime, this.timezone)
             if (lastMatchDate === today && lastMatch.status?.finished) {
               matchToUse = lastMatch
             }
@@ -662,7 +761,7 @@ class MatchTrackerFD {
           }
 
           // Determine if player's team is home or away
-          const teamId = TEAM_IDS[teamName] || this.getTeamIdFromFotMob(teamName, teamData)
+          const teamId = this.fotmob.getTeamId(teamName) || this.getTeamIdFromFotMob(teamName, teamData)
 
           const homeTeam = matchToUse.home?.name || 'Unknown'
           const awayTeam = matchToUse.away?.name || 'Unknown'
@@ -687,10 +786,19 @@ class MatchTrackerFD {
               : this.teamMatches(homeTeam, teamName)
 
           // Check if upcoming game is within 45 minutes of kickoff (lineups usually available)
-          const kickoffTime = matchToUse.status?.utcTime ? new Date(matchToUse.status.utcTime) : null
-          const now = new Date()
-          const minutesUntilKickoff = kickoffTime ? (kickoffTime - now) / (1000 * 60) : null
-          const isLineupWindow = status === 'upcoming' && minutesUntilKickoff !== null && minutesUntilKickoff <= 45 && minutesUntilKickoff > -15
+          const minutesUntilKickoff = getMinutesUntilKickoff(matchToUse.status?.utcTime)
+          const isLineupWindow = status === 'upcoming' && isInLineupWindow(matchToUse.status?.utcTime)
+
+          // The match as a provider fixture, for stats and lineups from the configured providers
+          const fixture = {
+            id: matchToUse.id,
+            provider: 'fotmob',
+            kickoff: matchToUse.status?.utcTime,
+            homeTeam,
+            awayTeam,
+            isHome
+          }
+          const lineups = isLineupWindow ? await this.getLineupStatuses(fixture, players) : null
 
           // Add match data for all players on this team
           for (const player of players) {
@@ -706,7 +814,12 @@ class MatchTrackerFD {
             // For live or finished games, fetch detailed player stats
             if (status === 'live' || status === 'finished') {
               try {
-                const stats = await this.fotmob.getPlayerStatsFromMatch(matchToUse.id, player.name, isHome, forLiveData)
+                const found = await this.providers.firstResult(
+                  CAPABILITIES.PLAYER_MATCH_STATS,
+                  player.league,
+                  provider => provider.getPlayerMatchStats(player, fixture, { live: forLiveData })
+                )
+                const stats = found?.result
                 if (stats) {
                   playerStats = {
                     participated: stats.participated,
@@ -725,7 +838,7 @@ class MatchTrackerFD {
                     minute = stats.liveMinute
                   }
                   if (stats.participated) {
-                    console.log(`FotMob: ${player.name} - ${status}, ${minute}', started: ${stats.started}, rating: ${stats.rating}`)
+                    console.log(`${found.provider}: ${player.name} - ${status}, ${minute}', started: ${stats.started}, rating: ${stats.rating}`)
                   }
                 }
               } catch (err) {
@@ -754,16 +867,9 @@ class MatchTrackerFD {
             }
 
             // For upcoming games within 45 minutes, check lineup
-            if (isLineupWindow) {
-              try {
-                const lineupInfo = await this.fotmob.getPlayerLineupStatus(matchToUse.id, player.name, isHome)
-                if (lineupInfo) {
-                  playerStats.lineupStatus = lineupInfo.status // 'starting', 'bench', or 'not_in_squad'
-                  console.log(`FotMob: ${player.name} lineup status: ${lineupInfo.status} (${Math.round(minutesUntilKickoff)} min to kickoff)`)
-                }
-              } catch (err) {
-                // Continue without lineup status if fetch fails
-              }
+            if (lineups?.statuses.has(player.id)) {
+              playerStats.lineupStatus = lineups.statuses.get(player.id) // 'starting', 'bench', or 'not_in_squad'
+              console.log(`${lineups.source}: ${player.name} lineup status: ${playerStats.lineupStatus} (${Math.round(minutesUntilKickoff)} min to kickoff)`)
             }
 
             this.matchData.set(player.id, {
@@ -790,6 +896,7 @@ class MatchTrackerFD {
               competition: matchToUse.tournament?.name || 'Unknown',
               source: 'fotmob'
             })
+            this.recordAppearance(player.id, this.matchData.get(player.id), 'fotmob')
             addedCount++
           }
 
@@ -805,6 +912,7 @@ class MatchTrackerFD {
         await new Promise(resolve => setTimeout(resolve, 100))
       }
 
+      this.appearances.save()
       if (addedCount > 0) {
         console.log(`FotMob: Added match data for ${addedCount} players`)
       }
@@ -819,8 +927,33 @@ class MatchTrackerFD {
   getTeamIdFromFotMob(teamName, teamData) {
     // Try to extract from team data
     if (teamData?.details?.id) return teamData.details.id
-    // Fallback to TEAM_IDS mapping (imported at top of file)
-    return TEAM_IDS[teamName] || null
+    // Fallback to TEAM_IDS / learned mappings
+    return this.fotmob.getTeamId(teamName)
+  }
+
+  // Lineup status of a team's players for a fixture, from the first lineups provider for
+  // their league that has the lineup: { source, statuses: Map(playerId -> 'starting' |
+  // 'bench' | 'not_in_squad') }. Empty until a lineup is announced.
+  async getLineupStatuses(fixture, players) {
+    const statuses = new Map()
+    const found = await this.providers.firstResult(
+      CAPABILITIES.LINEUPS,
+      players[0].league,
+      provider => provider.getLineups(fixture, { league: players[0].league })
+    )
+    const lineup = fixture.isHome ? found?.result.home : found?.result.away
+    if (!lineup) return { source: found?.provider || null, statuses }
+
+    for (const player of players) {
+      if (lineup.starters.some(name => this.lineupNameMatches(name, player.name))) {
+        statuses.set(player.id, 'starting')
+      } else if (lineup.bench.some(name => this.lineupNameMatches(name, player.name))) {
+        statuses.set(player.id, 'bench')
+      } else {
+        statuses.set(player.id, 'not_in_squad')
+      }
+    }
+    return { source: found.provider, statuses }
   }
 
   // Update last game data
@@ -866,6 +999,15 @@ class MatchTrackerFD {
             }
 
             this.lastGameData.set(player.id, lastGameEntry)
+            this.recordAppearance(player.id, lastGameEntry, 'fotmob_player_api')
+            if (lastGameEntry.missedGame) {
+              this.recordAppearance(player.id, {
+                ...lastGameEntry.missedGame,
+                participated: false,
+                minutesPlayed: 0,
+                started: false
+              }, 'fotmob_player_api')
+            }
             fotmobPlayerApiCount++
             console.log(`FotMob Player API: ${player.name} - last played ${new Date(fotmobMatch.date).toLocaleDateString()}`)
           }
@@ -899,7 +1041,7 @@ class MatchTrackerFD {
           const lastMatch = teamData.overview.lastMatch
           if (!lastMatch) continue
 
-          const teamId = TEAM_IDS[teamName]
+          const teamId = this.fotmob.getTeamId(teamName)
           const isHome = lastMatch.home?.id === teamId
           const matchDate = lastMatch.status?.utcTime || null
 
@@ -925,6 +1067,7 @@ class MatchTrackerFD {
               competition: lastMatch.tournament?.name || 'Unknown',
               source: 'fotmob_team_lineup'
             })
+            this.recordAppearance(player.id, this.lastGameData.get(player.id), 'fotmob_team_lineup')
             teamLineupFallbackCount++
             if (stats.participated) {
               console.log(`FotMob Team Lineup: ${player.name} - started: ${stats.started}, rating: ${stats.rating}`)
@@ -1048,34 +1191,38 @@ class MatchTrackerFD {
               let goals = playerEvents.filter(e => e.type === 'goal').length
               let assists = playerEvents.filter(e => e.type === 'assist').length
               let rating = null
-              const fotmobMatch = this.findFotMobMatchForDate(player.id, match.utcDate)
-              const manualMatch = this.findManualMatchForDate(player.id, match.utcDate)
-
-              let fotmobFixtureId = null
-              if (fotmobMatch) {
-                // Use FotMob data for player stats
-                playerEvents = fotmobMatch.events || []
-                minutesPlayed = fotmobMatch.minutesPlayed || 0
-                started = fotmobMatch.started
-                participated = fotmobMatch.participated
-                goals = fotmobMatch.goals || 0
-                assists = fotmobMatch.assists || 0
-                rating = fotmobMatch.rating
-                fotmobFixtureId = fotmobMatch.matchId || null
-                statsSource = 'fotmob'
-                console.log(`Using FotMob data for ${player.name}: ${minutesPlayed}min, ${goals}g, ${assists}a, rating: ${rating}`)
-              } else if (manualMatch) {
-                // Use manual stats as fallback
-                playerEvents = manualMatch.events || []
-                minutesPlayed = manualMatch.minutesPlayed || 0
-                started = manualMatch.started
-                participated = manualMatch.participated
-                statsSource = 'manual'
-                console.log(`Using manual stats for ${player.name}: ${minutesPlayed}min, ${playerEvents.filter(e => e.type === 'goal').length} goals`)
+              // Player stats from the first provider with data, in configured priority order
+              // (FotMob, then manual stats by default)
+              const found = await this.providers.firstResult(
+                CAPABILITIES.PLAYER_MATCH_STATS,
+                player.league,
+                provider => provider.getPlayerMatchStats(player, {
+                  id: match.id,
+                  provider: 'football-data',
+                  kickoff: match.utcDate,
+                  homeTeam,
+                  awayTeam,
+                  isHome
+                })
+              )
+
+              let statsFixtureId = null
+              if (found) {
+                const stats = found.result
+                playerEvents = stats.events || []
+                minutesPlayed = stats.minutesPlayed || 0
+                started = stats.started
+                participated = stats.participated
+                goals = stats.goals || 0
+                assists = stats.assists || 0
+                rating = stats.rating ?? null
+                statsFixtureId = stats.matchId || null
+                statsSource = found.provider
+                console.log(`Using ${found.provider} data for ${player.name}: ${minutesPlayed}min, ${goals}g, ${assists}a, rating: ${rating}`)
               }
 
               this.lastGameData.set(player.id, {
-                fixtureId: fotmobFixtureId || null,
+                fixtureId: statsFixtureId,
                 date: match.utcDate,
                 homeTeam: homeTeam,
                 awayTeam: awayTeam,
@@ -1092,11 +1239,13 @@ class MatchTrackerFD {
                 competition: match.competition?.name,
                 source: statsSource
               })
+              this.recordAppearance(player.id, this.lastGameData.get(player.id), statsSource)
             }
           }
         }
       }
 
+      this.appearances.save()
       console.log(`Updated last game data for ${this.lastGameData.size} players`)
       return true
     } catch (error) {
@@ -1129,6 +1278,7 @@ class MatchTrackerFD {
           // PREFER direct player API if fotmobId is available
           if (player.fotmobId) {
             const recentMatches = await this.fotmob.getPlayerRecentMatches(player.fotmobId, player.team)
+            this.recordRecentMatches(player, recentMatches)
             if (recentMatches && recentMatches.length > 0) {
               const lastMatch = recentMatches[0]
               stats = {
@@ -1163,7 +1313,7 @@ class MatchTrackerFD {
               const teamData = await this.fotmob.getTeamData(player.team)
               const lastMatch = teamData?.overview?.lastMatch
               if (lastMatch) {
-                const teamId = TEAM_IDS[player.team]
+                const teamId = this.fotmob.getTeamId(player.team)
                 const isHomeMatch = lastMatch.home?.id === teamId
                 stats = {
                   matchId: lastMatch.id || null,
@@ -1236,6 +1386,7 @@ class MatchTrackerFD {
         this.saveFotMobCache()
         console.log(`FotMob: Updated data for ${updated} players`)
       }
+      this.appearances.save()
 
       return true
     } catch (error) {
@@ -1244,6 +1395,25 @@ class MatchTrackerFD {
     }
   }
 
+  // Record a live/finished match in the persistent appearance store
+  // Upcoming matches are skipped - an appearance only exists once the game kicks off
+  recordAppearance(playerId, entry, source) {
+    if (!entry) return
+    if (entry.status && entry.status !== 'live' && entry.status !== 'finished') return
+    this.appearances.record(playerId, entry, source)
+  }
+
+  // Record every match from a player's FotMob profile (not just the latest)
+  recordRecentMatches(player, recentMatches) {
+    if (!recentMatches) return
+    for (const match of recentMatches) {
+      this.recordAppearance(player.id, {
+        ...match,
+        isHome: this.teamMatches(match.homeTeam, player.team)
+      }, 'fotmob_player_api')
+    }
+  }
+
   // Get FotMob match data for a specific date and player
   findFotMobMatchForDate(playerId, matchDate) {
     const cached = this.fotmobData.get(playerId)
@@ -1267,6 +1437,7 @@ class MatchTrackerFD {
 
     try {
       const recentMatches = await this.fotmob.getPlayerRecentMatches(player.fotmobId, player.team)
+      this.recordRecentMatches(player, recentMatches)
 
       // Helper to determine isHome - use consistent teamMatches function
       const getIsHome = (match) => {
@@ -1416,76 +1587,35 @@ class MatchTrackerFD {
 
       console.log(`Fetching next games for ${teamsNeedingRefresh.length} teams`)
 
-      // Use FotMob as primary source (team-ID-based, reliable)
-      for (const teamName of teamsNeedingRefresh) {
-        try {
-          const teamData = await this.fotmob.getTeamData(teamName)
-          const nextMatch = teamData?.overview?.nextMatch
-          if (nextMatch?.status?.utcTime) {
-            const kickoff = nextMatch.status.utcTime
-            if (new Date(kickoff) > new Date()) {
-              const homeTeam = nextMatch.home?.name || 'TBD'
-              const awayTeam = nextMatch.away?.name || 'TBD'
-              const teamId = TEAM_IDS[teamName]
-              const isHome = nextMatch.home?.id === teamId
-              const players = playersByTeam[teamName]
-              for (const player of players) {
-                this.nextGameData.set(player.id, {
-                  fixtureId: nextMatch.id || null,
-                  kickoff,
-                  homeTeam,
-                  awayTeam,
-                  isHome,
-                  venue: '',
-                  competition: nextMatch.tournament?.name || ''
-                })
-              }
-            }
-          }
-        } catch (err) {
-          // Will try football-data.org fallback below
-        }
+      // Ask each next-fixture provider in priority order for the team's league
+      // (FotMob first by default - team-ID-based, reliable; Football-Data.org as fallback)
+      const dateWindow = {
+        leagues: [...new Set(this.players.map(p => p.league))],
+        dateFrom: this.getTodayDate(),
+        dateTo: this.getDateOffset(14)
       }
-
-      // Football-data.org fallback for teams without FotMob data
-      const teamsStillNeeding = teamsNeedingRefresh.filter(team => {
-        const players = playersByTeam[team]
-        return players.some(p => !this.nextGameData.has(p.id))
-      })
-
-      if (teamsStillNeeding.length > 0) {
-        console.log(`Football-data.org fallback: Fetching next games for ${teamsStillNeeding.length} teams`)
-        const today = this.getTodayDate()
-        const twoWeeksAhead = this.getDateOffset(14)
-        const matches = await this.fetchMatches(today, twoWeeksAhead)
-        matches.sort((a, b) => new Date(a.utcDate) - new Date(b.utcDate))
-
-        for (const teamName of teamsStillNeeding) {
-          const players = playersByTeam[teamName]
-          for (const match of matches) {
-            const homeTeam = match.homeTeam?.name || match.homeTeam?.shortName
-            const awayTeam = match.awayTeam?.name || match.awayTeam?.shortName
-            let isHome = null
-            if (this.teamMatches(homeTeam, teamName)) {
-              isHome = true
-            } else if (this.teamMatches(awayTeam, teamName)) {
-              isHome = false
-            }
-            if (isHome !== null) {
-              for (const player of players) {
-                this.nextGameData.set(player.id, {
-                  fixtureId: match.id,
-                  kickoff: match.utcDate,
-                  homeTeam,
-                  awayTeam,
-                  isHome,
-                  venue: match.venue || '',
-                  competition: match.competition?.name
-                })
-              }
-              break
-            }
-          }
+      for (const teamName of teamsNeedingRefresh) {
+        const players = playersByTeam[teamName]
+        const found = await this.providers.firstResult(
+          CAPABILITIES.NEXT_FIXTURE,
+          players[0].league,
+          provider => provider.getNextFixture(teamName, dateWindow)
+        )
+        if (!found) continue
+
+        const fixture = found.result
+        const isHome = fixture.isHome ?? this.teamMatches(fixture.homeTeam, teamName)
+        for (const player of players) {
+          this.nextGameData.set(player.id, {
+            fixtureId: fixture.id || null,
+            kickoff: fixture.kickoff,
+            homeTeam: fixture.homeTeam,
+            awayTeam: fixture.awayTeam,
+            isHome,
+            venue: fixture.venue || '',
+            competition: fixture.competition || '',
+            source: found.provider
+          })
         }
       }
 
@@ -1498,6 +1628,150 @@ class MatchTrackerFD {
     }
   }
 
+  // Refresh every club's upcoming fixtures (for the calendar feed). Clubs whose providers
+  // have no fixture list fall back to the cached next game.
+  async updateFixtureSchedule() {
+    try {
+      const playersByTeam = this.getPlayersByTeam()
+      const dateWindow = {
+        leagues: [...new Set(this.players.map(p => p.league))],
+        dateFrom: this.getTodayDate(),
+        dateTo: this.getDateOffset(SCHEDULE_DAYS_AHEAD)
+      }
+      let changed = 0
+
+      for (const [teamName, players] of Object.entries(playersByTeam)) {
+        const found = await this.providers.firstResult(
+          CAPABILITIES.TEAM_FIXTURES,
+          players[0].league,
+          provider => provider.getTeamFixtures(teamName, dateWindow)
+        )
+        if (found?.result.length > 0) {
+          changed += this.schedule.update(teamName, found.result)
+          continue
+        }
+
+        const nextGame = players.map(p => this.nextGameData.get(p.id)).find(g => g?.fixtureId)
+        if (nextGame) {
+          changed += this.schedule.update(teamName, [{
+            id: nextGame.fixtureId,
+            provider: nextGame.source || 'football-data',
+            kickoff: nextGame.kickoff,
+            homeTeam: nextGame.homeTeam,
+            awayTeam: nextGame.awayTeam,
+            venue: nextGame.venue,
+            competition: nextGame.competition
+          }])
+        }
+      }
+
+      this.schedule.prune(Object.keys(playersByTeam))
+      this.schedule.save()
+      console.log(`Fixture schedule: ${this.schedule.getCount()} fixtures (${changed} new or changed)`)
+      return true
+    } catch (error) {
+      console.error('Error updating fixture schedule:', error)
+      return false
+    }
+  }
+
+  // Scheduled fixtures with the tracked players involved, optionally limited to some players
+  getUpcomingFixtures(players = this.players) {
+    const teams = [...new Set(players.map(p => p.team))]
+    return this.schedule.getFixtures(teams).map(fixture => ({
+      ...fixture,
+      players: players.filter(p => fixture.teams.includes(p.team))
+    }))
+  }
+
+  // A player's next few fixtures from the schedule (falls back to the cached next game)
+  getPlayerNextFixtures(player, limit = 5) {
+    const now = new Date()
+    const fixtures = this.getUpcomingFixtures([player])
+      .filter(f => new Date(f.kickoff) > now)
+      .slice(0, limit)
+      .map(f => ({
+        fixtureId: f.id,
+        provider: f.provider,
+        kickoff: f.kickoff,
+        homeTeam: f.homeTeam,
+        awayTeam: f.awayTeam,
+        isHome: this.teamMatches(f.homeTeam, player.team),
+        competition: f.competition,
+        venue: f.venue,
+        status: f.status
+      }))
+    if (fixtures.length > 0) return fixtures
+    const nextGame = this.nextGameData.get(player.id)
+    return nextGame ? [nextGame] : []
+  }
+
+  // Every stored match for a player (most recent first), after pulling the latest
+  // matches from their FotMob profile into the appearance store
+  async getPlayerMatchLog(player) {
+    if (player.fotmobId) {
+      try {
+        const recentMatches = await this.fotmob.getPlayerRecentMatches(player.fotmobId, player.team, MATCH_LOG_FETCH_LIMIT)
+        this.recordRecentMatches(player, recentMatches)
+        this.appearances.save()
+      } catch (error) {
+        console.log(`FotMob recent matches failed for ${player.name}: ${error.message}`)
+      }
+    }
+    return this.appearances.getPlayerAppearances(player.id)
+  }
+
+  // Compare each player's roster team with the primary team on their FotMob profile
+  // to detect transfers/loans that haven't been applied to the roster yet
+  async checkRosterDiscrepancies() {
+    console.log('Checking roster teams against FotMob player profiles...')
+    const discrepancies = []
+
+    for (const player of this.players) {
+      if (!player.fotmobId) continue
+
+      try {
+        const playerData = await this.fotmob.getPlayerData(player.fotmobId)
+        const primaryTeam = playerData?.primaryTeam
+        if (!primaryTeam?.teamName) continue
+
+        const knownId = this.fotmob.getTeamId(player.team)
+        const sameId = knownId && knownId === primaryTeam.teamId
+        const sameName = this.teamMatches(primaryTeam.teamName, player.team) ||
+          this.teamMatches(player.team, primaryTeam.teamName)
+        if (sameName && !knownId) {
+          // The profile confirms the roster team - remember its ID
+          this.teamIds.learn(player.team, primaryTeam.teamId, primaryTeam.teamName, 'player_profile')
+        }
+        if (sameId || sameName) continue
+
+        discrepancies.push({
+          playerId: player.id,
+          name: player.name,
+          rosterTeam: player.team,
+          rosterLeague: player.league,
+          fotmobTeam: primaryTeam.teamName,
+          fotmobTeamId: primaryTeam.teamId || null,
+          fotmobLeague: playerData.mainLeague?.leagueName || null,
+          onLoan: !!primaryTeam.onLoan
+        })
+        console.log(`Roster: ${player.name} is listed at ${player.team} but FotMob has ${primaryTeam.teamName}`)
+      } catch (error) {
+        console.log(`Roster check failed for ${player.name}: ${error.message}`)
+      }
+
+      // Small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, 50))
+    }
+
+    this.rosterDiscrepancies = {
+      checkedAt: new Date().toISOString(),
+      discrepancies
+    }
+    console.log(`Roster check complete: ${discrepancies.length} discrepancies`)
+    return this.rosterDiscrepancies
+  }
+
   // Get match data for a specific player
   getPlayerMatchData(playerId) {
     return this.matchData.get(playerId) || null
@@ -1528,6 +1802,48 @@ class MatchTrackerFD {
     return data
   }
 
+  // Compare today's match entries with a snapshot taken before the poll, log new events
+  // (goals, cards, lineups, full time...) and emit them as an 'events' event
+  detectMatchEvents(previousMatchData) {
+    const events = []
+    for (const player of this.players) {
+      events.push(...diffMatchEntry(player, previousMatchData.get(player.id), this.matchData.get(player.id)))
+    }
+    const logged = this.eventLog.append(events)
+    if (logged.length > 0) {
+      console.log(`Match events: ${logged.map(e => `${e.playerName} ${e.type}`).join(', ')}`)
+      this.emit('events', logged)
+    }
+    return logged
+  }
+
+  // Emit an 'update' event with the entries of players whose status, score, minute,
+  // events or lineup status changed since the last call. Removed players are sent as null.
+  publishChanges() {
+    const allData = this.getAllMatchData()
+    const players = {}
+
+    for (const [playerId, entry] of Object.entries(allData)) {
+      const id = parseInt(playerId)
+      const fields = JSON.stringify(PUBLISHED_FIELDS.map(field => entry[field] ?? null))
+      if (this.published.get(id) !== fields) {
+        this.published.set(id, fields)
+        players[id] = entry
+      }
+    }
+    for (const id of this.published.keys()) {
+      if (!allData[id]) {
+        this.published.delete(id)
+        players[id] = null
+      }
+    }
+
+    if (Object.keys(players).length > 0) {
+      this.emit('update', { timestamp: new Date().toISOString(), players })
+    }
+    return players
+  }
+
   // Check if any matches are currently live
   hasLiveMatches() {
     for (const matchData of this.matchData.values()) {
@@ -1549,16 +1865,23 @@ class MatchTrackerFD {
     console.log(`Starting match polling every ${intervalMs / 1000} seconds`)
 
     // Initial update from Football-Data.org
+    const initialMatchData = new Map(this.matchData)
     await this.updateMatchData()
 
     // Fill in gaps with FotMob (for leagues not covered by Football-Data.org)
     await this.updateMatchDataFromFotMob()
+    this.detectMatchEvents(initialMatchData)
 
     // Update FotMob data for player stats
     await this.updateFotMobData()
 
     await this.updateLastGameData()
     await this.updateNextGameData()
+    this.publishChanges()
+
+    // Fixture lists change rarely - refresh them on their own, slower timer
+    await this.updateFixtureSchedule()
+    this.scheduleInterval = setInterval(() => this.updateFixtureSchedule(), SCHEDULE_REFRESH_MS)
 
     // Polling intervals
     const liveIntervalMs = 60 * 1000 // 60 seconds when live matches
@@ -1568,6 +1891,8 @@ class MatchTrackerFD {
 
     // Polling function that adjusts interval based on live status
     const pollForUpdates = async () => {
+      const previousMatchData = new Map(this.matchData)
+
       // Always update with fresh data to detect status changes
       await this.updateMatchData(true) // Always bypass cache for match status
 
@@ -1577,6 +1902,8 @@ class MatchTrackerFD {
       // Always use fresh data when there are live matches
       // This ensures live scores/minutes are never stale
       await this.updateMatchDataFromFotMob(isLive)
+      this.detectMatchEvents(previousMatchData)
+      this.publishChanges()
 
       if (isLive) {
         console.log('Live matches detected - using fresh FotMob data')
@@ -1606,6 +1933,10 @@ class MatchTrackerFD {
       clearInterval(this.pollInterval)
       this.pollInterval = null
     }
+    if (this.scheduleInterval) {
+      clearInterval(this.scheduleInterval)
+      this.scheduleInterval = null
+    }
     this.isPolling = false
     console.log('Stopped match polling')
   }
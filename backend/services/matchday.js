@@ -0,0 +1,131 @@
+// Matchday
+// "Today" depends on whose today it is: a 20:00 kickoff in London is a Wednesday game in
+// New York but a Thursday one in Sydney. These helpers compute calendar days in a given
+// IANA timezone and re-bucket the tracker's per-player entries for a viewer's timezone.
+
+// Whether `timeZone` is an IANA zone this runtime knows (e.g. 'America/Los_Angeles')
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+// The viewer's ?tz=America/Los_Angeles, which decides what counts as "today".
+// Returns { timeZone } (null without the parameter, canonical case otherwise: 'europe/london'
+// -> 'Europe/London') or { error }.
+export function readTimeZone(query) {
+  const { tz } = query
+  if (tz === undefined || tz === '') return { timeZone: null }
+  if (typeof tz !== 'string') return { error: 'tz must be a single timezone' }
+  if (!isValidTimeZone(tz)) return { error: `Unknown timezone: ${tz}` }
+  return { timeZone: new Intl.DateTimeFormat('en-US', { timeZone: tz }).resolvedOptions().timeZone }
+}
+
+// Calendar day of `date` in `timeZone`, as YYYY-MM-DD
+export function getLocalDate(date, timeZone) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone })
+}
+
+// Minutes `timeZone` is ahead of UTC at `date` (e.g. -420 for Los Angeles in summer)
+function getOffsetMinutes(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(date).map(p => [p.type, p.value]))
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000)
+}
+
+// The instant a YYYY-MM-DD day starts in `timeZone`
+export function startOfLocalDay(day, timeZone) {
+  const midnightUtc = new Date(`${day}T00:00:00Z`)
+  const guess = new Date(midnightUtc.getTime() - getOffsetMinutes(midnightUtc, timeZone) * 60000)
+  // Correct for a DST change between UTC midnight and local midnight
+  return new Date(midnightUtc.getTime() - getOffsetMinutes(guess, timeZone) * 60000)
+}
+
+// The tracker's entry for a game it only knows as a last or next game
+function lastGameEntry(lastGame) {
+  return {
+    ...lastGame,
+    status: 'finished',
+    kickoff: lastGame.date,
+    minute: 90
+  }
+}
+
+function nextGameEntry(nextGame) {
+  return {
+    ...nextGame,
+    status: 'upcoming',
+    minute: 0,
+    homeScore: null,
+    awayScore: null
+  }
+}
+
+// Summary of a today entry, shaped like the tracker's last/next game
+function asLastGame(entry) {
+  const game = { ...entry, date: entry.kickoff }
+  for (const field of ['status', 'minute', 'kickoff', 'lastGame', 'nextGame']) delete game[field]
+  return game
+}
+
+function asNextGame(entry) {
+  return {
+    fixtureId: entry.fixtureId || null,
+    kickoff: entry.kickoff,
+    homeTeam: entry.homeTeam,
+    awayTeam: entry.awayTeam,
+    isHome: entry.isHome,
+    venue: entry.venue || '',
+    competition: entry.competition || ''
+  }
+}
+
+// Re-bucket one player's entry (today's match plus lastGame/nextGame) so "today" is the
+// viewer's calendar day in `timeZone`. Live games always count as today.
+export function toMatchdayEntry(entry, timeZone, now = new Date()) {
+  if (!entry || entry.status === 'live') return entry
+  const today = getLocalDate(now, timeZone)
+  const isToday = date => Boolean(date) && getLocalDate(date, timeZone) === today
+
+  let lastGame = entry.lastGame || null
+  let nextGame = entry.nextGame || null
+  if (entry.status === 'finished' || entry.status === 'upcoming') {
+    if (entry.kickoff ? isToday(entry.kickoff) : true) return entry
+
+    // Today's match for the tracker is yesterday or tomorrow for the viewer
+    if (entry.status === 'finished' && (!lastGame || new Date(entry.kickoff) > new Date(lastGame.date))) {
+      lastGame = asLastGame(entry)
+    }
+    if (entry.status === 'upcoming' && (!nextGame || new Date(entry.kickoff) < new Date(nextGame.kickoff))) {
+      nextGame = asNextGame(entry)
+    }
+  }
+
+  if (lastGame && isToday(lastGame.date)) {
+    return { ...lastGameEntry(lastGame), lastGame, nextGame }
+  }
+  if (nextGame && isToday(nextGame.kickoff) && new Date(nextGame.kickoff) > now) {
+    return { ...nextGameEntry(nextGame), lastGame, nextGame }
+  }
+  if (!lastGame && !nextGame) return null
+  return { status: 'no_match_today', lastGame, nextGame }
+}
+
+// Re-bucket a { playerId: entry } map (getAllMatchData() or the demo data) for `timeZone`
+export function toMatchday(allMatchData, timeZone, now = new Date()) {
+  const data = {}
+  for (const [playerId, entry] of Object.entries(allMatchData)) {
+    const bucketed = toMatchdayEntry(entry, timeZone, now)
+    if (bucketed) data[playerId] = bucketed
+  }
+  return data
+}
@@ -0,0 +1,107 @@
+// Matchups
+// Finds "Americans vs Americans" fixtures: matches where tracked players are on both sides,
+// from today's match data and each player's cached next game
+
+const getMatchDay = date => {
+  const parsed = new Date(date)
+  return isNaN(parsed) ? null : parsed.toISOString().split('T')[0]
+}
+
+// Plain comparison for callers without the tracker's fuzzy team matching
+const defaultTeamMatches = (apiTeamName, ourTeamName) =>
+  !!apiTeamName && !!ourTeamName && apiTeamName.toLowerCase() === ourTeamName.toLowerCase()
+
+// A player's side of a match, kept compact for the API
+function toSide(player, match) {
+  return {
+    player: {
+      id: player.id,
+      name: player.name,
+      team: player.team,
+      position: player.position,
+      image: player.image
+    },
+    status: match.status || 'upcoming',
+    lineupStatus: match.lineupStatus || null,
+    participated: match.participated ?? null,
+    started: match.started ?? null,
+    onBench: match.onBench ?? null,
+    minutesPlayed: match.minutesPlayed ?? null,
+    rating: match.rating ?? null,
+    events: match.events || []
+  }
+}
+
+// The matches a player is known to have: today's (when there is one) and the next game
+function getPlayerMatches(data) {
+  if (!data) return []
+  const matches = []
+  if (data.status && data.status !== 'no_match_today') {
+    matches.push({ ...data, kickoff: data.kickoff || data.date })
+  }
+  if (data.nextGame?.kickoff) {
+    matches.push({ ...data.nextGame, status: 'upcoming' })
+  }
+  return matches
+}
+
+// Matchups from getAllMatchData()-shaped data ({ playerId: { ...today, nextGame } }).
+// Teammates are grouped per club and day; two clubs meet when either one's opponent
+// is the other, or both entries carry the same fixture ID.
+function findMatchups(players, allMatchData, { teamMatches = defaultTeamMatches } = {}) {
+  // `${day}|${team}` -> { team, day, match, players: [{ player, match }] }
+  const clubs = new Map()
+  for (const player of players) {
+    for (const match of getPlayerMatches(allMatchData[player.id])) {
+      const day = getMatchDay(match.kickoff)
+      if (!day || match.isHome === undefined || match.isHome === null) continue
+      const key = `${day}|${player.team}`
+      if (!clubs.has(key)) {
+        clubs.set(key, {
+          team: player.team,
+          day,
+          match,
+          opponent: match.isHome ? match.awayTeam : match.homeTeam,
+          players: []
+        })
+      }
+      const club = clubs.get(key)
+      if (!club.players.some(p => p.player.id === player.id)) {
+        club.players.push({ player, match })
+      }
+    }
+  }
+
+  const matchups = []
+  const entries = [...clubs.values()]
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const a = entries[i]
+      const b = entries[j]
+      if (a.day !== b.day || a.team === b.team) continue
+      const sameFixture = a.match.fixtureId && a.match.fixtureId === b.match.fixtureId
+      if (!sameFixture && !teamMatches(a.opponent, b.team) && !teamMatches(b.opponent, a.team)) continue
+
+      const [home, away] = a.match.isHome ? [a, b] : [b, a]
+      const match = home.match
+      matchups.push({
+        id: `${a.day}-${[a.team, b.team].sort().join('-')}`.toLowerCase().replace(/[^a-z0-9-]+/g, '-'),
+        fixtureId: match.fixtureId || away.match.fixtureId || null,
+        kickoff: match.kickoff,
+        status: match.status || 'upcoming',
+        minute: match.minute ?? null,
+        homeTeam: match.homeTeam,
+        awayTeam: match.awayTeam,
+        homeScore: match.homeScore ?? null,
+        awayScore: match.awayScore ?? null,
+        competition: match.competition || away.match.competition || '',
+        home: home.players.map(p => toSide(p.player, p.match)),
+        away: away.players.map(p => toSide(p.player, p.match))
+      })
+    }
+  }
+
+  return matchups.sort((a, b) => new Date(a.kickoff) - new Date(b.kickoff))
+}
+
+export { findMatchups }
@@ -0,0 +1,32 @@
+// Tracked Nation
+// Which country's players this instance follows (NATION, default 'us'): branding, seed roster,
+// cache directory and default timezone, from data/nations.json. The frontend imports the same
+// file at build time and picks its entry with VITE_NATION.
+
+import { readFileSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { dirname, join } from 'path'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const NATIONS_FILE = join(__dirname, '../data/nations.json')
+const DEFAULT_NATION = 'us'
+
+// Nation config by id ('us', 'ca', ...), with the id added. Throws for unknown ids so a
+// typo in NATION doesn't quietly start the wrong tracker.
+function loadNation(id) {
+  const nations = JSON.parse(readFileSync(NATIONS_FILE, 'utf-8'))
+  const key = (id || DEFAULT_NATION).trim().toLowerCase()
+  if (!nations[key]) {
+    throw new Error(`Unknown NATION "${id}" (expected one of ${Object.keys(nations).join(', ')})`)
+  }
+  return { id: key, ...nations[key] }
+}
+
+// URL-safe form of the site name for IDs and filenames: 'Americans Abroad' -> 'americans-abroad'
+function getSiteSlug(nation) {
+  return nation.siteName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+}
+
+export { loadNation, getSiteSlug, DEFAULT_NATION }
@@ -0,0 +1,126 @@
+// API-Football provider
+// Fixtures, lineups and per-player stats (requires API_FOOTBALL_KEY; 100 requests/day on the free tier)
+
+import { CAPABILITIES } from './capabilities.js'
+
+// Map API-Football short status codes to our match status
+const STATUS_MAP = {
+  TBD: 'upcoming', NS: 'upcoming',
+  '1H': 'live', HT: 'live', '2H': 'live', ET: 'live', BT: 'live', P: 'live', LIVE: 'live', INT: 'live',
+  FT: 'finished', AET: 'finished', PEN: 'finished',
+  SUSP: 'suspended', PST: 'postponed', CANC: 'cancelled', ABD: 'cancelled', AWD: 'finished', WO: 'finished'
+}
+
+class ApiFootballProvider {
+  constructor(service, { leagues = [], teamMatches = (a, b) => a === b } = {}) {
+    this.name = 'api-football'
+    this.service = service
+    this.teamMatches = teamMatches
+    this.leagueIds = new Map(leagues.filter(l => l.apiId).map(l => [l.name, l.apiId]))
+    this.capabilities = new Set([
+      CAPABILITIES.FIXTURES_BY_DATE,
+      CAPABILITIES.MATCH_DETAILS,
+      CAPABILITIES.LINEUPS,
+      CAPABILITIES.PLAYER_MATCH_STATS
+    ])
+  }
+
+  coversLeague(league) {
+    return this.leagueIds.has(league)
+  }
+
+  toFixture(item) {
+    return {
+      id: item.fixture?.id,
+      provider: this.name,
+      kickoff: item.fixture?.date,
+      status: STATUS_MAP[item.fixture?.status?.short] || 'upcoming',
+      minute: item.fixture?.status?.elapsed || 0,
+      homeTeam: item.teams?.home?.name,
+      awayTeam: item.teams?.away?.name,
+      homeTeamId: item.teams?.home?.id || null,
+      awayTeamId: item.teams?.away?.id || null,
+      homeScore: item.goals?.home ?? 0,
+      awayScore: item.goals?.away ?? 0,
+      competition: item.league?.name,
+      venue: item.fixture?.venue?.name || ''
+    }
+  }
+
+  async getFixturesByDate(dateFrom, dateTo, { leagues = [] } = {}) {
+    const fixtures = []
+    const leagueIds = leagues.map(l => this.leagueIds.get(l)).filter(Boolean)
+    const dates = []
+    for (let d = new Date(`${dateFrom}T00:00:00Z`); d <= new Date(`${dateTo}T00:00:00Z`); d.setUTCDate(d.getUTCDate() + 1)) {
+      dates.push(d.toISOString().split('T')[0])
+    }
+    for (const date of dates) {
+      for (const leagueId of leagueIds) {
+        const data = await this.service.getFixturesByLeague(leagueId, date)
+        fixtures.push(...(data.response || []).map(item => this.toFixture(item)))
+      }
+    }
+    return fixtures
+  }
+
+  // Our fixture ID for another provider's fixture: same kickoff day and teams in `league`
+  async getFixtureId(fixture, league) {
+    if (fixture.provider === this.name) return fixture.id
+    if (!fixture.kickoff || !this.coversLeague(league)) return null
+    const day = new Date(fixture.kickoff).toISOString().split('T')[0]
+    const fixtures = await this.getFixturesByDate(day, day, { leagues: [league] })
+    const match = fixtures.find(f =>
+      this.teamMatches(f.homeTeam, fixture.homeTeam) && this.teamMatches(f.awayTeam, fixture.awayTeam))
+    return match?.id || null
+  }
+
+  async getMatchDetails(fixture) {
+    if (fixture.provider !== this.name) return null
+    const data = await this.service.getFixtureDetails(fixture.id)
+    return data.response?.[0] || null
+  }
+
+  async getLineups(fixture, { league } = {}) {
+    const fixtureId = await this.getFixtureId(fixture, league)
+    if (!fixtureId) return null
+    const data = await this.service.getFixtureLineups(fixtureId)
+    const [home, away] = data.response || []
+    if (!home || !away) return null
+    const toLineup = team => ({
+      starters: (team.startXI || []).map(p => p.player?.name),
+      bench: (team.substitutes || []).map(p => p.player?.name)
+    })
+    return { home: toLineup(home), away: toLineup(away) }
+  }
+
+  async getPlayerMatchStats(player, fixture) {
+    const fixtureId = await this.getFixtureId(fixture, player.league)
+    if (!fixtureId) return null
+    const data = await this.service.getPlayerStats(fixtureId)
+    const lastName = player.name.split(' ').pop().toLowerCase()
+    for (const team of data.response || []) {
+      const entry = (team.players || []).find(p => p.player?.name?.toLowerCase().includes(lastName))
+      if (!entry) continue
+      const stats = entry.statistics?.[0] || {}
+      const minutesPlayed = stats.games?.minutes || 0
+      const events = []
+      for (let i = 0; i < (stats.goals?.total || 0); i++) events.push({ type: 'goal', minute: null })
+      for (let i = 0; i < (stats.goals?.assists || 0); i++) events.push({ type: 'assist', minute: null })
+      if (stats.cards?.yellow) events.push({ type: 'yellow', minute: null })
+      if (stats.cards?.red) events.push({ type: 'red', minute: null })
+      return {
+        participated: minutesPlayed > 0,
+        started: stats.games?.substitute === false,
+        onBench: stats.games?.substitute === true && minutesPlayed === 0,
+        minutesPlayed,
+        rating: stats.games?.rating ? parseFloat(stats.games.rating) : null,
+        goals: stats.goals?.total || 0,
+        assists: stats.goals?.assists || 0,
+        events
+      }
+    }
+    return null
+  }
+}
+
+export default ApiFootballProvider
@@ -0,0 +1,13 @@
+// Capabilities a data provider can declare (see providers/index.js for the contract)
+
+const CAPABILITIES = {
+  FIXTURES_BY_DATE: 'fixturesByDate',
+  MATCH_DETAILS: 'matchDetails',
+  LINEUPS: 'lineups',
+  PLAYER_MATCH_STATS: 'playerMatchStats',
+  NEXT_FIXTURE: 'nextFixture',
+  TEAM_FIXTURES: 'teamFixtures'
+}
+
+export { CAPABILITIES }
+export default CAPABILITIES
@@ -0,0 +1,46 @@
+// FBref provider
+// Per-player match logs scraped from FBref (needs Chrome for Puppeteer; slow, so use as a last resort)
+
+import { CAPABILITIES } from './capabilities.js'
+
+class FBrefProvider {
+  constructor() {
+    this.name = 'fbref'
+    this.scraper = null // Loaded lazily - importing the scraper pulls in Puppeteer
+    this.capabilities = new Set([CAPABILITIES.PLAYER_MATCH_STATS])
+  }
+
+  coversLeague() {
+    return true
+  }
+
+  async getScraper() {
+    if (!this.scraper) {
+      const { default: FBrefScraper } = await import('../fbrefScraper.js')
+      this.scraper = new FBrefScraper()
+    }
+    return this.scraper
+  }
+
+  // FBref has no fixture IDs - match the player's log by kickoff date
+  async getPlayerMatchStats(player, fixture) {
+    if (!player.fbrefId || !player.fbrefSlug || !fixture.kickoff) return null
+    const scraper = await this.getScraper()
+    const day = new Date(fixture.kickoff).toISOString().split('T')[0]
+    const matches = await scraper.getMatchesInRange(player.fbrefId, player.fbrefSlug, day, day)
+    const match = matches[0]
+    if (!match) return null
+    return {
+      participated: match.participated,
+      started: match.started,
+      onBench: false,
+      minutesPlayed: match.minutesPlayed,
+      rating: null,
+      goals: match.events.filter(e => e.type === 'goal').length,
+      assists: match.events.filter(e => e.type === 'assist').length,
+      events: match.events
+    }
+  }
+}
+
+export default FBrefProvider
@@ -0,0 +1,109 @@
+// Football-Data.org provider
+// Fixtures, scores and (on paid tiers) lineups for the top European leagues and competitions
+
+import { LEAGUE_CODES, EUROPEAN_COMPETITIONS } from '../footballData.js'
+import { CAPABILITIES } from './capabilities.js'
+
+// Map Football-Data.org status to our match status
+const STATUS_MAP = {
+  SCHEDULED: 'upcoming',
+  TIMED: 'upcoming',
+  IN_PLAY: 'live',
+  PAUSED: 'live',
+  LIVE: 'live',
+  FINISHED: 'finished',
+  SUSPENDED: 'suspended',
+  POSTPONED: 'postponed',
+  CANCELLED: 'cancelled'
+}
+
+class FootballDataProvider {
+  constructor(service, { teamMatches }) {
+    this.name = 'football-data'
+    this.service = service
+    this.teamMatches = teamMatches
+    this.capabilities = new Set([
+      CAPABILITIES.FIXTURES_BY_DATE,
+      CAPABILITIES.MATCH_DETAILS,
+      CAPABILITIES.LINEUPS,
+      CAPABILITIES.NEXT_FIXTURE,
+      CAPABILITIES.TEAM_FIXTURES
+    ])
+  }
+
+  coversLeague(league) {
+    return !!LEAGUE_CODES[league]
+  }
+
+  // Competition codes to request (domestic leagues + Champions/Europa League)
+  getCompetitionCodes(leagues) {
+    const codes = new Set()
+    for (const league of leagues) {
+      if (LEAGUE_CODES[league]) codes.add(LEAGUE_CODES[league])
+    }
+    for (const code of Object.values(EUROPEAN_COMPETITIONS)) {
+      codes.add(code)
+    }
+    return [...codes].join(',')
+  }
+
+  toFixture(match) {
+    return {
+      id: match.id,
+      provider: this.name,
+      kickoff: match.utcDate,
+      status: STATUS_MAP[match.status] || match.status,
+      minute: match.minute || 0,
+      homeTeam: match.homeTeam?.name || match.homeTeam?.shortName,
+      awayTeam: match.awayTeam?.name || match.awayTeam?.shortName,
+      homeTeamId: match.homeTeam?.id || null,
+      awayTeamId: match.awayTeam?.id || null,
+      homeScore: match.score?.fullTime?.home ?? match.score?.halfTime?.home ?? 0,
+      awayScore: match.score?.fullTime?.away ?? match.score?.halfTime?.away ?? 0,
+      competition: match.competition?.name,
+      venue: match.venue || ''
+    }
+  }
+
+  async getFixturesByDate(dateFrom, dateTo, { leagues = [], live = false } = {}) {
+    const response = await this.service.getMatchesByDateRange(dateFrom, dateTo, this.getCompetitionCodes(leagues), live)
+    return (response.matches || []).map(match => this.toFixture(match))
+  }
+
+  async getMatchDetails(fixture) {
+    if (fixture.provider !== this.name) return null
+    return this.service.getMatchDetails(fixture.id)
+  }
+
+  // Lineups are only included on paid Football-Data.org tiers
+  async getLineups(fixture) {
+    const details = await this.getMatchDetails(fixture)
+    if (!details?.homeTeam?.lineup?.length) return null
+    const toLineup = team => ({
+      starters: (team?.lineup || []).map(p => p.name),
+      bench: (team?.bench || []).map(p => p.name)
+    })
+    return { home: toLineup(details.homeTeam), away: toLineup(details.awayTeam) }
+  }
+
+  // Next fixture from a window of scheduled matches. Pass the same `leagues` for every
+  // team so the request is served from the service's response cache after the first call.
+  async getNextFixture(teamName, options = {}) {
+    const fixtures = await this.getTeamFixtures(teamName, options)
+    return fixtures?.[0] || null
+  }
+
+  // Upcoming fixtures for a team in the date window, soonest first
+  async getTeamFixtures(teamName, { leagues = [], dateFrom, dateTo } = {}) {
+    if (!dateFrom || !dateTo) return null
+    const fixtures = await this.getFixturesByDate(dateFrom, dateTo, { leagues })
+    const now = new Date()
+    return fixtures
+      .filter(f => new Date(f.kickoff) > now)
+      .filter(f => this.teamMatches(f.homeTeam, teamName) || this.teamMatches(f.awayTeam, teamName))
+      .sort((a, b) => new Date(a.kickoff) - new Date(b.kickoff))
+      .map(f => ({ ...f, isHome: this.teamMatches(f.homeTeam, teamName) }))
+  }
+}
+
+export default FootballDataProvider
@@ -0,0 +1,103 @@
+// FotMob provider
+// Team-ID based fixtures, lineups, ratings and per-player match stats for every league we track
+
+import { CAPABILITIES } from './capabilities.js'
+
+class FotMobProvider {
+  // findMatch(playerId, date) -> the player's cached FotMob match on that day (MatchTrackerFD.findFotMobMatchForDate)
+  constructor(service, { teamMatches, findMatch = () => null }) {
+    this.name = 'fotmob'
+    this.service = service
+    this.teamMatches = teamMatches
+    this.findMatch = findMatch
+    this.capabilities = new Set([
+      CAPABILITIES.MATCH_DETAILS,
+      CAPABILITIES.LINEUPS,
+      CAPABILITIES.PLAYER_MATCH_STATS,
+      CAPABILITIES.NEXT_FIXTURE,
+      CAPABILITIES.TEAM_FIXTURES
+    ])
+  }
+
+  coversLeague() {
+    return true
+  }
+
+  // Convert a FotMob team overview match (nextMatch / lastMatch) to a fixture
+  toFixture(match) {
+    let status = 'upcoming'
+    if (match.status?.finished) status = 'finished'
+    else if (match.status?.started || match.status?.ongoing) status = 'live'
+    else if (match.status?.cancelled) status = 'cancelled'
+
+    return {
+      id: match.id,
+      provider: this.name,
+      kickoff: match.status?.utcTime,
+      status,
+      minute: 0,
+      homeTeam: match.home?.name || 'TBD',
+      awayTeam: match.away?.name || 'TBD',
+      homeTeamId: match.home?.id || null,
+      awayTeamId: match.away?.id || null,
+      homeScore: match.home?.score ?? 0,
+      awayScore: match.away?.score ?? 0,
+      competition: match.tournament?.name || ''
+    }
+  }
+
+  async getMatchDetails(fixture, { live = false } = {}) {
+    if (fixture.provider !== this.name) return null
+    return this.service.getMatchDetails(fixture.id, live)
+  }
+
+  async getLineups(fixture) {
+    const details = await this.getMatchDetails(fixture, { live: true })
+    const lineup = details?.content?.lineup
+    if (!lineup) return null
+    const toLineup = team => ({
+      starters: (team?.starters || []).map(p => p.name),
+      bench: (team?.subs || []).map(p => p.name)
+    })
+    return { home: toLineup(lineup.homeTeam), away: toLineup(lineup.awayTeam) }
+  }
+
+  // Stats from match details for FotMob fixtures; for other providers' fixtures, the
+  // player's cached FotMob match on the same day (refreshed by the FotMob player poll)
+  async getPlayerMatchStats(player, fixture, { live = false } = {}) {
+    if (fixture.provider === this.name) {
+      return this.service.getPlayerStatsFromMatch(fixture.id, player.name, fixture.isHome, live)
+    }
+    if (!fixture.kickoff) return null
+    return this.findMatch(player.id, fixture.kickoff)
+  }
+
+  async getNextFixture(teamName) {
+    const teamData = await this.service.getTeamData(teamName)
+    const nextMatch = teamData?.overview?.nextMatch
+    if (!nextMatch?.status?.utcTime) return null
+    if (new Date(nextMatch.status.utcTime) <= new Date()) return null
+
+    const fixture = this.toFixture(nextMatch)
+    const teamId = this.service.getTeamId(teamName) || teamData?.details?.id
+    fixture.isHome = nextMatch.home?.id === teamId
+    return fixture
+  }
+
+  // Every fixture on the team page that hasn't been played yet, soonest first
+  // (postponed games without a new date stay in the list as 'cancelled')
+  async getTeamFixtures(teamName) {
+    const teamData = await this.service.getTeamData(teamName)
+    const matches = teamData?.fixtures?.allFixtures?.fixtures
+    if (!Array.isArray(matches)) return null
+
+    const now = new Date()
+    const teamId = this.service.getTeamId(teamName) || teamData?.details?.id
+    return matches
+      .filter(m => m.status?.utcTime && new Date(m.status.utcTime) > now && !m.status?.finished)
+      .map(m => ({ ...this.toFixture(m), isHome: m.home?.id === teamId }))
+      .sort((a, b) => new Date(a.kickoff) - new Date(b.kickoff))
+  }
+}
+
+export default FotMobProvider
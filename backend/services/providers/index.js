@@ -0,0 +1,167 @@
+// Data Provider Registry
+// Every match data source (Football-Data.org, FotMob, API-Football, FBref, manual stats)
+// is wrapped in a provider that implements a common contract and declares what it can do.
+// The tracker asks the registry which providers to use, in priority order, for a given
+// capability and league - so adding or reordering sources is a config change
+// (data/providers.json) rather than a tracker change.
+//
+// Provider contract - every method is async and resolves null when the provider has no data:
+//   name                                   Unique provider name used in data/providers.json
+//   capabilities                           Set of CAPABILITIES this provider implements
+//   coversLeague(league)                   Whether the provider has data for a roster league
+//   getFixturesByDate(from, to, options)   -> [Fixture]        options: { leagues, live }
+//   getMatchDetails(fixture, options)      -> provider-specific match details
+//   getLineups(fixture, options)           -> { home: Lineup, away: Lineup }  options: { league }
+//   getPlayerMatchStats(player, fixture, options)
+//                                          -> PlayerMatchStats options: { live }
+//   getNextFixture(teamName, options)      -> Fixture          options: { leagues, dateFrom, dateTo }
+//   getTeamFixtures(teamName, options)     -> [Fixture]        upcoming, same options as getNextFixture
+//
+// Fixture:          { id, provider, kickoff, status, minute, homeTeam, awayTeam, homeTeamId,
+//                     awayTeamId, homeScore, awayScore, competition, venue, isHome? }
+//                   status is one of 'upcoming' | 'live' | 'finished' | 'postponed' |
+//                   'suspended' | 'cancelled'
+// Lineup:           { starters: [name], bench: [name] }
+// PlayerMatchStats: { participated, started, onBench, minutesPlayed, rating, goals, assists,
+//                     events: [{ type, minute }], matchId? }
+//
+// A provider may be asked about another provider's fixture (e.g. lineups for a FotMob
+// fixture) - it can look the match up by kickoff and teams, or resolve null.
+
+import { readFileSync, existsSync } from 'fs'
+import { CAPABILITIES } from './capabilities.js'
+import FootballDataProvider from './footballDataProvider.js'
+import FotMobProvider from './fotmobProvider.js'
+import ApiFootballProvider from './apiFootballProvider.js'
+import FBrefProvider from './fbrefProvider.js'
+import ManualStatsProvider from './manualStatsProvider.js'
+
+// Used when data/providers.json is missing - matches the tracker's historical behavior:
+// Football-Data.org first, FotMob fills gaps, manual stats last (except a team's upcoming
+// fixtures, where FotMob's team pages are more reliable than searching FD's schedule)
+//
+// Lookup order for a capability in a league:
+//   leagues[league][capability] -> leagues[league] (if a list) -> leagues[league].default
+//   -> capabilities[capability] -> default
+// so a league's own order always wins over the global ones
+const DEFAULT_PRIORITY = {
+  default: ['football-data', 'fotmob', 'manual'],
+  capabilities: {
+    nextFixture: ['fotmob', 'football-data'],
+    teamFixtures: ['fotmob', 'football-data']
+  },
+  leagues: {}
+}
+
+class ProviderRegistry {
+  constructor(priority = DEFAULT_PRIORITY) {
+    this.providers = new Map() // name -> provider
+    this.priority = {
+      default: priority.default || DEFAULT_PRIORITY.default,
+      capabilities: priority.capabilities || {},
+      leagues: priority.leagues || {}
+    }
+  }
+
+  // Load per-league priority config from a JSON file
+  static loadPriority(filePath) {
+    try {
+      if (existsSync(filePath)) {
+        return JSON.parse(readFileSync(filePath, 'utf-8'))
+      }
+    } catch (error) {
+      console.error('Error loading provider priority config:', error)
+    }
+    return DEFAULT_PRIORITY
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider)
+    return this
+  }
+
+  get(name) {
+    return this.providers.get(name) || null
+  }
+
+  // Provider names in priority order for a capability in a league
+  getPriority(capability, league) {
+    const leagueEntry = this.priority.leagues[league]
+    if (Array.isArray(leagueEntry)) return leagueEntry
+    return leagueEntry?.[capability] ||
+      leagueEntry?.default ||
+      this.priority.capabilities[capability] ||
+      this.priority.default
+  }
+
+  // Registered providers that declare a capability and cover the league, in priority order
+  getProviders(capability, league) {
+    return this.getPriority(capability, league)
+      .map(name => this.providers.get(name))
+      .filter(provider => provider &&
+        provider.capabilities.has(capability) &&
+        provider.coversLeague(league))
+  }
+
+  // First provider for a capability in a league, or null
+  getPrimary(capability, league) {
+    return this.getProviders(capability, league)[0] || null
+  }
+
+  // Whether a named provider is the first choice for a capability in a league
+  isPrimary(name, capability, league) {
+    return this.getPrimary(capability, league)?.name === name
+  }
+
+  // Whether a named provider is used at all for a capability in a league
+  usesProvider(name, capability, league) {
+    return this.getProviders(capability, league).some(p => p.name === name)
+  }
+
+  // Try each provider in priority order until one returns data
+  async firstResult(capability, league, fn) {
+    for (const provider of this.getProviders(capability, league)) {
+      try {
+        const result = await fn(provider)
+        if (result) return { provider: provider.name, result }
+      } catch (error) {
+        console.log(`Provider ${provider.name} failed for ${capability}: ${error.message}`)
+      }
+    }
+    return null
+  }
+
+  // Summary for the status endpoint
+  describe(leagues = []) {
+    const byLeague = {}
+    for (const league of leagues) {
+      byLeague[league] = {}
+      for (const capability of Object.values(CAPABILITIES)) {
+        byLeague[league][capability] = this.getProviders(capability, league).map(p => p.name)
+      }
+    }
+    return {
+      providers: [...this.providers.values()].map(p => ({
+        name: p.name,
+        capabilities: [...p.capabilities]
+      })),
+      priority: this.priority,
+      byLeague
+    }
+  }
+}
+
+// Build a registry with every available provider. Services that aren't configured
+// (e.g. no API-Football key) are simply not registered.
+function createProviderRegistry({ priorityFile, footballData, fotmob, apiFootball, leagues, teamMatches, findFotMobMatch, findManualMatch }) {
+  const registry = new ProviderRegistry(priorityFile ? ProviderRegistry.loadPriority(priorityFile) : DEFAULT_PRIORITY)
+  if (footballData) registry.register(new FootballDataProvider(footballData, { teamMatches }))
+  if (fotmob) registry.register(new FotMobProvider(fotmob, { teamMatches, findMatch: findFotMobMatch }))
+  if (apiFootball) registry.register(new ApiFootballProvider(apiFootball, { leagues, teamMatches }))
+  if (findManualMatch) registry.register(new ManualStatsProvider({ findMatch: findManualMatch }))
+  registry.register(new FBrefProvider())
+  return registry
+}
+
+export { ProviderRegistry, CAPABILITIES, DEFAULT_PRIORITY, createProviderRegistry }
+export default ProviderRegistry
@@ -0,0 +1,35 @@
+// Manual stats provider
+// Player stats entered by hand in data/playerStats.json (last-resort fallback)
+
+import { CAPABILITIES } from './capabilities.js'
+
+class ManualStatsProvider {
+  // findMatch(playerId, date) -> manual match entry or null (MatchTrackerFD.findManualMatchForDate)
+  constructor({ findMatch }) {
+    this.name = 'manual'
+    this.findMatch = findMatch
+    this.capabilities = new Set([CAPABILITIES.PLAYER_MATCH_STATS])
+  }
+
+  coversLeague() {
+    return true
+  }
+
+  async getPlayerMatchStats(player, fixture) {
+    if (!fixture.kickoff) return null
+    const match = this.findMatch(player.id, fixture.kickoff)
+    if (!match) return null
+    return {
+      participated: match.participated,
+      started: match.started,
+      onBench: false,
+      minutesPlayed: match.minutesPlayed || 0,
+      rating: null,
+      goals: match.events.filter(e => e.type === 'goal').length,
+      assists: match.events.filter(e => e.type === 'assist').length,
+      events: match.events
+    }
+  }
+}
+
+export default ManualStatsProvider
@@ -0,0 +1,299 @@
+// Push Notification Service
+// Web Push (VAPID) notifications for followed players. Browsers subscribe through the
+// frontend service worker; subscriptions are persisted to data/cache/pushSubscriptions.json.
+//
+// Requests are built with web-push (payload encryption + VAPID headers) and sent with fetch.
+// Endpoints come from anonymous browsers, so they must be public https URLs - a plain
+// http:// or localhost endpoint (a local stand-in for a push service) is only accepted
+// with allowLocalEndpoints (PUSH_ALLOW_LOCAL_ENDPOINTS=true in development).
+
+import { readFileSync, writeFileSync, existsSync } from 'fs'
+import { lookup } from 'dns/promises'
+import { isIP } from 'net'
+import webpush from 'web-push'
+import { describeEvent } from './matchEvents.js'
+import { isInLineupWindow } from './lineupWindow.js'
+
+// Events that trigger a push, and the ones subscribers get when they don't choose
+const PUSH_EVENTS = ['goal', 'assist', 'red_card', 'lineup_announced', 'rating_final']
+
+const NOTIFICATION_TITLES = {
+  goal: 'Goal!',
+  assist: 'Assist!',
+  red_card: 'Red card',
+  lineup_announced: 'Starting XI',
+  rating_final: 'Full time'
+}
+
+const PUSH_TTL_SECONDS = 60 * 60 // Drop notifications a device couldn't receive within an hour
+
+const MAX_SUBSCRIPTIONS_PER_CLIENT = 10 // Per client IP (a few browsers behind one address)
+const MAX_SUBSCRIPTIONS = 10000
+
+// Error with an HTTP status, surfaced by the push routes
+class PushError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'PushError'
+    this.status = status
+  }
+}
+
+// Whether an IP address is loopback, private, link-local or otherwise not publicly routable
+function isPrivateAddress(address) {
+  if (isIP(address) === 6) {
+    const ip = address.toLowerCase()
+    // IPv4-mapped (::ffff:127.0.0.1, which URL writes as ::ffff:7f00:1)
+    const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/)
+    if (mapped) return isPrivateAddress(mapped[1])
+    const mappedHex = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/)
+    if (mappedHex) {
+      const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)]
+      return isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`)
+    }
+    return ip === '::' || ip === '::1' ||
+      /^f[cd]/.test(ip) || // Unique local fc00::/7
+      /^fe[89ab]/.test(ip) // Link-local fe80::/10
+  }
+  const [a, b] = address.split('.').map(Number)
+  return a === 0 || a === 10 || a === 127 || a >= 224 ||
+    (a === 100 && b >= 64 && b <= 127) || // Carrier-grade NAT
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168)
+}
+
+// Whether a hostname is obviously local: localhost or a private IP literal
+function isLocalHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase()
+  if (host === 'localhost' || host.endsWith('.localhost')) return true
+  return isIP(host) !== 0 && isPrivateAddress(host)
+}
+
+// Frontend player page, e.g. /player/16-ricardo-pepi (same slug as src/services/router.js)
+const getPlayerPath = (playerId, name) => {
+  const slug = (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+  return `/player/${playerId}-${slug}`
+}
+
+class PushService {
+  // vapidFile stores generated keys when VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY aren't set
+  constructor({
+    subscriptionsFile,
+    vapidFile,
+    vapid = {},
+    allowLocalEndpoints = false,
+    maxPerClient = MAX_SUBSCRIPTIONS_PER_CLIENT,
+    maxSubscriptions = MAX_SUBSCRIPTIONS
+  }) {
+    this.subscriptionsFile = subscriptionsFile
+    this.vapidFile = vapidFile
+    this.allowLocalEndpoints = allowLocalEndpoints
+    this.maxPerClient = maxPerClient
+    this.maxSubscriptions = maxSubscriptions
+    this.subscriptions = new Map() // endpoint -> { subscription, players, events, clientId, createdAt }
+    this.vapid = this.loadVapidKeys(vapid)
+    this.load()
+  }
+
+  // Use configured VAPID keys, or generate a pair once and keep it in the cache directory
+  loadVapidKeys({ publicKey, privateKey, subject }) {
+    const vapidSubject = subject || 'mailto:admin@localhost'
+    if (publicKey && privateKey) {
+      return { publicKey, privateKey, subject: vapidSubject }
+    }
+    try {
+      if (existsSync(this.vapidFile)) {
+        return { ...JSON.parse(readFileSync(this.vapidFile, 'utf-8')), subject: vapidSubject }
+      }
+    } catch (error) {
+      console.error('Error loading VAPID keys:', error)
+    }
+    const keys = webpush.generateVAPIDKeys()
+    writeFileSync(this.vapidFile, JSON.stringify(keys, null, 2))
+    console.log('Push: generated VAPID keys (set VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY to pin them)')
+    return { ...keys, subject: vapidSubject }
+  }
+
+  getPublicKey() {
+    return this.vapid.publicKey
+  }
+
+  // Load subscriptions from file
+  load() {
+    try {
+      if (existsSync(this.subscriptionsFile)) {
+        const data = JSON.parse(readFileSync(this.subscriptionsFile, 'utf-8'))
+        for (const entry of data.subscriptions || []) {
+          this.subscriptions.set(entry.subscription.endpoint, entry)
+        }
+        console.log(`Loaded ${this.subscriptions.size} push subscriptions`)
+      }
+    } catch (error) {
+      console.error('Error loading push subscriptions:', error)
+    }
+  }
+
+  // Save subscriptions to file
+  save() {
+    try {
+      const data = { subscriptions: [...this.subscriptions.values()] }
+      writeFileSync(this.subscriptionsFile, JSON.stringify(data, null, 2))
+    } catch (error) {
+      console.error('Error saving push subscriptions:', error)
+    }
+  }
+
+  // Problem with a push endpoint URL, or null if it can be used
+  validateEndpoint(endpoint) {
+    let url
+    try {
+      url = new URL(endpoint)
+    } catch {
+      return 'subscription endpoint must be an https URL'
+    }
+    if (this.allowLocalEndpoints) {
+      return url.protocol === 'https:' || url.protocol === 'http:' ? null : 'subscription endpoint must be an http(s) URL'
+    }
+    if (url.protocol !== 'https:') return 'subscription endpoint must be an https URL'
+    if (isLocalHost(url.hostname)) return 'subscription endpoint must be a public host'
+    return null
+  }
+
+  // Add or update a subscription for a client (its IP address). Throws a PushError for
+  // invalid input (400) or when the client or the server has too many subscriptions (429).
+  subscribe(subscription, players, events = PUSH_EVENTS, clientId = null) {
+    if (!subscription?.endpoint || !subscription.keys?.p256dh || !subscription.keys?.auth) {
+      throw new PushError('subscription must include endpoint and keys (p256dh, auth)')
+    }
+    const endpointError = this.validateEndpoint(subscription.endpoint)
+    if (endpointError) throw new PushError(endpointError)
+    if (!Array.isArray(players) || !players.every(Number.isInteger)) {
+      throw new PushError('players must be an array of player ids')
+    }
+    if (!Array.isArray(events) || events.some(e => !PUSH_EVENTS.includes(e))) {
+      throw new PushError(`events must be a list of ${PUSH_EVENTS.join(', ')}`)
+    }
+
+    const existing = this.subscriptions.get(subscription.endpoint)
+    if (!existing) {
+      if (this.subscriptions.size >= this.maxSubscriptions) {
+        throw new PushError('Too many push subscriptions - try again later', 429)
+      }
+      const clientCount = [...this.subscriptions.values()].filter(e => e.clientId === clientId).length
+      if (clientId && clientCount >= this.maxPerClient) {
+        throw new PushError(`At most ${this.maxPerClient} push subscriptions per client`, 429)
+      }
+    }
+    this.subscriptions.set(subscription.endpoint, {
+      subscription: {
+        endpoint: subscription.endpoint,
+        keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth }
+      },
+      players,
+      events,
+      clientId: existing?.clientId || clientId,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    })
+    this.save()
+    return null
+  }
+
+  unsubscribe(endpoint) {
+    const removed = this.subscriptions.delete(endpoint)
+    if (removed) this.save()
+    return removed
+  }
+
+  getCount() {
+    return this.subscriptions.size
+  }
+
+  // Whether an event should be pushed at all. Lineups are only announced for starters,
+  // and only inside the same window the tracker uses to fetch them.
+  isNotifiable(event) {
+    if (!PUSH_EVENTS.includes(event.type)) return false
+    if (event.type === 'lineup_announced') {
+      return event.lineupStatus === 'starting' && isInLineupWindow(event.match?.kickoff)
+    }
+    return true
+  }
+
+  // Notification shown by the service worker (public/sw.js)
+  buildNotification(event) {
+    return {
+      title: `${NOTIFICATION_TITLES[event.type] || 'Update'} - ${event.playerName}`,
+      body: describeEvent(event),
+      tag: `${event.playerId}-${event.type}-${event.id ?? Date.now()}`,
+      url: getPlayerPath(event.playerId, event.playerName),
+      icon: '/vite.svg'
+    }
+  }
+
+  // Push new match events to every subscription following the player
+  dispatch(events) {
+    for (const event of events) {
+      if (!this.isNotifiable(event)) continue
+      const payload = JSON.stringify(this.buildNotification(event))
+      for (const entry of this.subscriptions.values()) {
+        if (!entry.players.includes(event.playerId) || !entry.events.includes(event.type)) continue
+        this.send(entry.subscription, payload).catch(error =>
+          console.error(`Push to ${entry.subscription.endpoint} failed:`, error.message)
+        )
+      }
+    }
+  }
+
+  // Encrypt and send one push message. Expired subscriptions (404/410) are removed.
+  // The endpoint is checked again (subscriptions saved before the checks existed) and its
+  // host resolved, so a public name pointing at a private address isn't sent to either.
+  async send(subscription, payload) {
+    const endpointError = this.validateEndpoint(subscription.endpoint)
+    if (endpointError) throw new PushError(endpointError)
+    if (!this.allowLocalEndpoints) {
+      const { hostname } = new URL(subscription.endpoint)
+      const addresses = await lookup(hostname.replace(/^\[|\]$/g, ''), { all: true })
+      if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new PushError(`Push endpoint ${hostname} resolves to a private address`)
+      }
+    }
+    const request = webpush.generateRequestDetails(subscription, payload, {
+      vapidDetails: this.vapid,
+      TTL: PUSH_TTL_SECONDS
+    })
+    const response = await fetch(request.endpoint, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body
+    })
+    if (response.status === 404 || response.status === 410) {
+      console.log(`Push: subscription expired (${response.status}), removing ${subscription.endpoint}`)
+      this.unsubscribe(subscription.endpoint)
+    } else if (!response.ok) {
+      throw new Error(`Push service returned ${response.status}`)
+    }
+    return response.status
+  }
+
+  // Send a test notification to one subscription
+  async sendTest(endpoint) {
+    const entry = this.subscriptions.get(endpoint)
+    if (!entry) return null
+    const payload = JSON.stringify({
+      title: 'Notifications are on',
+      body: `You'll get alerts for ${entry.players.length} player${entry.players.length === 1 ? '' : 's'}`,
+      tag: 'test',
+      url: '/'
+    })
+    return this.send(entry.subscription, payload)
+  }
+}
+
+export { PushService, PushError, PUSH_EVENTS }
+export default PushService
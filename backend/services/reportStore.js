@@ -0,0 +1,57 @@
+// Report Store
+// Weekly reports saved by the Monday job, one JSON file per ISO week under data/cache/reports/
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync } from 'fs'
+import { join } from 'path'
+
+const WEEK_ID_PATTERN = /^\d{4}-W\d{2}$/
+
+class ReportStore {
+  constructor(dirPath) {
+    this.dirPath = dirPath
+    mkdirSync(dirPath, { recursive: true })
+  }
+
+  getPath(weekId) {
+    return join(this.dirPath, `weekly-${weekId}.json`)
+  }
+
+  // Stored report for a week, or null
+  get(weekId) {
+    if (!WEEK_ID_PATTERN.test(weekId)) return null
+    const path = this.getPath(weekId)
+    try {
+      return existsSync(path) ? JSON.parse(readFileSync(path, 'utf-8')) : null
+    } catch (error) {
+      console.error(`Error loading weekly report ${weekId}:`, error)
+      return null
+    }
+  }
+
+  // Save a report under its week id; returns false when it wasn't saved
+  save(report) {
+    if (!WEEK_ID_PATTERN.test(report.week)) {
+      console.error(`Not saving weekly report with invalid week id ${report.week}`)
+      return false
+    }
+    try {
+      writeFileSync(this.getPath(report.week), JSON.stringify(report, null, 2))
+      return true
+    } catch (error) {
+      console.error(`Error saving weekly report ${report.week}:`, error)
+      return false
+    }
+  }
+
+  // Week ids of stored reports, newest first
+  list() {
+    return readdirSync(this.dirPath)
+      .map(file => file.match(/^weekly-(\d{4}-W\d{2})\.json$/)?.[1])
+      .filter(Boolean)
+      .sort()
+      .reverse()
+  }
+}
+
+export { ReportStore }
+export default ReportStore
@@ -0,0 +1,290 @@
+// Roster Store
+// Single source of truth for tracked players. Seeded from the tracked nation's roster file
+// (data/players.json for the US) on first run, then persisted to roster.json in its cache
+// directory so edits made through the API survive deploys. After that the seed file is only
+// read to warn when it has changed - reseed: true replaces the roster with it.
+// Emits 'change' with the new player list after every edit so services can hot-reload.
+
+import { EventEmitter } from 'events'
+import { createHash } from 'crypto'
+import { readFileSync, writeFileSync, existsSync } from 'fs'
+
+// Editable player fields and their validators
+const PLAYER_FIELDS = {
+  name: { type: 'string', required: true },
+  team: { type: 'string', required: true },
+  league: { type: 'string', required: true },
+  position: { type: 'string', required: true },
+  country: { type: 'string' }, // Club's country
+  // National team the player is tracked for and, for dual nationals, their other nationality
+  // (two-letter codes like 'US', 'MX'). Players without one belong to the tracked nation.
+  nationality: { type: 'country' },
+  dualNationality: { type: 'country' },
+  number: { type: 'integer' },
+  age: { type: 'integer' },
+  caps: { type: 'integer' },
+  image: { type: 'string' },
+  fbrefId: { type: 'string' },
+  fbrefSlug: { type: 'string' },
+  fotmobId: { type: 'integer' }
+}
+
+// Error with an HTTP status, surfaced by the roster routes
+class RosterError extends Error {
+  constructor(message, status = 400, details = null) {
+    super(message)
+    this.name = 'RosterError'
+    this.status = status
+    this.details = details
+  }
+}
+
+class RosterStore extends EventEmitter {
+  constructor({ seedFile, rosterFile, auditFile, reseed = false }) {
+    super()
+    this.seedFile = seedFile
+    this.rosterFile = rosterFile
+    this.auditFile = auditFile
+    this.players = []
+    this.leagues = []
+    this.nextId = 1 // Never reused, so a new player can't inherit a removed one's history
+    this.seedHash = null // Hash of the seed file the roster was last seeded from
+    this.seedChanged = false // Seed file edited since then (those edits aren't applied)
+    this.load(reseed)
+  }
+
+  // Load roster from the persisted copy, seeding it from the seed file on first run
+  // (or when reseed is set)
+  load(reseed = false) {
+    const seedText = readFileSync(this.seedFile, 'utf-8')
+    const seedHash = createHash('sha256').update(seedText).digest('hex')
+
+    if (!existsSync(this.rosterFile)) {
+      this.seed(seedText, seedHash)
+      console.log(`Roster seeded from ${this.seedFile} (${this.players.length} players)`)
+      return
+    }
+
+    const data = JSON.parse(readFileSync(this.rosterFile, 'utf-8'))
+    this.players = data.players || []
+    this.leagues = data.leagues || []
+    this.nextId = Math.max(data.nextId || 1, this.getHighestKnownId() + 1)
+    this.seedHash = data.seedHash || null
+
+    if (reseed && seedHash !== this.seedHash) {
+      this.seed(seedText, seedHash)
+      this.appendAudit({ timestamp: new Date().toISOString(), user: 'system', action: 'reseed', changes: { file: this.seedFile } })
+      console.log(`Roster re-seeded from ${this.seedFile} (${this.players.length} players)`)
+      return
+    }
+
+    if (!this.seedHash) {
+      // Roster saved before seed hashes were recorded - assume it matches the current seed
+      this.seedHash = seedHash
+      this.save()
+    } else if (this.seedHash !== seedHash) {
+      this.seedChanged = true
+      console.warn(`Roster: ${this.seedFile} has changed since the roster was seeded, but edits to it are not applied. ` +
+        'Make roster changes through the roster API, or restart with ROSTER_RESEED=true to replace the roster with the file.')
+    }
+    console.log(`Loaded roster with ${this.players.length} players`)
+  }
+
+  // Replace players and leagues with the seed file's
+  seed(seedText, seedHash) {
+    const data = JSON.parse(seedText)
+    this.players = data.players || []
+    this.leagues = data.leagues || []
+    this.nextId = Math.max(this.nextId, this.getHighestKnownId() + 1)
+    this.seedHash = seedHash
+    this.seedChanged = false
+    this.save()
+  }
+
+  // Highest id held by a current player or recorded in the audit log (removed players)
+  getHighestKnownId() {
+    const ids = [...this.players, ...this.getAuditLog(Infinity)].map(p => p.id ?? p.playerId ?? 0)
+    return Math.max(0, ...ids.filter(Number.isInteger))
+  }
+
+  // Save roster to file
+  save() {
+    writeFileSync(this.rosterFile, JSON.stringify({
+      players: this.players,
+      leagues: this.leagues,
+      nextId: this.nextId,
+      seedHash: this.seedHash
+    }, null, 2))
+  }
+
+  getPlayers() {
+    return this.players
+  }
+
+  getLeagues() {
+    return this.leagues
+  }
+
+  getPlayer(playerId) {
+    return this.players.find(p => p.id === playerId) || null
+  }
+
+  // Validate player fields. With partial=true, required fields may be omitted.
+  validate(data, partial = false) {
+    const errors = []
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new RosterError('Request body must be a JSON object')
+    }
+
+    for (const key of Object.keys(data)) {
+      if (key === 'id') {
+        errors.push('id cannot be set or changed')
+      } else if (!PLAYER_FIELDS[key]) {
+        errors.push(`Unknown field: ${key}`)
+      }
+    }
+
+    for (const [field, rule] of Object.entries(PLAYER_FIELDS)) {
+      const value = data[field]
+      if (value === undefined) {
+        if (rule.required && !partial) errors.push(`${field} is required`)
+        continue
+      }
+      if (value === null) {
+        if (rule.required) errors.push(`${field} cannot be null`)
+        continue
+      }
+      if (rule.type === 'string' && (typeof value !== 'string' || !value.trim())) {
+        errors.push(`${field} must be a non-empty string`)
+      }
+      if (rule.type === 'integer' && (!Number.isInteger(value) || value < 0)) {
+        errors.push(`${field} must be a non-negative integer`)
+      }
+      if (rule.type === 'country' && (typeof value !== 'string' || !/^[a-z]{2}$/i.test(value.trim()))) {
+        errors.push(`${field} must be a two-letter country code (e.g. US)`)
+      }
+    }
+
+    if (data.nationality && data.dualNationality &&
+        String(data.nationality).trim().toUpperCase() === String(data.dualNationality).trim().toUpperCase()) {
+      errors.push('dualNationality must differ from nationality')
+    }
+
+    if (typeof data.league === 'string' && !this.leagues.some(l => l.name === data.league)) {
+      errors.push(`Unknown league: ${data.league} (expected one of ${this.leagues.map(l => l.name).join(', ')})`)
+    }
+
+    if (errors.length > 0) {
+      throw new RosterError('Invalid player data', 400, errors)
+    }
+  }
+
+  // Add a new player. Returns the created player.
+  // Names are unique, ignoring case (excludeId: the player being renamed)
+  assertNameAvailable(name, excludeId = null) {
+    if (this.players.some(p => p.id !== excludeId && p.name.toLowerCase() === name.trim().toLowerCase())) {
+      throw new RosterError(`A player named ${name} is already tracked`, 409)
+    }
+  }
+
+  addPlayer(data, user) {
+    this.validate(data)
+    this.assertNameAvailable(data.name)
+
+    const id = this.nextId++
+    const fields = Object.entries(this.clean(data)).filter(([, value]) => value !== null)
+    const player = { id, ...Object.fromEntries(fields) }
+    this.players.push(player)
+    this.commit(user, 'add', player, player)
+    return player
+  }
+
+  // Update fields on an existing player. Returns the updated player.
+  updatePlayer(playerId, changes, user) {
+    const player = this.getPlayer(playerId)
+    if (!player) throw new RosterError('Player not found', 404)
+    this.validate(changes, true)
+    if (changes.name !== undefined) this.assertNameAvailable(changes.name, playerId)
+
+    const cleaned = this.clean(changes)
+    const diff = {}
+    for (const [field, value] of Object.entries(cleaned)) {
+      if ((player[field] ?? null) !== value) {
+        diff[field] = { from: player[field] ?? null, to: value }
+      }
+    }
+    if (Object.keys(diff).length === 0) return player
+
+    const updated = { ...player, ...cleaned }
+    for (const [field, value] of Object.entries(cleaned)) {
+      if (value === null) delete updated[field]
+    }
+    this.players = this.players.map(p => p.id === playerId ? updated : p)
+    this.commit(user, 'update', updated, diff)
+    return updated
+  }
+
+  // Remove a player. Returns the removed player.
+  removePlayer(playerId, user) {
+    const player = this.getPlayer(playerId)
+    if (!player) throw new RosterError('Player not found', 404)
+
+    this.players = this.players.filter(p => p.id !== playerId)
+    this.commit(user, 'remove', player, player)
+    return player
+  }
+
+  // Trim string values, upper-case country codes
+  clean(data) {
+    const cleaned = {}
+    for (const [field, value] of Object.entries(data)) {
+      cleaned[field] = typeof value === 'string' ? value.trim() : value
+      if (PLAYER_FIELDS[field]?.type === 'country' && typeof value === 'string') {
+        cleaned[field] = cleaned[field].toUpperCase()
+      }
+    }
+    return cleaned
+  }
+
+  // Persist, record the change and notify listeners
+  commit(user, action, player, changes) {
+    this.save()
+    this.appendAudit({
+      timestamp: new Date().toISOString(),
+      user: user || 'unknown',
+      action,
+      playerId: player.id,
+      playerName: player.name,
+      changes
+    })
+    console.log(`Roster: ${user || 'unknown'} ${action} ${player.name} (${player.id})`)
+    this.emit('change', this.players)
+  }
+
+  // Read the audit log (most recent first)
+  getAuditLog(limit = 100) {
+    try {
+      if (!existsSync(this.auditFile)) return []
+      const entries = JSON.parse(readFileSync(this.auditFile, 'utf-8'))
+      return entries.slice(-limit).reverse()
+    } catch (error) {
+      console.error('Error reading roster audit log:', error)
+      return []
+    }
+  }
+
+  appendAudit(entry) {
+    try {
+      const entries = existsSync(this.auditFile)
+        ? JSON.parse(readFileSync(this.auditFile, 'utf-8'))
+        : []
+      entries.push(entry)
+      writeFileSync(this.auditFile, JSON.stringify(entries, null, 2))
+    } catch (error) {
+      console.error('Error writing roster audit log:', error)
+    }
+  }
+}
+
+export { RosterStore, RosterError }
+export default RosterStore
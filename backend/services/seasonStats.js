@@ -0,0 +1,111 @@
+// Season Stats
+// Aggregates stored appearances into per-season totals, split by competition type
+
+// Leagues that play a calendar-year season (everything else runs July - June)
+const CALENDAR_YEAR_LEAGUES = new Set(['MLS', 'MLS Next Pro'])
+
+// Competition name patterns, checked in order
+const EUROPEAN_PATTERN = /champions league|europa|conference league|uefa/i
+const CUP_PATTERN = /cup|pokal|coppa|copa|coupe|beker|trophy|shield|super ?cup|supercopa|supercoppa|friendl|playoff|play-off/i
+
+// Classify a competition name as 'league', 'europe' or 'cups'
+function classifyCompetition(competition) {
+  if (!competition) return 'league'
+  if (EUROPEAN_PATTERN.test(competition)) return 'europe'
+  if (CUP_PATTERN.test(competition)) return 'cups'
+  return 'league'
+}
+
+// Get the current season's date range for a player's league
+function getSeasonRange(league, now = new Date()) {
+  const year = now.getUTCFullYear()
+  if (CALENDAR_YEAR_LEAGUES.has(league)) {
+    return {
+      label: `${year}`,
+      start: new Date(Date.UTC(year, 0, 1)),
+      end: new Date(Date.UTC(year + 1, 0, 1))
+    }
+  }
+  // Seasons start in July (pre-season qualifiers) - before July we're in last year's season
+  const startYear = now.getUTCMonth() < 6 ? year - 1 : year
+  return {
+    label: `${startYear}/${String(startYear + 1).slice(-2)}`,
+    start: new Date(Date.UTC(startYear, 6, 1)),
+    end: new Date(Date.UTC(startYear + 1, 6, 1))
+  }
+}
+
+// Count a player's events of a given type, falling back to stored totals
+const countEvents = (appearance, type, fallbackField) => {
+  const events = appearance.events || []
+  const count = events.filter(e => e.type === type).length
+  if (count > 0 || !fallbackField) return count
+  return appearance[fallbackField] || 0
+}
+
+// Aggregate a list of finished appearances into a stats line
+function aggregateAppearances(appearances) {
+  const played = appearances.filter(a => a.participated)
+  const rated = played.filter(a => a.rating !== null && a.rating !== undefined && !isNaN(parseFloat(a.rating)))
+
+  const stats = {
+    matches: appearances.length, // Matches observed (including unused sub / not in squad)
+    appearances: played.length,
+    starts: played.filter(a => a.started === true).length,
+    minutes: played.reduce((sum, a) => sum + (a.minutesPlayed || 0), 0),
+    goals: played.reduce((sum, a) => sum + countEvents(a, 'goal', 'goals'), 0),
+    assists: played.reduce((sum, a) => sum + countEvents(a, 'assist', 'assists'), 0),
+    yellowCards: played.reduce((sum, a) => sum + countEvents(a, 'yellow'), 0),
+    redCards: played.reduce((sum, a) => sum + countEvents(a, 'red'), 0),
+    avgRating: null,
+    ratedGames: rated.length,
+    minutesPerGoal: null
+  }
+
+  if (rated.length > 0) {
+    const avg = rated.reduce((sum, a) => sum + parseFloat(a.rating), 0) / rated.length
+    stats.avgRating = Math.round(avg * 100) / 100
+  }
+  if (stats.goals > 0) {
+    stats.minutesPerGoal = Math.round(stats.minutes / stats.goals)
+  }
+
+  return stats
+}
+
+// Build the season aggregate for a player from their stored appearances
+function computeSeasonStats(player, appearances, now = new Date()) {
+  const season = getSeasonRange(player.league, now)
+  const inSeason = appearances.filter(a => {
+    if (a.status && a.status !== 'finished') return false
+    const date = new Date(a.date)
+    return date >= season.start && date < season.end
+  })
+
+  const byCompetition = {
+    league: aggregateAppearances(inSeason.filter(a => classifyCompetition(a.competition) === 'league')),
+    europe: aggregateAppearances(inSeason.filter(a => classifyCompetition(a.competition) === 'europe')),
+    cups: aggregateAppearances(inSeason.filter(a => classifyCompetition(a.competition) === 'cups'))
+  }
+
+  // Per-competition breakdown (e.g. Serie A, Coppa Italia, Champions League)
+  const competitionNames = [...new Set(inSeason.map(a => a.competition || 'Unknown'))]
+  const competitions = competitionNames.map(name => ({
+    name,
+    type: classifyCompetition(name),
+    ...aggregateAppearances(inSeason.filter(a => (a.competition || 'Unknown') === name))
+  }))
+
+  return {
+    season: {
+      label: season.label,
+      start: season.start.toISOString(),
+      end: season.end.toISOString()
+    },
+    totals: aggregateAppearances(inSeason),
+    byCompetition,
+    competitions
+  }
+}
+
+export { classifyCompetition, getSeasonRange, aggregateAppearances, computeSeasonStats }
@@ -0,0 +1,238 @@
+// Share Cards
+// Social image for one player's match (headshot, score line, minutes, goals/assists, rating),
+// drawn as SVG and rasterized to PNG in-process with resvg - no browser or image service.
+// Headshots are only read from local files (never fetched from player image URLs); players
+// without one get their initials. The share page carries the Open Graph / Twitter tags and
+// sends people on to the site.
+
+import { readFileSync, readdirSync, existsSync } from 'fs'
+import { join, basename } from 'path'
+import { Resvg } from '@resvg/resvg-js'
+
+const CARD_WIDTH = 1200
+const CARD_HEIGHT = 630
+const FONT_FAMILY = "Helvetica, Arial, 'DejaVu Sans', sans-serif"
+// Where to look for the card's fonts, once - scanning every system font on each render is slow
+const FONT_DIRS = ['/usr/share/fonts', '/usr/local/share/fonts', '/Library/Fonts', '/System/Library/Fonts', 'C:\\Windows\\Fonts']
+const FONT_FILE_PATTERN = /^(dejavusans(-bold)?|arial(bd)?|helvetica)\.(ttf|ttc|otf)$/i
+const HEADSHOT_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp' }
+// Right-hand column for the name, score line and stats
+const TEXT_X = 420
+const TEXT_WIDTH = 740
+
+// Same bands and colors as getRatingClass / .rating-* on the player cards
+const RATING_BANDS = [
+  { min: 8, background: '#2e7d32', color: '#fff' },
+  { min: 7, background: '#66bb6a', color: '#1b5e20' },
+  { min: 6, background: '#f9a825', color: '#333' },
+  { min: -Infinity, background: '#e53935', color: '#fff' }
+]
+
+const escapeXml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+const countEvents = (match, type) => (match.events || []).filter(e => e.type === type).length
+
+const truncate = (text, max) => text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text
+
+// Largest font size up to max that fits the text column (allowing ~0.66em per bold glyph)
+const fitFontSize = (text, max) => Math.max(28, Math.min(max, Math.floor(TEXT_WIDTH / (text.length * 0.66))))
+
+const getRatingColors = rating => RATING_BANDS.find(band => rating >= band.min)
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`
+
+const getStatusLabel = card => card.status !== 'live' ? 'Full time' : card.minute ? `LIVE ${card.minute}'` : 'LIVE'
+
+// Card data from a today's-match, last-game or stored-appearance entry
+function buildShareCard(player, match) {
+  const rating = parseFloat(match.rating)
+  return {
+    player: { id: player.id, name: player.name, team: player.team, image: player.image || null },
+    fixtureId: match.fixtureId || match.fixtureIds?.[0] || null,
+    date: match.kickoff || match.date || null,
+    status: match.status === 'live' ? 'live' : 'finished',
+    minute: match.minute ?? null,
+    homeTeam: match.homeTeam,
+    awayTeam: match.awayTeam,
+    homeScore: match.homeScore ?? 0,
+    awayScore: match.awayScore ?? 0,
+    isHome: !!match.isHome,
+    competition: match.competition || '',
+    participated: !!match.participated,
+    started: !!match.started,
+    onBench: !!match.onBench,
+    minutesPlayed: match.minutesPlayed || 0,
+    goals: countEvents(match, 'goal') || match.goals || 0,
+    assists: countEvents(match, 'assist') || match.assists || 0,
+    rating: isNaN(rating) ? null : rating
+  }
+}
+
+// "Christian Pulisic: 1 goal, 1 assist in AC Milan 2-1 Inter"
+function getShareTitle(card) {
+  const contributions = [
+    card.goals > 0 ? plural(card.goals, 'goal') : null,
+    card.assists > 0 ? plural(card.assists, 'assist') : null
+  ].filter(Boolean)
+  const fixture = `${card.homeTeam} ${card.homeScore}-${card.awayScore} ${card.awayTeam}`
+  return contributions.length > 0
+    ? `${card.player.name}: ${contributions.join(', ')} in ${fixture}`
+    : `${card.player.name} in ${fixture}`
+}
+
+// "90' played · Rating 7.8 · Serie A", led by "LIVE 67'" while the match is on
+function getShareDescription(card) {
+  const parts = [
+    card.status === 'live' ? getStatusLabel(card) : null,
+    !card.participated ? (card.onBench ? 'Unused sub' : 'Not in squad') :
+      `${card.minutesPlayed}' ${card.started ? 'played' : 'off the bench'}`,
+    card.participated && card.rating !== null ? `Rating ${card.rating.toFixed(1)}` : null,
+    card.competition || null
+  ].filter(Boolean)
+  return parts.join(' · ')
+}
+
+// Headshot as a data URI so the card is self-contained: <dir>/<playerId>.png (or .jpg,
+// .jpeg, .webp), or null when there's no file for the player
+function loadHeadshot(dir, playerId) {
+  if (!dir || !Number.isInteger(playerId)) return null
+  for (const [extension, type] of Object.entries(HEADSHOT_TYPES)) {
+    const file = join(dir, `${playerId}.${extension}`)
+    if (!existsSync(file)) continue
+    try {
+      return `data:${type};base64,${readFileSync(file).toString('base64')}`
+    } catch (error) {
+      console.log(`Share card: couldn't read headshot ${file}: ${error.message}`)
+      return null
+    }
+  }
+  return null
+}
+
+function renderStat(x, label, value, { background = 'rgba(255,255,255,0.12)', color = '#fff' } = {}) {
+  return [
+    `<rect x="${x}" y="420" width="150" height="110" rx="16" fill="${background}"/>`,
+    `<text x="${x + 75}" y="485" font-size="48" font-weight="bold" text-anchor="middle" fill="${color}">${escapeXml(value)}</text>`,
+    `<text x="${x + 75}" y="515" font-size="20" text-anchor="middle" fill="${color}" opacity="0.8">${escapeXml(label)}</text>`
+  ].join('\n  ')
+}
+
+// 1200x630 card (the size Open Graph and Twitter large cards expect)
+function renderShareSvg(card, { headshot = null, siteName = 'Americans Abroad' } = {}) {
+  const { player } = card
+  const initials = player.name.split(' ').map(n => n[0]).join('').slice(0, 3)
+  const date = card.date
+    ? new Date(card.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })
+    : ''
+  const meta = [card.competition, date, getStatusLabel(card)].filter(Boolean).join('  ·  ')
+  const name = truncate(player.name, 40)
+  const scoreLine = truncate(`${card.homeTeam}  ${card.homeScore} - ${card.awayScore}  ${card.awayTeam}`, 44)
+
+  const stats = []
+  if (card.participated) {
+    stats.push(renderStat(TEXT_X, card.started ? 'minutes' : 'off the bench', `${card.minutesPlayed}'`))
+    stats.push(renderStat(590, 'goals', card.goals))
+    stats.push(renderStat(760, 'assists', card.assists))
+    if (card.rating !== null) {
+      stats.push(renderStat(930, 'rating', card.rating.toFixed(1), getRatingColors(card.rating)))
+    }
+  } else {
+    stats.push(`<text x="${TEXT_X}" y="490" font-size="40" font-weight="bold" fill="#fff" opacity="0.85">${card.onBench ? 'Unused sub' : 'Not in squad'}</text>`)
+  }
+
+  const photo = headshot
+    ? `<image x="80" y="150" width="280" height="280" href="${escapeXml(headshot)}" clip-path="url(#photo)" preserveAspectRatio="xMidYMid slice"/>`
+    : `<circle cx="220" cy="290" r="140" fill="#b22234"/>
+  <text x="220" y="318" font-size="84" font-weight="bold" text-anchor="middle" fill="#fff">${escapeXml(initials)}</text>`
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}" font-family="${FONT_FAMILY}">
+  <defs>
+    <linearGradient id="bg" x1="0%" y1="0%" x2="100%" y2="100%">
+      <stop offset="0%" stop-color="#1a237e"/>
+      <stop offset="100%" stop-color="#3949ab"/>
+    </linearGradient>
+    <clipPath id="photo"><circle cx="220" cy="290" r="140"/></clipPath>
+  </defs>
+  <rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="url(#bg)"/>
+  <rect width="${CARD_WIDTH}" height="12" fill="#b22234"/>
+  <circle cx="220" cy="290" r="148" fill="rgba(255,255,255,0.9)"/>
+  ${photo}
+  <text x="${TEXT_X}" y="150" font-size="${fitFontSize(name, 60)}" font-weight="bold" fill="#fff">${escapeXml(name)}</text>
+  <text x="${TEXT_X}" y="195" font-size="26" fill="#fff" opacity="0.75">${escapeXml(truncate(meta, 52))}</text>
+  <text x="${TEXT_X}" y="300" font-size="${fitFontSize(scoreLine, 44)}" font-weight="bold" fill="#fff">${escapeXml(scoreLine)}</text>
+  <text x="${TEXT_X}" y="345" font-size="24" fill="#fff" opacity="0.75">${escapeXml(truncate(`for ${card.isHome ? card.homeTeam : card.awayTeam}`, 52))}</text>
+  ${stats.join('\n  ')}
+  <text x="1140" y="595" font-size="24" font-weight="bold" text-anchor="end" fill="#fff" opacity="0.6">${escapeXml(siteName)}</text>
+</svg>
+`
+}
+
+let fontFiles = null
+
+// Font files for FONT_FAMILY found under FONT_DIRS (looked up on first render), or [] if none
+function findFontFiles() {
+  if (fontFiles) return fontFiles
+  fontFiles = []
+  for (const dir of FONT_DIRS.filter(existsSync)) {
+    try {
+      const files = readdirSync(dir, { recursive: true })
+      fontFiles.push(...files.filter(file => FONT_FILE_PATTERN.test(basename(file))).map(file => join(dir, file)))
+    } catch (error) {
+      console.error(`Error reading fonts in ${dir}:`, error.message)
+    }
+  }
+  return fontFiles
+}
+
+function renderSharePng(svg) {
+  const files = findFontFiles()
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'width', value: CARD_WIDTH },
+    // Fall back to the system fonts when none of the card's fonts were found
+    font: files.length > 0 ?
+      { loadSystemFonts: false, fontFiles: files, defaultFontFamily: 'DejaVu Sans' } :
+      { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' }
+  })
+  return resvg.render().asPng()
+}
+
+// Page behind a shared link: crawlers read the tags, people are sent on to the player page
+function renderSharePage(card, { pageUrl, imageUrl, targetUrl, siteName = 'Americans Abroad' }) {
+  const title = escapeXml(getShareTitle(card))
+  const description = escapeXml(getShareDescription(card))
+  const target = escapeXml(targetUrl)
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title} - ${escapeXml(siteName)}</title>
+<meta name="description" content="${description}">
+<meta property="og:type" content="article">
+<meta property="og:site_name" content="${escapeXml(siteName)}">
+<meta property="og:url" content="${escapeXml(pageUrl)}">
+<meta property="og:title" content="${title}">
+<meta property="og:description" content="${description}">
+<meta property="og:image" content="${escapeXml(imageUrl)}">
+<meta property="og:image:width" content="${CARD_WIDTH}">
+<meta property="og:image:height" content="${CARD_HEIGHT}">
+<meta name="twitter:card" content="summary_large_image">
+<meta name="twitter:title" content="${title}">
+<meta name="twitter:description" content="${description}">
+<meta name="twitter:image" content="${escapeXml(imageUrl)}">
+<meta http-equiv="refresh" content="0; url=${target}">
+<link rel="canonical" href="${target}">
+</head>
+<body>
+<p><a href="${target}">${title}</a></p>
+<img src="${escapeXml(imageUrl)}" alt="${title}" width="${CARD_WIDTH / 2}" height="${CARD_HEIGHT / 2}">
+</body>
+</html>
+`
+}
+
+export { buildShareCard, getShareTitle, getShareDescription, loadHeadshot, renderShareSvg, renderSharePng, renderSharePage }
@@ -0,0 +1,159 @@
+// Team ID Resolver
+// Finds FotMob team IDs for clubs missing from the hard-coded TEAM_IDS table.
+// Lookup order: TEAM_IDS -> learned mappings (data/cache/teamIds.json) -> the primary team
+// on a tracked player's FotMob profile -> FotMob search. Teams that can't be resolved are
+// remembered (and retried every few hours) so they can be reported on /api/status.
+
+import { readFileSync, writeFileSync, existsSync } from 'fs'
+import { TEAM_IDS } from './fotmobService.js'
+
+const RETRY_UNRESOLVED_MS = 6 * 60 * 60 * 1000 // Retry unresolved teams every 6 hours
+
+const normalize = name => (name || '').toLowerCase().replace(/[^a-z0-9]/g, '')
+
+class TeamIdResolver {
+  constructor(filePath, fotmob, players = []) {
+    this.filePath = filePath
+    this.fotmob = fotmob
+    this.players = players
+    this.learned = new Map() // roster team name -> { teamId, fotmobName, source, learnedAt }
+    this.unresolved = new Map() // roster team name -> { reason, lastAttempt }
+    this.pending = new Map() // roster team name -> in-flight resolve promise
+    this.load()
+  }
+
+  // Load learned mappings from file
+  load() {
+    try {
+      if (existsSync(this.filePath)) {
+        const data = JSON.parse(readFileSync(this.filePath, 'utf-8'))
+        for (const [teamName, mapping] of Object.entries(data.teams || {})) {
+          this.learned.set(teamName, mapping)
+        }
+        console.log(`Loaded ${this.learned.size} learned FotMob team IDs`)
+      }
+    } catch (error) {
+      console.error('Error loading learned team IDs:', error)
+    }
+  }
+
+  // Save learned mappings to file
+  save() {
+    try {
+      const data = {
+        updatedAt: new Date().toISOString(),
+        teams: Object.fromEntries(this.learned)
+      }
+      writeFileSync(this.filePath, JSON.stringify(data, null, 2))
+    } catch (error) {
+      console.error('Error saving learned team IDs:', error)
+    }
+  }
+
+  setPlayers(players) {
+    this.players = players
+    // Teams no longer on the roster don't need resolving
+    const teams = new Set(players.map(p => p.team))
+    for (const teamName of this.unresolved.keys()) {
+      if (!teams.has(teamName)) this.unresolved.delete(teamName)
+    }
+  }
+
+  // Known team ID (static or learned), or null
+  getTeamId(teamName) {
+    return TEAM_IDS[teamName] || this.learned.get(teamName)?.teamId || null
+  }
+
+  // Remember a team ID for a roster team name
+  learn(teamName, teamId, fotmobName, source) {
+    if (!teamName || !teamId || this.getTeamId(teamName) === teamId) return
+    this.learned.set(teamName, {
+      teamId,
+      fotmobName: fotmobName || null,
+      source,
+      learnedAt: new Date().toISOString()
+    })
+    this.unresolved.delete(teamName)
+    this.save()
+    console.log(`FotMob: Learned team ID ${teamId} for ${teamName} (${source})`)
+  }
+
+  // Resolve a team ID, looking it up on FotMob if it isn't known yet
+  async resolve(teamName) {
+    const known = this.getTeamId(teamName)
+    if (known) return known
+
+    const failed = this.unresolved.get(teamName)
+    if (failed && Date.now() - new Date(failed.lastAttempt).getTime() < RETRY_UNRESOLVED_MS) {
+      return null
+    }
+
+    // Several callers may ask for the same team during one poll - share the lookup
+    if (!this.pending.has(teamName)) {
+      const lookup = this.lookup(teamName).finally(() => this.pending.delete(teamName))
+      this.pending.set(teamName, lookup)
+    }
+    return this.pending.get(teamName)
+  }
+
+  async lookup(teamName) {
+    // 1. Primary team on a tracked player's FotMob profile
+    const players = this.players.filter(p => p.team === teamName && p.fotmobId)
+    for (const player of players) {
+      try {
+        const playerData = await this.fotmob.getPlayerData(player.fotmobId)
+        const primaryTeam = playerData?.primaryTeam
+        if (primaryTeam?.teamId && this.fotmob.teamNamesMatch(primaryTeam.teamName, teamName)) {
+          this.learn(teamName, primaryTeam.teamId, primaryTeam.teamName, 'player_profile')
+          return primaryTeam.teamId
+        }
+      } catch (error) {
+        console.log(`FotMob: Could not read profile for ${player.name}: ${error.message}`)
+      }
+    }
+
+    // 2. FotMob search - prefer an exact name match over a partial one
+    try {
+      const teams = await this.fotmob.searchTeams(teamName)
+      const exact = teams.find(t => normalize(t.name) === normalize(teamName))
+      const match = exact || teams.find(t => this.fotmob.teamNamesMatch(t.name, teamName))
+      if (match) {
+        this.learn(teamName, match.id, match.name, 'search')
+        return match.id
+      }
+      this.markUnresolved(teamName, teams.length > 0 ? 'No matching team in FotMob search' : 'No FotMob search results')
+    } catch (error) {
+      this.markUnresolved(teamName, `FotMob search failed: ${error.message}`)
+    }
+    return null
+  }
+
+  // Drop a learned mapping that turned out to be wrong (static TEAM_IDS are left alone)
+  forget(teamName, reason) {
+    if (!this.learned.has(teamName)) return
+    this.learned.delete(teamName)
+    this.save()
+    this.markUnresolved(teamName, reason)
+  }
+
+  markUnresolved(teamName, reason) {
+    this.unresolved.set(teamName, { reason, lastAttempt: new Date().toISOString() })
+    console.log(`FotMob: Could not resolve team ID for ${teamName} - ${reason}`)
+  }
+
+  // Unresolved roster teams with the players they affect (for the status endpoint)
+  getUnresolved() {
+    return [...this.unresolved.entries()].map(([teamName, info]) => ({
+      team: teamName,
+      players: this.players.filter(p => p.team === teamName).map(p => p.name),
+      ...info
+    }))
+  }
+
+  getLearned() {
+    return Object.fromEntries(this.learned)
+  }
+}
+
+export { TeamIdResolver }
+export default TeamIdResolver
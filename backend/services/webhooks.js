@@ -0,0 +1,346 @@
+// Webhook Service
+// Delivers match events (goals, assists, red cards, starting XI...) to registered endpoints.
+// Endpoints are persisted to data/cache/webhooks.json and can filter by player, league and
+// event type. Payloads are signed with HMAC-SHA256 and failed deliveries are retried with
+// exponential backoff.
+//
+// Signature: X-Webhook-Signature: sha256=<hex HMAC of "<X-Webhook-Timestamp>.<raw body>">
+// Receivers should recompute it with their secret and reject stale timestamps.
+
+import { readFileSync, writeFileSync, existsSync } from 'fs'
+import { createHmac, randomBytes, randomUUID } from 'crypto'
+import { EVENT_TYPES, describeEvent } from './matchEvents.js'
+import { isInLineupWindow } from './lineupWindow.js'
+
+// Events delivered when a webhook doesn't set its own filter
+const DEFAULT_EVENTS = ['goal', 'assist', 'red_card', 'lineup_announced']
+
+// Lineup statuses a lineup_announced event can carry; only starts are delivered by
+// default (an empty filter list delivers every status)
+const LINEUP_STATUSES = ['starting', 'bench', 'not_in_squad']
+const DEFAULT_LINEUP_STATUSES = ['starting']
+
+// Payload formats: raw JSON, or a message body Slack / Discord incoming webhooks accept
+const FORMATS = ['json', 'slack', 'discord']
+
+const MAX_ATTEMPTS = 5
+const RETRY_BASE_MS = 30 * 1000 // 30s, 1m, 2m, 4m between attempts
+const DELIVERY_TIMEOUT_MS = 10 * 1000
+const MAX_DELIVERY_LOG = 200
+
+// Error with an HTTP status, surfaced by the webhook routes
+class WebhookError extends Error {
+  constructor(message, status = 400, details = null) {
+    super(message)
+    this.name = 'WebhookError'
+    this.status = status
+    this.details = details
+  }
+}
+
+class WebhookService {
+  // getLeagues() -> roster leagues ({ id, name }) so filters can use either form
+  constructor(filePath, { getLeagues = () => [] } = {}) {
+    this.filePath = filePath
+    this.getLeagues = getLeagues
+    this.webhooks = []
+    this.deliveries = [] // Recent delivery attempts, most recent last
+    this.load()
+  }
+
+  // Load registered webhooks from file
+  load() {
+    try {
+      if (existsSync(this.filePath)) {
+        this.webhooks = JSON.parse(readFileSync(this.filePath, 'utf-8')).webhooks || []
+        console.log(`Loaded ${this.webhooks.length} webhooks`)
+      }
+    } catch (error) {
+      console.error('Error loading webhooks:', error)
+    }
+  }
+
+  // Save registered webhooks to file
+  save() {
+    try {
+      writeFileSync(this.filePath, JSON.stringify({ webhooks: this.webhooks }, null, 2))
+    } catch (error) {
+      console.error('Error saving webhooks:', error)
+    }
+  }
+
+  // Webhook without its secret (for listing)
+  toPublic(webhook) {
+    const publicFields = { ...webhook, secretSet: !!webhook.secret }
+    delete publicFields.secret
+    return publicFields
+  }
+
+  list() {
+    return this.webhooks.map(w => this.toPublic(w))
+  }
+
+  get(id) {
+    const webhook = this.webhooks.find(w => w.id === id)
+    if (!webhook) throw new WebhookError('Webhook not found', 404)
+    return webhook
+  }
+
+  // Validate and normalize webhook fields. With partial=true, url may be omitted.
+  validate(data, partial = false) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new WebhookError('Request body must be a JSON object')
+    }
+    const errors = []
+    const cleaned = {}
+    const allowed = ['url', 'secret', 'description', 'format', 'active', 'filters']
+    for (const key of Object.keys(data)) {
+      if (!allowed.includes(key)) errors.push(`Unknown field: ${key}`)
+    }
+
+    if (data.url !== undefined) {
+      try {
+        const url = new URL(data.url)
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') throw new Error()
+        cleaned.url = url.toString()
+      } catch {
+        errors.push('url must be an http(s) URL')
+      }
+    } else if (!partial) {
+      errors.push('url is required')
+    }
+
+    if (data.secret !== undefined) {
+      if (typeof data.secret !== 'string' || data.secret.length < 16) {
+        errors.push('secret must be a string of at least 16 characters')
+      } else {
+        cleaned.secret = data.secret
+      }
+    }
+    if (data.description !== undefined) cleaned.description = String(data.description).trim()
+    if (data.format !== undefined) {
+      if (!FORMATS.includes(data.format)) errors.push(`format must be one of ${FORMATS.join(', ')}`)
+      else cleaned.format = data.format
+    }
+    if (data.active !== undefined) {
+      if (typeof data.active !== 'boolean') errors.push('active must be true or false')
+      else cleaned.active = data.active
+    }
+
+    if (data.filters !== undefined) {
+      const filters = data.filters || {}
+      cleaned.filters = {}
+      if (filters.players !== undefined) {
+        if (!Array.isArray(filters.players) || !filters.players.every(Number.isInteger)) {
+          errors.push('filters.players must be an array of player ids')
+        } else {
+          cleaned.filters.players = filters.players
+        }
+      }
+      if (filters.leagues !== undefined) {
+        const leagues = this.getLeagues()
+        const names = []
+        for (const league of Array.isArray(filters.leagues) ? filters.leagues : [null]) {
+          const match = leagues.find(l => l.id === league || l.name === league)
+          if (match) names.push(match.name)
+          else errors.push(`Unknown league in filters.leagues: ${league}`)
+        }
+        cleaned.filters.leagues = names
+      }
+      if (filters.events !== undefined) {
+        const events = Array.isArray(filters.events) ? filters.events : [null]
+        const unknown = events.filter(e => !EVENT_TYPES.includes(e))
+        if (unknown.length > 0) {
+          errors.push(`Unknown event types: ${unknown.join(', ')} (expected ${EVENT_TYPES.join(', ')})`)
+        } else {
+          cleaned.filters.events = events
+        }
+      }
+      if (filters.lineupStatuses !== undefined) {
+        const statuses = Array.isArray(filters.lineupStatuses) ? filters.lineupStatuses : [null]
+        const unknown = statuses.filter(s => !LINEUP_STATUSES.includes(s))
+        if (unknown.length > 0) {
+          errors.push(`Unknown lineup statuses: ${unknown.join(', ')} (expected ${LINEUP_STATUSES.join(', ')})`)
+        } else {
+          cleaned.filters.lineupStatuses = statuses
+        }
+      }
+    }
+
+    if (errors.length > 0) throw new WebhookError('Invalid webhook', 400, errors)
+    return cleaned
+  }
+
+  // Register a webhook. Returns it including the secret (only shown once).
+  add(data, user) {
+    const cleaned = this.validate(data)
+    const webhook = {
+      id: randomUUID(),
+      url: cleaned.url,
+      secret: cleaned.secret || randomBytes(24).toString('hex'),
+      description: cleaned.description || '',
+      format: cleaned.format || 'json',
+      active: cleaned.active ?? true,
+      filters: { events: DEFAULT_EVENTS, lineupStatuses: DEFAULT_LINEUP_STATUSES, ...cleaned.filters },
+      createdBy: user || 'unknown',
+      createdAt: new Date().toISOString()
+    }
+    this.webhooks.push(webhook)
+    this.save()
+    console.log(`Webhooks: ${webhook.createdBy} added ${webhook.url}`)
+    return webhook
+  }
+
+  update(id, data) {
+    const webhook = this.get(id)
+    const cleaned = this.validate(data, true)
+    Object.assign(webhook, cleaned, cleaned.filters ? { filters: { ...webhook.filters, ...cleaned.filters } } : {})
+    webhook.updatedAt = new Date().toISOString()
+    this.save()
+    return this.toPublic(webhook)
+  }
+
+  remove(id) {
+    const webhook = this.get(id)
+    this.webhooks = this.webhooks.filter(w => w.id !== id)
+    this.save()
+    return this.toPublic(webhook)
+  }
+
+  // Whether a webhook's filters accept an event. Lineups are only announced in the lineup
+  // window, like push notifications, so a stale status never goes out after kickoff.
+  matches(webhook, event, now = new Date()) {
+    const { players, leagues, events, lineupStatuses = DEFAULT_LINEUP_STATUSES } = webhook.filters || {}
+    if (players?.length && !players.includes(event.playerId)) return false
+    if (leagues?.length && !leagues.includes(event.league)) return false
+    if (events?.length && !events.includes(event.type)) return false
+    if (event.type === 'lineup_announced') {
+      if (lineupStatuses.length && !lineupStatuses.includes(event.lineupStatus)) return false
+      if (!isInLineupWindow(event.match?.kickoff, now)) return false
+    }
+    return true
+  }
+
+  // Deliver new match events to every matching active webhook (fire and forget)
+  dispatch(events) {
+    for (const event of events) {
+      for (const webhook of this.webhooks) {
+        if (!webhook.active || !this.matches(webhook, event)) continue
+        this.deliver(webhook, event).catch(error =>
+          console.error(`Webhook delivery to ${webhook.url} failed:`, error.message)
+        )
+      }
+    }
+  }
+
+  // Request body for a webhook's format
+  buildPayload(webhook, deliveryId, event) {
+    if (webhook.format === 'slack') return { text: describeEvent(event) }
+    if (webhook.format === 'discord') return { content: describeEvent(event) }
+    return {
+      id: deliveryId,
+      type: event.type,
+      createdAt: new Date().toISOString(),
+      summary: describeEvent(event),
+      event
+    }
+  }
+
+  sign(secret, timestamp, body) {
+    return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+  }
+
+  // POST an event, retrying with backoff on network errors, timeouts, 429 and 5xx responses
+  async deliver(webhook, event, { attempt = 1, deliveryId = randomUUID(), retry: allowRetry = true } = {}) {
+    const body = JSON.stringify(this.buildPayload(webhook, deliveryId, event))
+    const timestamp = Math.floor(Date.now() / 1000).toString()
+    const record = {
+      deliveryId,
+      webhookId: webhook.id,
+      eventId: event.id ?? null,
+      eventType: event.type,
+      attempt,
+      timestamp: new Date().toISOString(),
+      status: null,
+      error: null
+    }
+
+    let retry = false
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'AmericansAbroad-Webhooks/1.0',
+          'X-Webhook-Id': webhook.id,
+          'X-Webhook-Delivery': deliveryId,
+          'X-Webhook-Event': event.type,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': this.sign(webhook.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+      })
+      record.status = response.status
+      if (!response.ok) {
+        record.error = `HTTP ${response.status}`
+        retry = response.status >= 500 || response.status === 408 || response.status === 429
+      }
+    } catch (error) {
+      record.error = error.message
+      retry = true
+    }
+
+    this.logDelivery(record)
+    if (allowRetry && retry && attempt < MAX_ATTEMPTS && this.webhooks.some(w => w.id === webhook.id && w.active)) {
+      const delay = RETRY_BASE_MS * 2 ** (attempt - 1)
+      console.log(`Webhook ${webhook.url}: ${record.error}, retrying in ${delay / 1000}s (attempt ${attempt + 1}/${MAX_ATTEMPTS})`)
+      await new Promise(resolve => setTimeout(resolve, delay))
+      return this.deliver(webhook, event, { attempt: attempt + 1, deliveryId })
+    }
+    return record
+  }
+
+  // Send a sample goal event once (no retries) so receivers can check signatures
+  async sendTest(id, player) {
+    const webhook = this.get(id)
+    const event = {
+      id: null,
+      type: 'goal',
+      key: null,
+      playerId: player?.id ?? 0,
+      playerName: player?.name || 'Test Player',
+      team: player?.team || 'Test FC',
+      league: player?.league || null,
+      fixtureId: null,
+      minute: 67,
+      match: {
+        homeTeam: player?.team || 'Test FC',
+        awayTeam: 'Opponent FC',
+        homeScore: 1,
+        awayScore: 0,
+        isHome: true,
+        competition: 'Test',
+        kickoff: new Date().toISOString(),
+        status: 'live',
+        minute: 67
+      },
+      test: true
+    }
+    return this.deliver(webhook, event, { retry: false })
+  }
+
+  logDelivery(record) {
+    this.deliveries.push(record)
+    if (this.deliveries.length > MAX_DELIVERY_LOG) this.deliveries.shift()
+  }
+
+  // Recent delivery attempts for a webhook (most recent first)
+  getDeliveries(id) {
+    this.get(id)
+    return this.deliveries.filter(d => d.webhookId === id).reverse()
+  }
+}
+
+export { WebhookService, WebhookError, DEFAULT_EVENTS, LINEUP_STATUSES }
+export default WebhookService
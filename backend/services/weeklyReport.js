@@ -0,0 +1,292 @@
+// Weekly Report
+// "Americans Abroad weekend" roundup of every tracked player's matches in one ISO week
+// (Monday - Sunday, UTC), built from stored appearances and rendered as Markdown or HTML
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const HIGH_RATING = 8
+const MAX_STANDOUTS = 10
+
+// Years ?week may name. Date.UTC maps 0-99 to 1900-1999 and ids need four digits, so
+// anything outside this is rejected before a date is built.
+const MIN_YEAR = 2000
+const MAX_YEAR = 2999
+
+const escapeHtml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// Monday 00:00 UTC of the week containing a date
+function getWeekStart(date) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7))
+  return start
+}
+
+// ISO week id, e.g. "2025-W10" (the week belongs to the year its Thursday is in)
+function getWeekId(weekStart) {
+  const thursday = new Date(weekStart.getTime() + 3 * DAY_MS)
+  const year = thursday.getUTCFullYear()
+  const firstThursday = new Date(Date.UTC(year, 0, 4))
+  const week = 1 + Math.round((getWeekStart(thursday) - getWeekStart(firstThursday)) / (7 * DAY_MS))
+  return `${year}-W${String(week).padStart(2, '0')}`
+}
+
+const isSupportedYear = year => year >= MIN_YEAR && year <= MAX_YEAR
+
+// Week from ?week: an ISO week ("2025-W10"), any date in it ("2025-03-08"), or nothing for
+// the last completed week. Returns { id, start, end } or null when it can't be parsed.
+function resolveReportWeek(week, now = new Date()) {
+  let start
+  if (!week) {
+    start = new Date(getWeekStart(now).getTime() - 7 * DAY_MS)
+  } else if (typeof week !== 'string' || !isSupportedYear(Number(week.slice(0, 4)))) {
+    return null
+  } else if (/^\d{4}-W\d{2}$/.test(week)) {
+    const [year, number] = week.split('-W').map(Number)
+    if (number < 1 || number > 53) return null
+    start = new Date(getWeekStart(new Date(Date.UTC(year, 0, 4))).getTime() + (number - 1) * 7 * DAY_MS)
+    if (getWeekId(start) !== week) return null // W53 in a 52-week year
+  } else if (/^\d{4}-\d{2}-\d{2}$/.test(week)) {
+    const date = new Date(`${week}T00:00:00Z`)
+    if (isNaN(date)) return null
+    start = getWeekStart(date)
+  } else {
+    return null
+  }
+  return { id: getWeekId(start), start, end: new Date(start.getTime() + 7 * DAY_MS) }
+}
+
+// Whether a week can have a report: not before the week of the first stored appearance
+// (the last completed week when there is none yet) and not after the current week
+function isReportWeekInRange(week, firstAppearance, now = new Date()) {
+  const earliest = firstAppearance ?
+    getWeekStart(new Date(firstAppearance)) :
+    new Date(getWeekStart(now).getTime() - 7 * DAY_MS)
+  return week.start >= earliest && week.start <= now
+}
+
+const countEvents = (appearance, type, fallbackField) => {
+  const count = (appearance.events || []).filter(e => e.type === type).length
+  return count > 0 ? count : (appearance[fallbackField] || 0)
+}
+
+// One stored appearance as a report line
+function toReportMatch(appearance) {
+  const ownScore = appearance.isHome ? appearance.homeScore : appearance.awayScore
+  const theirScore = appearance.isHome ? appearance.awayScore : appearance.homeScore
+  const hasScore = ownScore !== null && ownScore !== undefined && theirScore !== null && theirScore !== undefined
+  let status = 'played'
+  if (!appearance.participated) status = appearance.onBench ? 'unused_sub' : 'not_in_squad'
+
+  return {
+    date: appearance.date,
+    homeTeam: appearance.homeTeam,
+    awayTeam: appearance.awayTeam,
+    isHome: appearance.isHome,
+    opponent: appearance.opponent || (appearance.isHome ? appearance.awayTeam : appearance.homeTeam),
+    competition: appearance.competition || '',
+    result: hasScore ? (ownScore > theirScore ? 'W' : ownScore < theirScore ? 'L' : 'D') : null,
+    score: hasScore ? `${ownScore}-${theirScore}` : null,
+    status,
+    started: appearance.started === true,
+    minutesPlayed: appearance.minutesPlayed || 0,
+    goals: appearance.participated ? countEvents(appearance, 'goal', 'goals') : 0,
+    assists: appearance.participated ? countEvents(appearance, 'assist', 'assists') : 0,
+    redCard: (appearance.events || []).some(e => e.type === 'red'),
+    rating: appearance.participated && appearance.rating ? parseFloat(appearance.rating) : null
+  }
+}
+
+// Why a match stands out, most notable first
+function getStandoutReasons(match) {
+  const reasons = []
+  if (match.goals === 1) reasons.push('a goal')
+  if (match.goals === 2) reasons.push('a brace')
+  if (match.goals >= 3) reasons.push(match.goals === 3 ? 'a hat-trick' : `${match.goals} goals`)
+  if (match.assists > 0) reasons.push(match.assists === 1 ? 'an assist' : `${match.assists} assists`)
+  // "an 8.4", "a 9.1"
+  if (match.rating >= HIGH_RATING) reasons.push(`${Math.floor(match.rating) === 8 ? 'an' : 'a'} ${match.rating.toFixed(1)} rating`)
+  return reasons
+}
+
+// Roundup for a week from resolveReportWeek(). getAppearances(playerId) returns stored appearances.
+function buildWeeklyReport(players, getAppearances, week, now = new Date()) {
+  const entries = []
+  for (const player of players) {
+    const matches = getAppearances(player.id)
+      .filter(a => (!a.status || a.status === 'finished') && new Date(a.date) >= week.start && new Date(a.date) < week.end)
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .map(toReportMatch)
+    const played = matches.filter(m => m.status === 'played')
+    const rated = played.filter(m => m.rating !== null)
+    entries.push({
+      player: { id: player.id, name: player.name, team: player.team, league: player.league, position: player.position },
+      matches,
+      totals: {
+        matches: matches.length,
+        appearances: played.length,
+        starts: played.filter(m => m.started).length,
+        minutes: played.reduce((sum, m) => sum + m.minutesPlayed, 0),
+        goals: played.reduce((sum, m) => sum + m.goals, 0),
+        assists: played.reduce((sum, m) => sum + m.assists, 0),
+        avgRating: rated.length ? Math.round(rated.reduce((sum, m) => sum + m.rating, 0) / rated.length * 100) / 100 : null
+      }
+    })
+  }
+
+  const standouts = entries
+    .flatMap(entry => entry.matches.map(match => ({ player: entry.player, match, reasons: getStandoutReasons(match) })))
+    .filter(s => s.reasons.length > 0)
+    .sort((a, b) =>
+      (b.match.goals + b.match.assists) - (a.match.goals + a.match.assists) ||
+      (b.match.rating || 0) - (a.match.rating || 0))
+    .slice(0, MAX_STANDOUTS)
+
+  const withMatches = entries.filter(e => e.matches.length > 0)
+  const played = withMatches.filter(e => e.totals.appearances > 0)
+  const didNotPlay = withMatches.filter(e => e.totals.appearances === 0)
+
+  return {
+    week: week.id,
+    from: week.start.toISOString(),
+    to: week.end.toISOString(),
+    generatedAt: now.toISOString(),
+    summary: {
+      playersTracked: players.length,
+      playersWithMatches: withMatches.length,
+      appearances: played.reduce((sum, e) => sum + e.totals.appearances, 0),
+      starts: played.reduce((sum, e) => sum + e.totals.starts, 0),
+      minutes: played.reduce((sum, e) => sum + e.totals.minutes, 0),
+      goals: played.reduce((sum, e) => sum + e.totals.goals, 0),
+      assists: played.reduce((sum, e) => sum + e.totals.assists, 0)
+    },
+    standouts,
+    // Players who got on the field, grouped by league
+    leagues: [...new Set(played.map(e => e.player.league))].sort().map(league => ({
+      league,
+      players: played
+        .filter(e => e.player.league === league)
+        .sort((a, b) => b.totals.minutes - a.totals.minutes || a.player.name.localeCompare(b.player.name))
+    })),
+    // Their team played but they didn't: on the bench the whole time, or not in the squad
+    unusedSubs: didNotPlay.filter(e => e.matches.some(m => m.status === 'unused_sub')).map(e => e.player),
+    notInSquad: didNotPlay.filter(e => e.matches.every(m => m.status === 'not_in_squad')).map(e => e.player),
+    // Nothing stored for the week (no match, or not picked up by the tracker)
+    noMatches: entries.filter(e => e.matches.length === 0).map(e => e.player)
+  }
+}
+
+const formatDay = date => new Date(date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' })
+const formatWeekRange = report =>
+  `${formatDay(report.from)} - ${formatDay(new Date(new Date(report.to).getTime() - DAY_MS))}`
+
+// "W 2-1 vs Roma (Serie A) - 90', 1G 1A, 7.8"
+function describeMatch(match) {
+  const result = match.result ? `${match.result} ${match.score} ` : ''
+  const fixture = `${result}${match.isHome ? 'vs' : 'at'} ${match.opponent}${match.competition ? ` (${match.competition})` : ''}`
+  if (match.status === 'unused_sub') return `${fixture} - unused sub`
+  if (match.status === 'not_in_squad') return `${fixture} - not in squad`
+  const details = [
+    `${match.minutesPlayed}'${match.started ? '' : ' off the bench'}`,
+    match.goals ? `${match.goals}G` : null,
+    match.assists ? `${match.assists}A` : null,
+    match.redCard ? 'red card' : null,
+    match.rating !== null ? match.rating.toFixed(1) : null
+  ].filter(Boolean)
+  return `${fixture} - ${details.join(', ')}`
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`
+
+// "12 of 40 tracked players had a match. 10 appearances (7 starts), 745 minutes, 3 goals and 1 assist."
+const describeSummary = summary =>
+  `${summary.playersWithMatches} of ${summary.playersTracked} tracked players had a match. ` +
+  `${plural(summary.appearances, 'appearance')} (${plural(summary.starts, 'start')}), ${plural(summary.minutes, 'minute')}, ` +
+  `${plural(summary.goals, 'goal')} and ${plural(summary.assists, 'assist')}.`
+
+const describeStandout = s => `${s.player.name} (${s.player.team}): ${s.reasons.join(', ')} - ${describeMatch(s.match)}`
+
+function renderMarkdown(report, { siteName = 'Americans Abroad' } = {}) {
+  const { summary } = report
+  const lines = [
+    `# ${siteName} weekend: ${formatWeekRange(report)}`,
+    '',
+    describeSummary(summary),
+    ''
+  ]
+
+  if (report.standouts.length > 0) {
+    lines.push('## Standout performances', '')
+    for (const standout of report.standouts) lines.push(`- **${standout.player.name}** (${standout.player.team}): ${standout.reasons.join(', ')} - ${describeMatch(standout.match)}`)
+    lines.push('')
+  }
+
+  for (const { league, players } of report.leagues) {
+    lines.push(`## ${league}`, '')
+    for (const entry of players) {
+      lines.push(`- **${entry.player.name}** (${entry.player.team})`)
+      for (const match of entry.matches) lines.push(`  - ${formatDay(match.date)}: ${describeMatch(match)}`)
+    }
+    lines.push('')
+  }
+
+  const listSection = (title, players) => {
+    if (players.length === 0) return
+    lines.push(`## ${title}`, '', players.map(p => `${p.name} (${p.team})`).join(', '), '')
+  }
+  listSection('Unused substitutes', report.unusedSubs)
+  listSection('Not in the squad', report.notInSquad)
+  listSection('No match recorded', report.noMatches)
+
+  lines.push(`_Generated ${new Date(report.generatedAt).toUTCString()}_`)
+  return lines.join('\n') + '\n'
+}
+
+function renderHtml(report, { siteName = 'Americans Abroad' } = {}) {
+  const { summary } = report
+  const title = `${siteName} weekend: ${formatWeekRange(report)}`
+  const html = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    '<style>body{font-family:system-ui,sans-serif;max-width:760px;margin:2rem auto;padding:0 1rem;color:#333;line-height:1.5}' +
+      'h1{color:#1a237e}h2{border-bottom:1px solid #eee;padding-bottom:.25rem}li{margin:.2rem 0}.muted{color:#888}</style>',
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p>${describeSummary(summary)}</p>`
+  ]
+
+  if (report.standouts.length > 0) {
+    html.push('<h2>Standout performances</h2>', '<ul>')
+    for (const standout of report.standouts) html.push(`<li>${escapeHtml(describeStandout(standout))}</li>`)
+    html.push('</ul>')
+  }
+
+  for (const { league, players } of report.leagues) {
+    html.push(`<h2>${escapeHtml(league)}</h2>`, '<ul>')
+    for (const entry of players) {
+      html.push(`<li><strong>${escapeHtml(entry.player.name)}</strong> (${escapeHtml(entry.player.team)})<ul>`)
+      for (const match of entry.matches) html.push(`<li>${escapeHtml(`${formatDay(match.date)}: ${describeMatch(match)}`)}</li>`)
+      html.push('</ul></li>')
+    }
+    html.push('</ul>')
+  }
+
+  const listSection = (heading, players) => {
+    if (players.length === 0) return
+    html.push(`<h2>${heading}</h2>`, `<p>${escapeHtml(players.map(p => `${p.name} (${p.team})`).join(', '))}</p>`)
+  }
+  listSection('Unused substitutes', report.unusedSubs)
+  listSection('Not in the squad', report.notInSquad)
+  listSection('No match recorded', report.noMatches)
+
+  html.push(`<p class="muted">Generated ${escapeHtml(new Date(report.generatedAt).toUTCString())}</p>`, '</body>', '</html>')
+  return html.join('\n') + '\n'
+}
+
+export { resolveReportWeek, isReportWeekInRange, buildWeeklyReport, renderMarkdown, renderHtml }
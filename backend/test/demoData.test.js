@@ -0,0 +1,49 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildSampleMatchData } from '../services/demoData.js'
+
+const NOW = Date.parse('2025-03-08T18:00:00Z')
+
+const player = (id, team, league) => ({ id, name: `Player ${id}`, team, league })
+
+const ROSTER = [
+  player(1, 'Bayern Munich', 'Bundesliga'),
+  player(2, 'Bayern Munich', 'Bundesliga'),
+  player(3, 'Villarreal', 'La Liga'),
+  player(4, 'Nice', 'Ligue 1')
+]
+
+test('builds entries for the roster it is given', () => {
+  const data = buildSampleMatchData(ROSTER, NOW)
+  assert.deepEqual(Object.keys(data), ['1', '3', '4'])
+  assert.equal(data[1].status, 'live')
+  assert.ok([data[1].homeTeam, data[1].awayTeam].includes('Bayern Munich'))
+  assert.ok([data[3].homeTeam, data[3].awayTeam].includes('Villarreal'))
+})
+
+test('no two entries describe the same game today', () => {
+  const roster = [
+    ...ROSTER,
+    player(5, 'Monaco', 'Ligue 1'),
+    player(6, 'Lyon', 'Ligue 1'),
+    player(7, 'Lens', 'Ligue 1')
+  ]
+  const data = buildSampleMatchData(roster, NOW)
+  const teams = Object.values(data)
+    .filter(entry => entry.status !== 'no_match_today')
+    .map(entry => [entry.homeTeam, entry.awayTeam])
+  const games = new Set(teams.map(pair => pair.join(' v ')))
+  const clubs = new Set(teams.flat())
+  assert.equal(clubs.size, games.size * 2)
+})
+
+test('tracked clubs left over play each other as a matchup', () => {
+  const roster = [...Array(9)].map((_, i) => player(i + 1, `Club ${i + 1}`, 'Serie A'))
+  roster.push(player(10, 'Genoa', 'Serie A'), player(11, 'Lecce', 'Serie A'))
+  const data = buildSampleMatchData(roster, NOW)
+  assert.equal(data[10].fixtureId, data[11].fixtureId)
+  assert.equal(data[10].homeTeam, 'Genoa')
+  assert.equal(data[11].awayTeam, 'Lecce')
+  assert.equal(data[10].isHome, true)
+  assert.equal(data[11].isHome, false)
+})
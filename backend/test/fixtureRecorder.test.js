@@ -0,0 +1,89 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync, writeFileSync, mkdirSync } from 'fs'
+import { tmpdir } from 'os'
+import { join, dirname } from 'path'
+import { fileURLToPath } from 'url'
+import { configureFixtures, providerFetch } from '../services/fixtureRecorder.js'
+import FootballDataService from '../services/footballData.js'
+import MatchTrackerFD from '../services/matchTrackerFD.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+
+// Football-Data.org responses for Milan vs Lazio on 2025-03-08, polled twice while live
+const MATCHDAY_FIXTURES = join(__dirname, 'fixtures/2025-03-08')
+
+const PULISIC = { id: 1, name: 'Christian Pulisic', team: 'AC Milan', league: 'Serie A', position: 'Winger' }
+
+let dir
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'fixtures-'))
+})
+
+afterEach(() => {
+  configureFixtures({ mode: 'off' })
+  rmSync(dir, { recursive: true, force: true })
+})
+
+const writeRecording = (provider, key, sequence, body) => {
+  mkdirSync(join(dir, provider), { recursive: true })
+  writeFileSync(
+    join(dir, provider, `${key}.${String(sequence).padStart(4, '0')}.json`),
+    JSON.stringify({ url: '', status: 200, contentType: 'application/json', body })
+  )
+}
+
+test('replays recorded responses in order and repeats the last one', async () => {
+  writeRecording('fotmob', 'example.com_data', 2, '"second"')
+  writeRecording('fotmob', 'example.com_data', 1, '"first"')
+  configureFixtures({ mode: 'replay', dir })
+
+  const bodies = []
+  for (let i = 0; i < 3; i++) {
+    bodies.push(await (await providerFetch('fotmob', 'https://example.com/data')).json())
+  }
+  assert.deepEqual(bodies, ['first', 'second', 'second'])
+})
+
+test('fails like a network error when a request was never recorded', async () => {
+  configureFixtures({ mode: 'replay', dir })
+  await assert.rejects(providerFetch('fotmob', 'https://example.com/missing'), /No recorded fotmob response/)
+})
+
+test('indexes the recordings once instead of on every request', async () => {
+  writeRecording('fotmob', 'example.com_data', 1, '"first"')
+  configureFixtures({ mode: 'replay', dir })
+  await providerFetch('fotmob', 'https://example.com/data')
+
+  // Added after the first replayed request, so not part of this replay
+  writeRecording('fotmob', 'example.com_data', 2, '"second"')
+  assert.equal(await (await providerFetch('fotmob', 'https://example.com/data')).json(), 'first')
+})
+
+test('replays a recorded matchday through the live tracker', async () => {
+  configureFixtures({ mode: 'replay', dir: MATCHDAY_FIXTURES })
+  const api = new FootballDataService('')
+  const tracker = new MatchTrackerFD(api, [PULISIC], null, {
+    cacheDir: dir,
+    manualStatsFile: join(dir, 'playerStats.json')
+  })
+  tracker.matchday = '2025-03-08'
+
+  assert.equal(await tracker.updateMatchData(true), true)
+  let match = tracker.getPlayerMatchData(PULISIC.id)
+  assert.equal(match.status, 'live')
+  assert.equal(match.minute, 30)
+  assert.equal(match.homeScore, 0)
+  assert.deepEqual(match.events, [{ type: 'yellow', minute: 24 }])
+
+  // Second poll (the service's response cache would otherwise serve the first one)
+  api.cache.clear()
+  await tracker.updateMatchData(true)
+  match = tracker.getPlayerMatchData(PULISIC.id)
+  assert.equal(match.minute, 72)
+  assert.equal(match.homeScore, 1)
+  assert.equal(match.isHome, true)
+  assert.equal(match.goals, 1)
+  assert.deepEqual(match.events.map(e => e.type), ['goal', 'yellow'])
+})
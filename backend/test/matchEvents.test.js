@@ -0,0 +1,64 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { diffMatchEntry } from '../services/matchEvents.js'
+
+const PLAYER = { id: 7, name: 'Folarin Balogun', team: 'Monaco', league: 'Ligue 1' }
+
+const entry = (fields = {}) => ({
+  status: 'live',
+  kickoff: '2025-03-08T19:00:00Z',
+  homeTeam: 'Monaco',
+  awayTeam: 'Lyon',
+  homeScore: 1,
+  awayScore: 0,
+  minute: 50,
+  isHome: true,
+  events: [],
+  ...fields
+})
+
+const types = events => events.map(e => e.type)
+
+test('emits kickoff and new player events', () => {
+  const events = diffMatchEntry(PLAYER, undefined, entry({ events: [{ type: 'goal', minute: 12 }] }))
+  assert.deepEqual(types(events), ['kickoff', 'goal'])
+  assert.equal(events[1].minute, 12)
+  assert.equal(events[1].key, '7:2025-03-08:goal:#1')
+})
+
+test('a revised minute is not a new event', () => {
+  const before = entry({ events: [{ type: 'goal', minute: 45 }] })
+  const after = entry({ events: [{ type: 'goal', minute: '45+2' }] })
+  assert.deepEqual(diffMatchEntry(PLAYER, before, after), [])
+})
+
+test('a second goal is a new event, even in the same minute', () => {
+  const before = entry({ events: [{ type: 'goal', minute: 30 }] })
+  const after = entry({ events: [{ type: 'goal', minute: 30 }, { type: 'goal', minute: 30 }] })
+  const events = diffMatchEntry(PLAYER, before, after)
+  assert.deepEqual(types(events), ['goal'])
+  assert.equal(events[0].key, '7:2025-03-08:goal:#2')
+})
+
+test('keys on the provider event ID when there is one', () => {
+  const before = entry({ events: [{ type: 'goal', minute: 20, id: 901 }] })
+  // The earlier goal is revised and listed second; only the new ID is an event
+  const after = entry({ events: [{ type: 'goal', minute: 10, id: 905 }, { type: 'goal', minute: 21, id: 901 }] })
+  const events = diffMatchEntry(PLAYER, before, after)
+  assert.deepEqual(types(events), ['goal'])
+  assert.equal(events[0].minute, 10)
+  assert.equal(events[0].key, '7:2025-03-08:goal:id:905')
+})
+
+test('a fixture on another day starts over', () => {
+  const before = entry({ kickoff: '2025-03-01T19:00:00Z', status: 'finished', events: [{ type: 'goal', minute: 5 }] })
+  const events = diffMatchEntry(PLAYER, before, entry({ events: [{ type: 'goal', minute: 5 }] }))
+  assert.deepEqual(types(events), ['kickoff', 'goal'])
+})
+
+test('full time and the final rating are emitted once', () => {
+  const live = entry({ minute: 88 })
+  const finished = entry({ status: 'finished', minute: 90, participated: true, minutesPlayed: 90, rating: 7.4 })
+  assert.deepEqual(types(diffMatchEntry(PLAYER, live, finished)), ['full_time', 'rating_final'])
+  assert.deepEqual(diffMatchEntry(PLAYER, finished, finished), [])
+})
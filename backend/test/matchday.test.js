@@ -0,0 +1,70 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { isValidTimeZone, readTimeZone, startOfLocalDay, toMatchdayEntry } from '../services/matchday.js'
+
+// 22:30 in London on Saturday: still Saturday in Los Angeles, already Sunday in Sydney
+const NOW = new Date('2025-03-08T22:30:00Z')
+
+test('reads a valid ?tz', () => {
+  assert.deepEqual(readTimeZone({ tz: 'America/Los_Angeles' }), { timeZone: 'America/Los_Angeles' })
+  assert.deepEqual(readTimeZone({ tz: 'UTC' }), { timeZone: 'UTC' })
+})
+
+test('canonicalizes the case of ?tz', () => {
+  assert.deepEqual(readTimeZone({ tz: 'europe/london' }), { timeZone: 'Europe/London' })
+})
+
+test('no or an empty ?tz means the server default', () => {
+  assert.deepEqual(readTimeZone({}), { timeZone: null })
+  assert.deepEqual(readTimeZone({ tz: '' }), { timeZone: null })
+})
+
+test('rejects unknown, offset and padded timezones', () => {
+  for (const tz of ['Mars/Olympus', 'America/Springfield', '+05:00', ' UTC', '../etc/passwd']) {
+    assert.deepEqual(readTimeZone({ tz }), { error: `Unknown timezone: ${tz}` })
+  }
+})
+
+test('rejects a repeated ?tz', () => {
+  assert.deepEqual(readTimeZone({ tz: ['UTC', 'Europe/Paris'] }), { error: 'tz must be a single timezone' })
+  assert.deepEqual(readTimeZone({ tz: { zone: 'UTC' } }), { error: 'tz must be a single timezone' })
+})
+
+test('isValidTimeZone only accepts strings', () => {
+  assert.equal(isValidTimeZone('Asia/Tokyo'), true)
+  assert.equal(isValidTimeZone(undefined), false)
+  assert.equal(isValidTimeZone(42), false)
+})
+
+test('a day starts at local midnight, across DST changes', () => {
+  assert.equal(startOfLocalDay('2025-03-08', 'America/New_York').toISOString(), '2025-03-08T05:00:00.000Z')
+  // Clocks go forward at 02:00 on March 9, after midnight
+  assert.equal(startOfLocalDay('2025-03-10', 'America/New_York').toISOString(), '2025-03-10T04:00:00.000Z')
+  assert.equal(startOfLocalDay('2025-03-30', 'Europe/London').toISOString(), '2025-03-30T00:00:00.000Z')
+  assert.equal(startOfLocalDay('2025-03-31', 'Europe/London').toISOString(), '2025-03-30T23:00:00.000Z')
+  assert.equal(startOfLocalDay('2025-03-08', 'Australia/Sydney').toISOString(), '2025-03-07T13:00:00.000Z')
+})
+
+test('a finished game is today or last game depending on the viewer', () => {
+  const entry = {
+    status: 'finished',
+    kickoff: '2025-03-08T12:00:00Z',
+    homeTeam: 'Fulham',
+    awayTeam: 'Brighton',
+    homeScore: 2,
+    awayScore: 1,
+    isHome: true,
+    lastGame: { date: '2025-03-01T15:00:00Z', homeTeam: 'Fulham', awayTeam: 'Wolves' }
+  }
+  assert.equal(toMatchdayEntry(entry, 'America/Los_Angeles', NOW), entry)
+
+  const sydney = toMatchdayEntry(entry, 'Australia/Sydney', NOW)
+  assert.equal(sydney.status, 'no_match_today')
+  assert.equal(sydney.lastGame.date, '2025-03-08T12:00:00Z')
+  assert.equal(sydney.lastGame.awayTeam, 'Brighton')
+})
+
+test('live games are today everywhere', () => {
+  const entry = { status: 'live', kickoff: '2025-03-08T21:00:00Z', minute: 80 }
+  assert.equal(toMatchdayEntry(entry, 'Australia/Sydney', NOW), entry)
+})
@@ -0,0 +1,97 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { ProviderRegistry, CAPABILITIES } from '../services/providers/index.js'
+import ApiFootballProvider from '../services/providers/apiFootballProvider.js'
+import ManualStatsProvider from '../services/providers/manualStatsProvider.js'
+
+const FOTMOB_FIXTURE = {
+  id: 4506001,
+  provider: 'fotmob',
+  kickoff: '2025-03-08T19:45:00Z',
+  homeTeam: 'AC Milan',
+  awayTeam: 'Lazio',
+  isHome: true
+}
+
+// API-Football service with one Serie A fixture on the day
+function createApiFootballService() {
+  const calls = []
+  return {
+    calls,
+    async getFixturesByLeague(leagueId, date) {
+      calls.push(['fixtures', leagueId, date])
+      return {
+        response: [{
+          fixture: { id: 77, date: '2025-03-08T19:45:00+00:00', status: { short: 'NS' } },
+          teams: { home: { id: 489, name: 'AC Milan' }, away: { id: 487, name: 'Lazio' } },
+          goals: { home: null, away: null },
+          league: { name: 'Serie A' }
+        }]
+      }
+    },
+    async getFixtureLineups(fixtureId) {
+      calls.push(['lineups', fixtureId])
+      return {
+        response: [
+          { startXI: [{ player: { name: 'C. Pulisic' } }], substitutes: [{ player: { name: 'Y. Musah' } }] },
+          { startXI: [], substitutes: [] }
+        ]
+      }
+    }
+  }
+}
+
+const createApiFootball = service => new ApiFootballProvider(service, {
+  leagues: [{ name: 'Serie A', apiId: 135 }]
+})
+
+test('API-Football answers lineups for another provider\'s fixture by kickoff day and teams', async () => {
+  const service = createApiFootballService()
+  const lineups = await createApiFootball(service).getLineups(FOTMOB_FIXTURE, { league: 'Serie A' })
+  assert.deepEqual(lineups.home, { starters: ['C. Pulisic'], bench: ['Y. Musah'] })
+  assert.deepEqual(service.calls, [['fixtures', 135, '2025-03-08'], ['lineups', 77]])
+})
+
+test('API-Football skips fixtures in leagues it has no ID for', async () => {
+  const service = createApiFootballService()
+  assert.equal(await createApiFootball(service).getLineups(FOTMOB_FIXTURE, { league: 'MLS' }), null)
+  assert.deepEqual(service.calls, [])
+})
+
+test('firstResult follows the configured order and falls through providers without data', async () => {
+  const registry = new ProviderRegistry({
+    default: ['manual'],
+    leagues: { 'Serie A': { lineups: ['api-football'], playerMatchStats: ['api-football', 'manual'] } }
+  })
+  registry.register(createApiFootball(createApiFootballService()))
+  registry.register(new ManualStatsProvider({
+    findMatch: () => ({ participated: true, started: true, minutesPlayed: 90, events: [{ type: 'goal', minute: 12 }] })
+  }))
+
+  const lineups = await registry.firstResult(CAPABILITIES.LINEUPS, 'Serie A',
+    provider => provider.getLineups(FOTMOB_FIXTURE, { league: 'Serie A' }))
+  assert.equal(lineups.provider, 'api-football')
+
+  // No player stats from API-Football (the service has none), so manual stats answer
+  const player = { id: 1, name: 'Christian Pulisic', league: 'Serie A' }
+  const stats = await registry.firstResult(CAPABILITIES.PLAYER_MATCH_STATS, 'Serie A',
+    provider => provider.getPlayerMatchStats(player, FOTMOB_FIXTURE))
+  assert.equal(stats.provider, 'manual')
+  assert.equal(stats.result.goals, 1)
+})
+
+test('a league\'s own order wins over the capability overrides', () => {
+  const registry = new ProviderRegistry({
+    default: ['football-data', 'fotmob', 'manual'],
+    capabilities: { nextFixture: ['football-data', 'fotmob'] },
+    leagues: {
+      MLS: { default: ['fotmob', 'manual'], lineups: ['api-football', 'fotmob'] },
+      'Liga MX': ['fotmob']
+    }
+  })
+  assert.deepEqual(registry.getPriority(CAPABILITIES.LINEUPS, 'MLS'), ['api-football', 'fotmob'])
+  assert.deepEqual(registry.getPriority(CAPABILITIES.NEXT_FIXTURE, 'MLS'), ['fotmob', 'manual'])
+  assert.deepEqual(registry.getPriority(CAPABILITIES.NEXT_FIXTURE, 'Liga MX'), ['fotmob'])
+  assert.deepEqual(registry.getPriority(CAPABILITIES.NEXT_FIXTURE, 'Serie A'), ['football-data', 'fotmob'])
+  assert.deepEqual(registry.getPriority(CAPABILITIES.LINEUPS, 'Serie A'), ['football-data', 'fotmob', 'manual'])
+})
@@ -0,0 +1,95 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import PushService, { PushError } from '../services/pushNotifications.js'
+
+const KEYS = { p256dh: 'BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA_0QTpQtUbVlUls0VJXg7A8u-Ts1XbjhazAkj7I99e8QcYP7DkM', auth: 'tBHItJI5svbpez7KI4CCXg' }
+const ENDPOINT = 'https://fcm.googleapis.com/fcm/send/abc123'
+
+let dir
+let files
+
+const createService = (options = {}) => new PushService({ ...files, ...options })
+const subscription = endpoint => ({ endpoint, keys: KEYS })
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'push-'))
+  files = {
+    subscriptionsFile: join(dir, 'pushSubscriptions.json'),
+    vapidFile: join(dir, 'vapid.json')
+  }
+})
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true })
+})
+
+const rejects = (fn, pattern, status = 400) => assert.throws(fn, error => {
+  assert.ok(error instanceof PushError)
+  assert.equal(error.status, status)
+  assert.match(error.message, pattern)
+  return true
+})
+
+test('saves a public https subscription', () => {
+  const push = createService()
+  push.subscribe(subscription(ENDPOINT), [1, 2], ['goal'], '203.0.113.5')
+  assert.equal(push.getCount(), 1)
+  assert.equal(push.subscriptions.get(ENDPOINT).clientId, '203.0.113.5')
+})
+
+test('rejects http endpoints', () => {
+  rejects(() => createService().subscribe(subscription('http://push.example.com/send/1'), [1]), /must be an https URL/)
+})
+
+test('rejects loopback, private and link-local hosts', () => {
+  const push = createService()
+  for (const host of [
+    'localhost', 'push.localhost', '127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.10',
+    '169.254.169.254', '0.0.0.0', '[::1]', '[fe80::1]', '[fd00::5]', '[::ffff:127.0.0.1]'
+  ]) {
+    rejects(() => push.subscribe(subscription(`https://${host}/send/1`), [1]), /must be a public host/)
+  }
+  assert.equal(push.getCount(), 0)
+})
+
+test('accepts local http endpoints when allowed for development', () => {
+  const push = createService({ allowLocalEndpoints: true })
+  push.subscribe(subscription('http://localhost:9999/push'), [1])
+  assert.equal(push.getCount(), 1)
+})
+
+test('rejects invalid players and events', () => {
+  const push = createService()
+  rejects(() => push.subscribe({ endpoint: ENDPOINT }, [1]), /keys/)
+  rejects(() => push.subscribe(subscription(ENDPOINT), ['1']), /player ids/)
+  rejects(() => push.subscribe(subscription(ENDPOINT), [1], ['yellow_card']), /events must be/)
+})
+
+test('caps subscriptions per client, but not updates of an existing one', () => {
+  const push = createService({ maxPerClient: 2 })
+  push.subscribe(subscription(`${ENDPOINT}-1`), [1], undefined, 'client-a')
+  push.subscribe(subscription(`${ENDPOINT}-2`), [1], undefined, 'client-a')
+  rejects(() => push.subscribe(subscription(`${ENDPOINT}-3`), [1], undefined, 'client-a'), /At most 2/, 429)
+
+  push.subscribe(subscription(`${ENDPOINT}-2`), [1, 2], undefined, 'client-a')
+  push.subscribe(subscription(`${ENDPOINT}-3`), [1], undefined, 'client-b')
+  assert.equal(push.getCount(), 3)
+})
+
+test('caps the total number of subscriptions', () => {
+  const push = createService({ maxSubscriptions: 2 })
+  push.subscribe(subscription(`${ENDPOINT}-1`), [1], undefined, 'client-a')
+  push.subscribe(subscription(`${ENDPOINT}-2`), [1], undefined, 'client-b')
+  rejects(() => push.subscribe(subscription(`${ENDPOINT}-3`), [1], undefined, 'client-c'), /Too many/, 429)
+})
+
+test('never sends to a saved local endpoint', async () => {
+  writeFileSync(files.subscriptionsFile, JSON.stringify({
+    subscriptions: [{ subscription: subscription('http://127.0.0.1:8080/admin'), players: [1], events: ['goal'] }]
+  }))
+  const push = createService()
+  await assert.rejects(push.sendTest('http://127.0.0.1:8080/admin'), /must be an https URL/)
+})
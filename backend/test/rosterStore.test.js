@@ -0,0 +1,172 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync, writeFileSync, readFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import RosterStore, { RosterError } from '../services/rosterStore.js'
+
+const SEED = {
+  leagues: [{ id: 'serie_a', name: 'Serie A' }, { id: 'mls', name: 'MLS' }],
+  players: [
+    { id: 1, name: 'Christian Pulisic', team: 'AC Milan', league: 'Serie A', position: 'Winger' },
+    { id: 2, name: 'Tim Ream', team: 'Charlotte FC', league: 'MLS', position: 'Center Back' }
+  ]
+}
+
+const NEW_PLAYER = { name: 'Folarin Balogun', team: 'Monaco', league: 'Serie A', position: 'Striker' }
+
+let dir
+let files
+
+const createStore = (options = {}) => new RosterStore({ ...files, ...options })
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'roster-'))
+  files = {
+    seedFile: join(dir, 'players.json'),
+    rosterFile: join(dir, 'roster.json'),
+    auditFile: join(dir, 'rosterAudit.json')
+  }
+  writeFileSync(files.seedFile, JSON.stringify(SEED))
+})
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true })
+})
+
+test('seeds the roster from the seed file on first run', () => {
+  const roster = createStore()
+  assert.equal(roster.getPlayers().length, 2)
+  const saved = JSON.parse(readFileSync(files.rosterFile, 'utf-8'))
+  assert.equal(saved.players.length, 2)
+  assert.equal(saved.nextId, 3)
+})
+
+test('adds a player with trimmed fields and records it in the audit log', () => {
+  const roster = createStore()
+  const player = roster.addPlayer({ ...NEW_PLAYER, name: '  Folarin Balogun ', nationality: 'us' }, 'editor')
+  assert.equal(player.id, 3)
+  assert.equal(player.name, 'Folarin Balogun')
+  assert.equal(player.nationality, 'US')
+  const [entry] = roster.getAuditLog()
+  assert.equal(entry.action, 'add')
+  assert.equal(entry.user, 'editor')
+  assert.equal(entry.playerId, 3)
+})
+
+test('never reuses the id of a removed player', () => {
+  const roster = createStore()
+  const added = roster.addPlayer(NEW_PLAYER, 'editor')
+  roster.removePlayer(added.id, 'editor')
+  const next = roster.addPlayer({ ...NEW_PLAYER, name: 'Ricardo Pepi' }, 'editor')
+  assert.equal(next.id, added.id + 1)
+
+  // ...including after a restart
+  roster.removePlayer(next.id, 'editor')
+  const reloaded = createStore()
+  assert.equal(reloaded.addPlayer({ ...NEW_PLAYER, name: 'Josh Sargent' }, 'editor').id, next.id + 1)
+})
+
+test('takes the next id from the audit log for rosters saved without one', () => {
+  const roster = createStore()
+  const added = roster.addPlayer(NEW_PLAYER, 'editor')
+  roster.removePlayer(added.id, 'editor')
+  const saved = JSON.parse(readFileSync(files.rosterFile, 'utf-8'))
+  delete saved.nextId
+  writeFileSync(files.rosterFile, JSON.stringify(saved))
+
+  assert.equal(createStore().addPlayer({ ...NEW_PLAYER, name: 'Ricardo Pepi' }, 'editor').id, added.id + 1)
+})
+
+test('rejects invalid player data with the list of problems', () => {
+  const roster = createStore()
+  assert.throws(
+    () => roster.addPlayer({ name: 'No Team', league: 'Bundesliga', age: -1, nationality: 'USA', id: 9 }),
+    error => {
+      assert.ok(error instanceof RosterError)
+      assert.equal(error.status, 400)
+      assert.deepEqual(error.details, [
+        'id cannot be set or changed',
+        'team is required',
+        'position is required',
+        'nationality must be a two-letter country code (e.g. US)',
+        'age must be a non-negative integer',
+        'Unknown league: Bundesliga (expected one of Serie A, MLS)'
+      ])
+      return true
+    }
+  )
+})
+
+test('rejects a dual nationality equal to the nationality', () => {
+  const roster = createStore()
+  assert.throws(() => roster.updatePlayer(1, { nationality: 'US', dualNationality: 'us' }), /Invalid player data/)
+})
+
+test('rejects duplicate names and unknown players', () => {
+  const roster = createStore()
+  assert.throws(() => roster.addPlayer({ ...NEW_PLAYER, name: 'tim ream' }), error => error.status === 409)
+  assert.throws(() => roster.updatePlayer(99, { team: 'Fulham' }), error => error.status === 404)
+  assert.throws(() => roster.removePlayer(99), error => error.status === 404)
+})
+
+test('rejects renaming a player to another player\'s name', () => {
+  const roster = createStore()
+  assert.throws(() => roster.updatePlayer(2, { name: ' christian pulisic ' }), error => error.status === 409)
+  assert.equal(roster.getPlayer(2).name, 'Tim Ream')
+
+  // A player keeps (or re-cases) their own name
+  assert.equal(roster.updatePlayer(2, { name: 'Tim REAM' }).name, 'Tim REAM')
+})
+
+test('updates a player, records the diff and emits change', () => {
+  const roster = createStore()
+  let emitted = null
+  roster.on('change', players => { emitted = players })
+
+  const updated = roster.updatePlayer(2, { team: 'Fulham', league: 'Serie A' }, 'editor')
+  assert.equal(updated.team, 'Fulham')
+  assert.equal(emitted.find(p => p.id === 2).team, 'Fulham')
+  assert.deepEqual(roster.getAuditLog()[0].changes, {
+    team: { from: 'Charlotte FC', to: 'Fulham' },
+    league: { from: 'MLS', to: 'Serie A' }
+  })
+})
+
+test('clearing a field that was never set is not a change', () => {
+  const roster = createStore()
+  let changes = 0
+  roster.on('change', () => { changes++ })
+
+  roster.updatePlayer(1, { age: null, team: 'AC Milan' }, 'editor')
+  assert.equal(changes, 0)
+  assert.equal(roster.getAuditLog().length, 0)
+})
+
+test('clearing a set field removes it', () => {
+  const roster = createStore()
+  roster.updatePlayer(1, { age: 27 }, 'editor')
+  const updated = roster.updatePlayer(1, { age: null }, 'editor')
+  assert.equal('age' in updated, false)
+  assert.deepEqual(roster.getAuditLog()[0].changes, { age: { from: 27, to: null } })
+})
+
+test('keeps the saved roster and flags a changed seed file', () => {
+  createStore().addPlayer(NEW_PLAYER, 'editor')
+  writeFileSync(files.seedFile, JSON.stringify({ ...SEED, players: SEED.players.slice(0, 1) }))
+
+  const roster = createStore()
+  assert.equal(roster.seedChanged, true)
+  assert.equal(roster.getPlayers().length, 3)
+})
+
+test('reseed replaces the roster with a changed seed file', () => {
+  const added = createStore().addPlayer(NEW_PLAYER, 'editor')
+  writeFileSync(files.seedFile, JSON.stringify({ ...SEED, players: SEED.players.slice(0, 1) }))
+
+  const roster = createStore({ reseed: true })
+  assert.equal(roster.seedChanged, false)
+  assert.deepEqual(roster.getPlayers().map(p => p.id), [1])
+  assert.equal(roster.getAuditLog()[0].action, 'reseed')
+  assert.equal(roster.addPlayer({ ...NEW_PLAYER, name: 'Ricardo Pepi' }, 'editor').id, added.id + 1)
+})
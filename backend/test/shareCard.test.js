@@ -0,0 +1,59 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { buildShareCard, loadHeadshot, renderShareSvg, renderSharePng } from '../services/shareCard.js'
+
+const PLAYER = {
+  id: 4,
+  name: 'Weston McKennie',
+  team: 'Juventus',
+  league: 'Serie A',
+  image: 'https://images.example.com/mckennie.jpg'
+}
+
+const MATCH = {
+  status: 'finished',
+  kickoff: '2025-03-08T19:45:00Z',
+  homeTeam: 'Juventus',
+  awayTeam: 'Verona',
+  homeScore: 2,
+  awayScore: 0,
+  isHome: true,
+  participated: true,
+  started: true,
+  minutesPlayed: 90,
+  rating: 7.6,
+  events: [{ type: 'goal', minute: 30 }]
+}
+
+let dir
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'headshots-'))
+})
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true })
+})
+
+test('reads a headshot from the local directory', () => {
+  writeFileSync(join(dir, '4.jpg'), Buffer.from([0xff, 0xd8, 0xff]))
+  assert.equal(loadHeadshot(dir, 4), 'data:image/jpeg;base64,/9j/')
+  assert.equal(loadHeadshot(dir, 5), null)
+})
+
+test('never puts the player image URL in the card', () => {
+  const svg = renderShareSvg(buildShareCard(PLAYER, MATCH), { headshot: loadHeadshot(dir, PLAYER.id) })
+  assert.ok(!svg.includes('example.com'))
+  assert.ok(!svg.includes('<image'))
+  assert.match(svg, />WM</)
+})
+
+test('rasterizes the card to a 1200x630 PNG', () => {
+  const png = renderSharePng(renderShareSvg(buildShareCard(PLAYER, MATCH)))
+  assert.equal(png.subarray(1, 4).toString(), 'PNG')
+  assert.equal(png.readUInt32BE(16), 1200)
+  assert.equal(png.readUInt32BE(20), 630)
+})
@@ -0,0 +1,127 @@
+import { test, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { createServer } from 'http'
+import { createHmac } from 'crypto'
+import WebhookService, { WebhookError } from '../services/webhooks.js'
+
+const LEAGUES = [{ id: 'serie_a', name: 'Serie A' }, { id: 'mls', name: 'MLS' }]
+const SECRET = 'a-very-secret-signing-key'
+const KICKOFF = '2025-03-08T19:45:00Z'
+
+let dir
+let webhooks
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'webhooks-'))
+  webhooks = new WebhookService(join(dir, 'webhooks.json'), { getLeagues: () => LEAGUES })
+})
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true })
+})
+
+const event = (fields = {}) => ({
+  id: 41,
+  type: 'goal',
+  playerId: 1,
+  playerName: 'Christian Pulisic',
+  team: 'AC Milan',
+  league: 'Serie A',
+  minute: 67,
+  match: { homeTeam: 'AC Milan', awayTeam: 'Lazio', homeScore: 1, awayScore: 0, kickoff: KICKOFF, status: 'live' },
+  ...fields
+})
+
+const lineup = lineupStatus => event({ type: 'lineup_announced', lineupStatus, minute: null })
+
+// 30 minutes before kickoff, inside the lineup window
+const BEFORE_KICKOFF = new Date(Date.parse(KICKOFF) - 30 * 60 * 1000)
+
+test('signs the timestamp and body with the webhook secret', async () => {
+  const received = []
+  const server = createServer((req, res) => {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+      received.push({ headers: req.headers, body })
+      res.end('ok')
+    })
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+  try {
+    const webhook = webhooks.add({ url: `http://127.0.0.1:${server.address().port}/hook`, secret: SECRET }, 'admin')
+    const record = await webhooks.deliver(webhook, event(), { retry: false })
+    assert.equal(record.status, 200)
+
+    const [{ headers, body }] = received
+    const expected = createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex')
+    assert.equal(headers['x-webhook-signature'], `sha256=${expected}`)
+    assert.equal(headers['x-webhook-event'], 'goal')
+    assert.equal(JSON.parse(body).event.playerName, 'Christian Pulisic')
+  } finally {
+    await new Promise(resolve => server.close(resolve))
+  }
+})
+
+test('never lists the secret', () => {
+  const webhook = webhooks.add({ url: 'https://example.com/hook', secret: SECRET })
+  const [listed] = webhooks.list()
+  assert.equal(listed.id, webhook.id)
+  assert.equal(listed.secret, undefined)
+  assert.equal(listed.secretSet, true)
+})
+
+test('filters by player, league and event type', () => {
+  const webhook = webhooks.add({
+    url: 'https://example.com/hook',
+    filters: { players: [1], leagues: ['serie_a'], events: ['goal'] }
+  })
+  assert.deepEqual(webhook.filters.leagues, ['Serie A'])
+  assert.equal(webhooks.matches(webhook, event()), true)
+  assert.equal(webhooks.matches(webhook, event({ playerId: 2 })), false)
+  assert.equal(webhooks.matches(webhook, event({ league: 'MLS' })), false)
+  assert.equal(webhooks.matches(webhook, event({ type: 'assist' })), false)
+})
+
+test('announces only starting lineups by default', () => {
+  const webhook = webhooks.add({ url: 'https://example.com/hook' })
+  assert.deepEqual(webhook.filters.lineupStatuses, ['starting'])
+  assert.equal(webhooks.matches(webhook, lineup('starting'), BEFORE_KICKOFF), true)
+  assert.equal(webhooks.matches(webhook, lineup('bench'), BEFORE_KICKOFF), false)
+  assert.equal(webhooks.matches(webhook, lineup('not_in_squad'), BEFORE_KICKOFF), false)
+
+  // Webhooks saved before the lineupStatuses filter existed get the same default
+  delete webhook.filters.lineupStatuses
+  assert.equal(webhooks.matches(webhook, lineup('bench'), BEFORE_KICKOFF), false)
+})
+
+test('an empty lineupStatuses filter announces every status', () => {
+  const webhook = webhooks.add({ url: 'https://example.com/hook', filters: { lineupStatuses: [] } })
+  assert.equal(webhooks.matches(webhook, lineup('bench'), BEFORE_KICKOFF), true)
+})
+
+test('announces lineups only inside the lineup window', () => {
+  const webhook = webhooks.add({ url: 'https://example.com/hook' })
+  const twoHoursBefore = new Date(Date.parse(KICKOFF) - 2 * 60 * 60 * 1000)
+  const halfTime = new Date(Date.parse(KICKOFF) + 50 * 60 * 1000)
+  assert.equal(webhooks.matches(webhook, lineup('starting'), twoHoursBefore), false)
+  assert.equal(webhooks.matches(webhook, lineup('starting'), halfTime), false)
+})
+
+test('rejects unknown lineup statuses and event types', () => {
+  assert.throws(
+    () => webhooks.add({ url: 'https://example.com/hook', filters: { lineupStatuses: ['starter'], events: ['goals'] } }),
+    error => {
+      assert.ok(error instanceof WebhookError)
+      assert.equal(error.status, 400)
+      assert.match(error.details[0], /Unknown event types: goals/)
+      assert.match(error.details[1], /Unknown lineup statuses: starter/)
+      return true
+    }
+  )
+  assert.throws(() => webhooks.add({ url: 'https://example.com/hook', filters: { lineupStatuses: 'bench' } }), WebhookError)
+})
@@ -0,0 +1,53 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, rmSync, readdirSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { resolveReportWeek, isReportWeekInRange } from '../services/weeklyReport.js'
+import ReportStore from '../services/reportStore.js'
+
+const NOW = new Date('2025-03-12T12:00:00Z') // Wednesday of 2025-W11
+
+test('resolves ISO weeks and dates', () => {
+  assert.equal(resolveReportWeek('2025-W10').start.toISOString(), '2025-03-03T00:00:00.000Z')
+  assert.equal(resolveReportWeek('2025-03-08').id, '2025-W10')
+  assert.equal(resolveReportWeek('2020-W53').id, '2020-W53')
+  assert.equal(resolveReportWeek(undefined, NOW).id, '2025-W10')
+})
+
+test('rejects malformed weeks and unsupported years', () => {
+  for (const week of ['2025-W54', '2025-W53', '2025-13-01', 'last', '0001-01-01', '0099-W01', '1999-12-31', '3000-W01']) {
+    assert.equal(resolveReportWeek(week), null, week)
+  }
+  assert.equal(resolveReportWeek(['2025-W10', '2025-W11']), null)
+})
+
+test('weeks run from the first appearance until now', () => {
+  const first = '2025-02-05T19:00:00Z' // 2025-W06
+  const inRange = week => isReportWeekInRange(resolveReportWeek(week), first, NOW)
+  assert.equal(inRange('2025-W06'), true)
+  assert.equal(inRange('2025-W11'), true)
+  assert.equal(inRange('2025-W05'), false)
+  assert.equal(inRange('2025-W12'), false)
+})
+
+test('without appearances only the last completed and current weeks are in range', () => {
+  const inRange = week => isReportWeekInRange(resolveReportWeek(week), null, NOW)
+  assert.equal(inRange('2025-W10'), true)
+  assert.equal(inRange('2025-W11'), true)
+  assert.equal(inRange('2025-W09'), false)
+})
+
+test('the report store only saves valid week ids', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'reports-'))
+  try {
+    const reports = new ReportStore(dir)
+    assert.equal(reports.save({ week: '999-W22' }), false)
+    assert.equal(reports.save({ week: '../2025-W10' }), false)
+    assert.equal(reports.save({ week: '2025-W10' }), true)
+    assert.deepEqual(readdirSync(dir), ['weekly-2025-W10.json'])
+    assert.deepEqual(reports.list(), ['2025-W10'])
+  } finally {
+    rmSync(dir, { recursive: true, force: true })
+  }
+})
@@ -0,0 +1,41 @@
+// Service worker for player notifications (Web Push)
+// The backend sends { title, body, tag, url, icon } - see backend/services/pushNotifications.js
+// Registered as /sw.js?site=<site name> (src/services/api.js) for the fallback title
+
+const SITE_NAME = new URL(self.location).searchParams.get('site') || 'Football Tracker'
+
+self.addEventListener('push', (event) => {
+  let data = {}
+  try {
+    data = event.data ? event.data.json() : {}
+  } catch {
+    data = { title: SITE_NAME, body: event.data?.text() || '' }
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || SITE_NAME, {
+      body: data.body || '',
+      tag: data.tag,
+      icon: data.icon || '/vite.svg',
+      data: { url: data.url || '/' }
+    })
+  )
+})
+
+// Focus an open tab (or open one) when a notification is clicked
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  const url = event.notification.data?.url || '/'
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      for (const client of windows) {
+        if ('focus' in client) {
+          client.navigate(url)
+          return client.focus()
+        }
+      }
+      return self.clients.openWindow(url)
+    })
+  )
+})
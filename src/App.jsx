@@ -2,11 +2,24 @@ import { useState, useMemo, useEffect, useCallback } from 'react'
 import Header from './components/Header'
 import PlayerCard from './components/PlayerCard'
 import LeagueFilter from './components/LeagueFilter'
-import playersData from './data/players.json'
+import PlayerPage from './components/PlayerPage'
+import WeekView from './components/WeekView'
+import Leaderboards from './components/Leaderboards'
+import DepthChart from './components/DepthChart'
+import MatchupCard from './components/MatchupCard'
+import { fetchPlayers, fetchLeagues, fetchMatchups, isPushSupported, updatePushSubscription } from './services/api'
+import { useLocation, parsePlayerPath, parseListState, getListQuery, restoreListState, navigate } from './services/router'
+import { NATION } from './services/nation'
+import { useTimeZone, getLocalDate } from './services/timezone'
+// The nation's seed roster (the backend's, aliased in vite.config.js), used until the API has been reached
+import bundledRoster from '@nation-roster'
 import './App.css'
 
 const API_BASE = import.meta.env.VITE_API_URL || null
-const CACHE_VERSION = '3'
+
+// Versions include the nation so another nation's build on the same origin doesn't reuse them
+const CACHE_VERSION = `3-${NATION.code}`
+const ROSTER_CACHE_VERSION = `1-${NATION.code}`
 
 // Clear stale match data cache if version changed
 const storedCacheVersion = localStorage.getItem('americansAbroad_cacheVersion')
@@ -16,16 +29,51 @@ if (storedCacheVersion !== CACHE_VERSION) {
   localStorage.setItem('americansAbroad_cacheVersion', CACHE_VERSION)
 }
 
+// Clear cached roster if its version changed
+const storedRosterVersion = localStorage.getItem('americansAbroad_rosterVersion')
+if (storedRosterVersion !== ROSTER_CACHE_VERSION) {
+  localStorage.removeItem('americansAbroad_roster')
+  localStorage.setItem('americansAbroad_rosterVersion', ROSTER_CACHE_VERSION)
+}
+
+// Check if a kickoff timestamp is actually today in the viewer's timezone
+const isKickoffToday = (kickoff, timeZone) => {
+  if (!kickoff) return false
+  return getLocalDate(kickoff, timeZone) === getLocalDate(new Date(), timeZone)
+}
+
+// Today's match for the viewer: live, or kicking off on their calendar day. Entries pushed
+// by the live stream use the server's matchday, so the kickoff is checked here too.
+const hasMatchToday = (data, timeZone) => {
+  if (!data || data.status === 'no_match_today') return false
+  return data.status === 'live' || !data.kickoff || isKickoffToday(data.kickoff, timeZone)
+}
+
+// Open on the last used filter/league unless the link says what to show
+restoreListState({
+  filter: localStorage.getItem('americansAbroad_filter'),
+  league: localStorage.getItem('americansAbroad_league')
+})
+
 function App() {
-  const [filter, setFilter] = useState(() => {
-    const saved = localStorage.getItem('americansAbroad_filter')
-    return saved || 'today'
-  })
-  const [selectedLeague, setSelectedLeague] = useState(() => {
-    const saved = localStorage.getItem('americansAbroad_league')
-    return saved || 'all'
+  // Filter, league and search come from the URL so views can be linked to and back/forward works
+  const { pathname, search } = useLocation()
+  const { filter, league: selectedLeague, search: searchTerm } = parseListState(search)
+  // Viewer's timezone: decides "today" here and in the matchday the API returns
+  const timeZone = useTimeZone()
+  const [roster, setRoster] = useState(() => {
+    // Last roster fetched from the API; the bundled copy is only used when nothing is cached
+    const cached = localStorage.getItem('americansAbroad_roster')
+    if (cached) {
+      try {
+        const data = JSON.parse(cached)
+        if (data.players?.length > 0 && data.leagues) return data
+      } catch {
+        // Fall through to bundled roster
+      }
+    }
+    return { players: bundledRoster.players, leagues: bundledRoster.leagues }
   })
-  const [searchTerm, setSearchTerm] = useState('')
   const [matchData, setMatchData] = useState(() => {
     // Load cached match data from localStorage on initial render
     const cached = localStorage.getItem('americansAbroad_matchData')
@@ -33,11 +81,10 @@ function App() {
       try {
         const data = JSON.parse(cached)
         // Clear stale live/finished entries whose kickoff wasn't today
-        const today = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' })
+        const today = getLocalDate(new Date(), timeZone)
         for (const [id, m] of Object.entries(data)) {
           if ((m?.status === 'live' || m?.status === 'finished') && m?.kickoff) {
-            const gameDay = new Date(m.kickoff).toLocaleDateString('en-CA', { timeZone: 'America/New_York' })
-            if (gameDay !== today) data[id] = { ...m, status: 'no_match_today' }
+            if (getLocalDate(m.kickoff, timeZone) !== today) data[id] = { ...m, status: 'no_match_today' }
           }
         }
         return data
@@ -47,6 +94,7 @@ function App() {
     }
     return {}
   })
+  const [matchups, setMatchups] = useState([]) // Matches with tracked players on both sides
   const [apiMode, setApiMode] = useState('loading')
   const [apiStatus, setApiStatus] = useState(null)
   const [lastUpdate, setLastUpdate] = useState(() => {
@@ -58,6 +106,24 @@ function App() {
   const [isApiLoading, setIsApiLoading] = useState(
     !localStorage.getItem('americansAbroad_matchData')
   )
+  const [isStreaming, setIsStreaming] = useState(false)
+  const [notifyPlayers, setNotifyPlayers] = useState(() => {
+    // Players this browser gets push notifications for
+    try {
+      return JSON.parse(localStorage.getItem('americansAbroad_notifyPlayers')) || []
+    } catch {
+      return []
+    }
+  })
+  const canNotify = !!API_BASE && isPushSupported()
+  const [myPlayers, setMyPlayers] = useState(() => {
+    // Starred players, shown in the "My Players" filter and pinned to the top of "All Players"
+    try {
+      return JSON.parse(localStorage.getItem('americansAbroad_myPlayers')) || []
+    } catch {
+      return []
+    }
+  })
 
   const loadMatchData = useCallback(async () => {
     if (!API_BASE) {
@@ -67,7 +133,7 @@ function App() {
     }
 
     try {
-      const response = await fetch(`${API_BASE}/matches`)
+      const response = await fetch(`${API_BASE}/matches?${new URLSearchParams({ tz: timeZone })}`)
       if (!response.ok) throw new Error('API error')
       const data = await response.json()
       const newMatchData = data.data || {}
@@ -107,21 +173,90 @@ function App() {
 
       setApiMode(data.mode || 'live')
       setApiStatus(data.apiStatus || null)
+
+      // Head-to-head matchups are extra - keep the last ones if this fails
+      fetchMatchups(timeZone)
+        .then(result => setMatchups(result.matchups || []))
+        .catch(err => console.error('Matchups API error:', err))
       setLastUpdate(new Date())
       setIsApiLoading(false)
     } catch (err) {
       console.error('API error:', err)
       setIsApiLoading(false)
     }
+  }, [timeZone])
+
+  // Load the roster from the API so transfers show up without a frontend rebuild
+  const loadRoster = useCallback(async () => {
+    if (!API_BASE) return
+
+    try {
+      const [players, leagues] = await Promise.all([fetchPlayers(), fetchLeagues()])
+      if (!Array.isArray(players) || players.length === 0 || !Array.isArray(leagues)) return
+      const data = { players, leagues }
+      setRoster(data)
+      localStorage.setItem('americansAbroad_roster', JSON.stringify(data))
+    } catch (err) {
+      // Offline or API down - keep the cached (or bundled) roster
+      console.error('Roster API error:', err)
+    }
   }, [])
 
-  // Initial load
+  // Initial load (match data is also reloaded whenever the live stream connects)
   useEffect(() => {
+    loadRoster()
     loadMatchData()
+  }, [loadRoster, loadMatchData])
+
+  // Live updates pushed from the backend (SSE). Each update carries only the players whose
+  // match changed; the full map is reloaded whenever the stream (re)connects.
+  useEffect(() => {
+    if (!API_BASE || typeof EventSource === 'undefined') return
+
+    const stream = new EventSource(`${API_BASE}/stream`)
+    let hasConnected = false
+
+    stream.addEventListener('ready', () => {
+      setIsStreaming(true)
+      // Catch up on anything missed while disconnected (the initial load covers the first connect)
+      if (hasConnected) loadMatchData()
+      hasConnected = true
+    })
+
+    stream.addEventListener('update', (event) => {
+      let update
+      try {
+        update = JSON.parse(event.data)
+      } catch {
+        return
+      }
+      setMatchData(prev => {
+        const next = { ...prev }
+        for (const [playerId, playerData] of Object.entries(update.players || {})) {
+          if (playerData) {
+            next[playerId] = { ...playerData, lastGame: playerData.lastGame || prev[playerId]?.lastGame }
+          } else if (prev[playerId]?.status === 'live' || prev[playerId]?.status === 'finished') {
+            next[playerId] = { ...prev[playerId], status: 'no_match_today' }
+          }
+        }
+        localStorage.setItem('americansAbroad_matchData', JSON.stringify(next))
+        localStorage.setItem('americansAbroad_lastUpdate', update.timestamp)
+        return next
+      })
+      setLastUpdate(new Date(update.timestamp))
+    })
+
+    // EventSource reconnects on its own - poll in the meantime
+    stream.onerror = () => setIsStreaming(false)
+
+    return () => stream.close()
   }, [loadMatchData])
 
   // Auto-refresh when there are live matches, or when an upcoming match is at/past kickoff
+  // (only while the live stream is unavailable)
   useEffect(() => {
+    if (isStreaming) return
+
     const hasLiveMatches = Object.values(matchData).some(m => m?.status === 'live')
     const hasMatchNearKickoff = Object.values(matchData).some(m => {
       if (m?.status !== 'upcoming' || !m.kickoff) return false
@@ -136,9 +271,98 @@ function App() {
     }, 60 * 1000) // 60 seconds
 
     return () => clearInterval(refreshInterval)
-  }, [matchData, loadMatchData])
+  }, [matchData, loadMatchData, isStreaming])
+
+  // Turn push notifications for a player on/off (subscribes this browser on first use)
+  const toggleNotify = useCallback(async (playerId) => {
+    const next = notifyPlayers.includes(playerId)
+      ? notifyPlayers.filter(id => id !== playerId)
+      : [...notifyPlayers, playerId]
+    try {
+      await updatePushSubscription(next)
+      setNotifyPlayers(next)
+      localStorage.setItem('americansAbroad_notifyPlayers', JSON.stringify(next))
+    } catch (err) {
+      console.error('Push subscription error:', err)
+      alert('Could not enable notifications. Check that notifications are allowed for this site.')
+    }
+  }, [notifyPlayers])
+
+  // Star/unstar a player
+  const toggleMyPlayer = useCallback((playerId) => {
+    setMyPlayers(prev => prev.includes(playerId)
+      ? prev.filter(id => id !== playerId)
+      : [...prev, playerId])
+  }, [])
 
-  // Persist filter to localStorage
+  // Persist starred players to localStorage
+  useEffect(() => {
+    localStorage.setItem('americansAbroad_myPlayers', JSON.stringify(myPlayers))
+  }, [myPlayers])
+
+  // Import a shared list (?myPlayers=1,2,3) into this browser's starred players
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search)
+    const shared = params.get('myPlayers')
+    if (shared === null) return
+
+    const ids = shared.split(',').map(id => parseInt(id)).filter(id => !isNaN(id))
+    const names = ids
+      .map(id => roster.players.find(p => p.id === id)?.name)
+      .filter(Boolean)
+    const listState = parseListState(window.location.search)
+    if (names.length > 0 && window.confirm(`Add ${names.length} shared player${names.length === 1 ? '' : 's'} to My Players?\n\n${names.join(', ')}`)) {
+      const known = ids.filter(id => roster.players.some(p => p.id === id))
+      setMyPlayers(prev => [...prev, ...known.filter(id => !prev.includes(id))])
+      listState.filter = 'my'
+    }
+
+    // Drop the parameter so a reload doesn't ask again
+    params.delete('myPlayers')
+    navigate(`${window.location.pathname}${getListQuery(listState, params.toString())}${window.location.hash}`, { replace: true })
+  }, [roster])
+
+  // Copy a link that adds the starred players to whoever opens it
+  const shareMyPlayers = async () => {
+    const url = `${window.location.origin}${window.location.pathname}?myPlayers=${myPlayers.join(',')}`
+    try {
+      await navigator.clipboard.writeText(url)
+      alert('Link copied - anyone who opens it can add your players to their My Players list.')
+    } catch {
+      window.prompt('Copy this link to share your players:', url)
+    }
+  }
+
+  // Props shared by every player card
+  const getCardProps = (player) => ({
+    player,
+    matchData: matchData[player.id] || null,
+    isNotified: notifyPlayers.includes(player.id),
+    onToggleNotify: canNotify ? toggleNotify : undefined,
+    isMyPlayer: myPlayers.includes(player.id),
+    onToggleMyPlayer: toggleMyPlayer
+  })
+
+  // Player page (/player/:id-slug)
+  const routePlayerId = parsePlayerPath(pathname)
+  const routePlayer = routePlayerId !== null ? roster.players.find(p => p.id === routePlayerId) : null
+
+  // Update list state in the URL. Filter/league changes get their own history entry;
+  // search edits replace the current one so back doesn't step through every keystroke.
+  const updateListState = (changes, options) => {
+    const query = getListQuery({ filter, league: selectedLeague, search: searchTerm, ...changes })
+    navigate(`${pathname}${query}`, options)
+  }
+  const setSelectedLeague = (league) => updateListState({ league })
+  const setSearchTerm = (value) => updateListState({ search: value }, { replace: true })
+
+  // Choosing a filter from the player page goes back to the list
+  const selectFilter = (value) => {
+    const query = getListQuery({ filter: value, league: selectedLeague, search: searchTerm })
+    navigate(`${routePlayerId !== null ? '/' : pathname}${query}`)
+  }
+
+  // Persist filter to localStorage (the default for links without one)
   useEffect(() => {
     localStorage.setItem('americansAbroad_filter', filter)
   }, [filter])
@@ -151,12 +375,12 @@ function App() {
   // Remove duplicates from players
   const uniquePlayers = useMemo(() => {
     const seen = new Set()
-    return playersData.players.filter(player => {
+    return roster.players.filter(player => {
       if (seen.has(player.name)) return false
       seen.add(player.name)
       return true
     })
-  }, [])
+  }, [roster])
 
   // Calculate player counts per league
   const playerCounts = useMemo(() => {
@@ -238,17 +462,19 @@ function App() {
 
     // Filter by league
     if (selectedLeague !== 'all') {
-      const league = playersData.leagues.find(l => l.id === selectedLeague)
+      const league = roster.leagues.find(l => l.id === selectedLeague)
       if (league) {
         players = players.filter(p => p.league === league.name)
       }
     }
 
     // Filter by match status
-    if (filter === 'live') {
+    if (filter === 'my') {
+      players = players.filter(p => myPlayers.includes(p.id))
+    } else if (filter === 'live') {
       players = players.filter(p => matchData[p.id]?.status === 'live')
     } else if (filter === 'today') {
-      players = players.filter(p => matchData[p.id] && matchData[p.id].status !== 'no_match_today')
+      players = players.filter(p => hasMatchToday(matchData[p.id], timeZone))
     } else if (filter === 'recent') {
       players = players.filter(p => hasRecentGame(p.id))
     }
@@ -289,21 +515,32 @@ function App() {
     })
 
     return players
-  }, [uniquePlayers, filter, selectedLeague, searchTerm, matchData])
-
-  // Check if a kickoff timestamp is actually today (Eastern time)
-  const isKickoffToday = (kickoff) => {
-    if (!kickoff) return false
-    const today = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' })
-    const gameDay = new Date(kickoff).toLocaleDateString('en-CA', { timeZone: 'America/New_York' })
-    return gameDay === today
-  }
+  }, [uniquePlayers, roster, filter, selectedLeague, searchTerm, matchData, myPlayers, timeZone])
+
+  // Head-to-head matchups for the current view: everything in "All Players", today's in
+  // "Today's Games", live ones in "Live Now". Players in today's matchups get the combined
+  // card instead of their own.
+  const { visibleMatchups, matchupPlayerIds } = useMemo(() => {
+    const ids = new Set(filteredPlayers.map(p => p.id))
+    const visible = matchups.filter(m => {
+      if (![...m.home, ...m.away].some(side => ids.has(side.player.id))) return false
+      if (filter === 'all') return true
+      if (filter === 'today') return m.status === 'live' || isKickoffToday(m.kickoff, timeZone)
+      if (filter === 'live') return matchData[m.home[0].player.id]?.status === 'live' || m.status === 'live'
+      return false
+    })
+    const todayIds = new Set(visible
+      .filter(m => m.status === 'live' || isKickoffToday(m.kickoff, timeZone))
+      .flatMap(m => [...m.home, ...m.away].map(side => side.player.id)))
+    return { visibleMatchups: visible, matchupPlayerIds: todayIds }
+  }, [matchups, filteredPlayers, filter, matchData, timeZone])
 
   // Group players by category for section headers (only for "all" filter)
   const groupedPlayers = useMemo(() => {
     if (filter !== 'all') return null
 
     const groups = {
+      my: [],
       live: [],
       finished: [],
       upcoming: [],
@@ -312,12 +549,18 @@ function App() {
 
     for (const player of filteredPlayers) {
       const data = matchData[player.id]
-      if (!data) {
+      if (myPlayers.includes(player.id)) {
+        // Starred players are pinned to the top in the usual live/finished/upcoming order
+        groups.my.push(player)
+      } else if (matchupPlayerIds.has(player.id)) {
+        // Shown in their matchup card
+        continue
+      } else if (!data) {
         // All players go to recent since we have FotMob data for everyone
         groups.recent.push(player)
       } else if (data.status === 'live') {
         groups.live.push(player)
-      } else if (data.status === 'finished' && isKickoffToday(data.kickoff)) {
+      } else if (data.status === 'finished' && isKickoffToday(data.kickoff, timeZone)) {
         // Only show in Finished Today if the match actually kicked off today
         groups.finished.push(player)
       } else if (data.status === 'upcoming') {
@@ -367,7 +610,7 @@ function App() {
     })
 
     return groups
-  }, [filteredPlayers, matchData, filter])
+  }, [filteredPlayers, matchData, filter, myPlayers, matchupPlayerIds, timeZone])
 
   // Count live matches
   const liveCount = useMemo(() => {
@@ -395,105 +638,165 @@ function App() {
         </div>
       )}
 
-      <Header filter={filter} setFilter={setFilter} liveCount={liveCount} />
-
-      <div className="search-bar">
-        <input
-          type="text"
-          placeholder="Search players or teams..."
-          value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
-          className="search-input"
-        />
-      </div>
-
-      <LeagueFilter
-        leagues={playersData.leagues}
-        selectedLeague={selectedLeague}
-        setSelectedLeague={setSelectedLeague}
-        playerCounts={playerCounts}
-      />
-
-      <main className="main-content">
-        <div className="player-count">
-          Showing {filteredPlayers.length} players
-          {lastUpdate && (
-            <span className="last-update">
-              Last updated: {formatLastUpdate()}
-            </span>
+      <Header filter={filter} setFilter={selectFilter} liveCount={liveCount} myPlayersCount={myPlayers.length} />
+
+      {routePlayerId !== null ? (
+        <main className="main-content">
+          {routePlayer ? (
+            <PlayerPage
+              key={routePlayer.id}
+              player={routePlayer}
+              matchData={matchData[routePlayer.id] || null}
+              hasApi={!!API_BASE}
+              isMyPlayer={myPlayers.includes(routePlayer.id)}
+              onToggleMyPlayer={toggleMyPlayer}
+            />
+          ) : (
+            <div className="no-results">
+              <p>Player not found</p>
+            </div>
           )}
-        </div>
-
-        {isLoading ? (
-          <div className="loading">
-            <div className="loading-spinner"></div>
-            <p>Loading match data...</p>
+        </main>
+      ) : (
+        <>
+          <div className="search-bar">
+            <input
+              type="text"
+              placeholder="Search players or teams..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="search-input"
+            />
           </div>
-        ) : filter === 'all' && groupedPlayers ? (
-          <div className="players-sections">
-            {groupedPlayers.live.length > 0 && (
-              <>
-                <h2 className="section-header live-header">Live Now</h2>
-                <div className="players-grid">
-                  {groupedPlayers.live.map(player => (
-                    <PlayerCard key={player.id} player={player} matchData={matchData[player.id] || null} showLastGame={true} />
-                  ))}
-                </div>
-              </>
-            )}
-            {groupedPlayers.finished.length > 0 && (
-              <>
-                <h2 className="section-header finished-header">Finished Today</h2>
-                <div className="players-grid">
-                  {groupedPlayers.finished.map(player => (
-                    <PlayerCard key={player.id} player={player} matchData={matchData[player.id] || null} showLastGame={true} />
-                  ))}
-                </div>
-              </>
+
+          <LeagueFilter
+            leagues={roster.leagues}
+            selectedLeague={selectedLeague}
+            setSelectedLeague={setSelectedLeague}
+            playerCounts={playerCounts}
+          />
+
+          <main className="main-content">
+            <div className="player-count">
+              Showing {filteredPlayers.length} players
+              {lastUpdate && (
+                <span className="last-update">
+                  Last updated: {formatLastUpdate()}
+                </span>
+              )}
+            </div>
+
+            {filter === 'my' && myPlayers.length > 0 && (
+              <div className="my-players-actions">
+                <button className="share-btn" onClick={shareMyPlayers}>Share list</button>
+              </div>
             )}
-            {groupedPlayers.upcoming.length > 0 && (
+
+            {!isLoading && visibleMatchups.length > 0 && (
               <>
-                <h2 className="section-header upcoming-header">Upcoming Games</h2>
-                <div className="players-grid">
-                  {groupedPlayers.upcoming.map(player => (
-                    <PlayerCard key={player.id} player={player} matchData={matchData[player.id] || null} showLastGame={true} />
+                <h2 className="section-header matchup-header">{NATION.demonymPlural} vs {NATION.demonymPlural}</h2>
+                <div className="matchups-grid">
+                  {visibleMatchups.map(matchup => (
+                    <MatchupCard key={matchup.id} matchup={matchup} matchData={matchData} />
                   ))}
                 </div>
               </>
             )}
-            {groupedPlayers.recent.length > 0 && (
-              <>
-                <h2 className="section-header recent-header">Recently Played</h2>
-                <div className="players-grid">
-                  {groupedPlayers.recent.map(player => (
-                    <PlayerCard key={player.id} player={player} matchData={matchData[player.id] || null} showLastGame={true} />
-                  ))}
-                </div>
-              </>
+
+            {isLoading ? (
+              <div className="loading">
+                <div className="loading-spinner"></div>
+                <p>Loading match data...</p>
+              </div>
+            ) : filter === 'week' ? (
+              <WeekView players={filteredPlayers} matchData={matchData} hasApi={!!API_BASE} />
+            ) : filter === 'leaders' ? (
+              <Leaderboards players={filteredPlayers} league={selectedLeague} hasApi={!!API_BASE} />
+            ) : filter === 'depth' ? (
+              <DepthChart players={filteredPlayers} hasApi={!!API_BASE} />
+            ) : filter === 'all' && groupedPlayers ? (
+              <div className="players-sections">
+                {groupedPlayers.my.length > 0 && (
+                  <>
+                    <h2 className="section-header my-header">
+                      My Players
+                      <button className="share-btn" onClick={shareMyPlayers}>Share list</button>
+                    </h2>
+                    <div className="players-grid">
+                      {groupedPlayers.my.map(player => (
+                        <PlayerCard key={player.id} {...getCardProps(player)} showLastGame={true} />
+                      ))}
+                    </div>
+                  </>
+                )}
+                {groupedPlayers.live.length > 0 && (
+                  <>
+                    <h2 className="section-header live-header">Live Now</h2>
+                    <div className="players-grid">
+                      {groupedPlayers.live.map(player => (
+                        <PlayerCard key={player.id} {...getCardProps(player)} showLastGame={true} />
+                      ))}
+                    </div>
+                  </>
+                )}
+                {groupedPlayers.finished.length > 0 && (
+                  <>
+                    <h2 className="section-header finished-header">Finished Today</h2>
+                    <div className="players-grid">
+                      {groupedPlayers.finished.map(player => (
+                        <PlayerCard key={player.id} {...getCardProps(player)} showLastGame={true} />
+                      ))}
+                    </div>
+                  </>
+                )}
+                {groupedPlayers.upcoming.length > 0 && (
+                  <>
+                    <h2 className="section-header upcoming-header">Upcoming Games</h2>
+                    <div className="players-grid">
+                      {groupedPlayers.upcoming.map(player => (
+                        <PlayerCard key={player.id} {...getCardProps(player)} showLastGame={true} />
+                      ))}
+                    </div>
+                  </>
+                )}
+                {groupedPlayers.recent.length > 0 && (
+                  <>
+                    <h2 className="section-header recent-header">Recently Played</h2>
+                    <div className="players-grid">
+                      {groupedPlayers.recent.map(player => (
+                        <PlayerCard key={player.id} {...getCardProps(player)} showLastGame={true} />
+                      ))}
+                    </div>
+                  </>
+                )}
+              </div>
+            ) : (
+              <div className="players-grid">
+                {filteredPlayers.filter(p => filter === 'my' || !matchupPlayerIds.has(p.id)).map(player => (
+                  <PlayerCard
+                    key={player.id}
+                    {...getCardProps(player)}
+                    showLastGame={filter === 'all' || filter === 'recent' || filter === 'my'}
+                  />
+                ))}
+              </div>
             )}
-          </div>
-        ) : (
-          <div className="players-grid">
-            {filteredPlayers.map(player => (
-              <PlayerCard
-                key={player.id}
-                player={player}
-                matchData={matchData[player.id] || null}
-                showLastGame={filter === 'all' || filter === 'recent'}
-              />
-            ))}
-          </div>
-        )}
 
-        {!isLoading && filteredPlayers.length === 0 && (
-          <div className="no-results">
-            <p>No players found matching your criteria</p>
-          </div>
-        )}
-      </main>
+            {!isLoading && !['week', 'leaders', 'depth'].includes(filter) && filteredPlayers.length === 0 && (
+              <div className="no-results">
+                <p>
+                  {filter === 'my' && myPlayers.length === 0
+                    ? 'Star players (☆) to add them to My Players'
+                    : 'No players found matching your criteria'}
+                </p>
+              </div>
+            )}
+          </main>
+        </>
+      )}
 
       <footer className="footer">
-        <p>Americans Abroad - Tracking US Soccer Players Worldwide</p>
+        <p>{NATION.siteName} - Tracking {NATION.demonym} Soccer Players Worldwide</p>
         <p className="footer-note">
           Data updates every 5 minutes during live matches
         </p>
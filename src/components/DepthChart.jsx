@@ -0,0 +1,113 @@
+import { useState, useEffect } from 'react'
+import { fetchDepthChart } from '../services/api'
+import { getPlayerPath, withListQuery, handleLinkClick } from '../services/router'
+import './DepthChart.css'
+
+const ROLE_LABELS = {
+  regular: 'Regular',
+  rotation: 'Rotation',
+  bench: 'Bench',
+  no_data: 'No data'
+}
+
+const formatLastPlayed = (dateStr) => {
+  if (!dateStr) return 'no recent minutes'
+  const days = Math.floor((Date.now() - new Date(dateStr)) / (1000 * 60 * 60 * 24))
+  if (days <= 0) return 'played today'
+  return `last played ${days}d ago`
+}
+
+function DepthRow({ entry }) {
+  const { player, stats, role } = entry
+  const path = getPlayerPath(player)
+  return (
+    <li className={`depth-row depth-${role}`}>
+      <span className="depth-number">{entry.depth}</span>
+      <div className="depth-player">
+        <a href={path} onClick={(e) => handleLinkClick(e, withListQuery(path))}>{player.name}</a>
+        <span className="depth-club">{player.team}</span>
+        <div className="depth-share" title={`${Math.round(stats.minutesShare * 100)}% of available minutes`}>
+          <div className="depth-share-fill" style={{ width: `${stats.minutesShare * 100}%` }} />
+        </div>
+        <span className="depth-detail">
+          {stats.matches > 0
+            ? <>
+                {stats.starts}/{stats.matches} starts · {stats.minutes}'
+                {stats.avgRating !== null && ` · ${stats.avgRating.toFixed(1)}`}
+                {stats.unusedSub > 0 && ` · ${stats.unusedSub}× unused`}
+                {' · '}{formatLastPlayed(stats.lastPlayed)}
+              </>
+            : 'No recent club matches stored'}
+        </span>
+      </div>
+      <span className={`depth-role depth-role-${role}`}>{ROLE_LABELS[role]}</span>
+    </li>
+  )
+}
+
+// Position groups ordered by recent club playing time (computed by the backend).
+// `players` is the league/search-filtered list - depth numbers stay those of the full pool.
+function DepthChart({ players, hasApi }) {
+  const [result, setResult] = useState(null) // { data } or { error }
+
+  useEffect(() => {
+    if (!hasApi) return
+    let cancelled = false
+    fetchDepthChart()
+      .then(data => { if (!cancelled) setResult({ data }) })
+      .catch(err => { if (!cancelled) setResult({ error: err.message }) })
+    return () => { cancelled = true }
+  }, [hasApi])
+
+  if (!hasApi) {
+    return <p className="depth-empty">The depth chart is built from the backend's match history - connect the API to see it</p>
+  }
+  if (!result) {
+    return (
+      <div className="loading">
+        <div className="loading-spinner"></div>
+        <p>Loading depth chart...</p>
+      </div>
+    )
+  }
+  if (result.error) {
+    return <p className="depth-empty">Couldn't load the depth chart ({result.error})</p>
+  }
+
+  const ids = new Set(players.map(p => p.id))
+  const { window: recent, groups } = result.data
+
+  return (
+    <div className="depth-chart">
+      <p className="depth-legend">
+        Ordered by share of club minutes, starts and rating over each player's last {recent.matches} club
+        matches (past {recent.days} days).
+        <span className="depth-role depth-role-regular">Regular</span>
+        <span className="depth-role depth-role-rotation">Rotation</span>
+        <span className="depth-role depth-role-bench">Bench</span>
+      </p>
+      <div className="depth-groups">
+        {groups.map(group => {
+          const entries = group.players.filter(e => ids.has(e.player.id))
+          return (
+            <section key={group.id} className="depth-group">
+              <h2 className="section-header depth-group-header">
+                {group.id}
+                <span className="depth-group-label">{group.label}</span>
+              </h2>
+              {entries.length > 0 ? (
+                <ol className="depth-list">
+                  {entries.map(entry => <DepthRow key={entry.player.id} entry={entry} />)}
+                </ol>
+              ) : (
+                <p className="depth-empty">No players</p>
+              )}
+            </section>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default DepthChart
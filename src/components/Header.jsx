@@ -1,13 +1,34 @@
+import { NATION } from '../services/nation'
+import { BROWSER_TIME_ZONE, TIME_ZONE_CHOICES, useTimeZone, setTimeZone } from '../services/timezone'
 import './Header.css'
 
-function Header({ filter, setFilter, liveCount }) {
+// Picker options: the usual zones plus the browser's and the saved one when they aren't listed
+function getTimeZoneOptions(timeZone) {
+  const options = [...TIME_ZONE_CHOICES]
+  for (const [value, label] of [[BROWSER_TIME_ZONE, `Your timezone (${BROWSER_TIME_ZONE})`], [timeZone, timeZone]]) {
+    if (!options.some(o => o.value === value)) options.unshift({ value, label })
+  }
+  return options
+}
+
+function Header({ filter, setFilter, liveCount, myPlayersCount = 0 }) {
+  const timeZone = useTimeZone()
+
   return (
     <header className="header">
       <div className="header-content">
         <h1 className="header-title">
-          <span className="flag">🇺🇸</span> Americans Abroad
+          <span className="flag">{NATION.flag}</span> {NATION.siteName}
         </h1>
-        <p className="header-subtitle">Tracking US players around the world</p>
+        <p className="header-subtitle">{NATION.tagline}</p>
+        <label className="timezone-picker">
+          Times in
+          <select value={timeZone} onChange={(e) => setTimeZone(e.target.value)}>
+            {getTimeZoneOptions(timeZone).map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
       </div>
 
       <nav className="header-nav">
@@ -17,6 +38,12 @@ function Header({ filter, setFilter, liveCount }) {
         >
           All Players
         </button>
+        <button
+          className={`nav-btn ${filter === 'my' ? 'active' : ''}`}
+          onClick={() => setFilter('my')}
+        >
+          ★ My Players {myPlayersCount > 0 && <span className="my-badge">{myPlayersCount}</span>}
+        </button>
         <button
           className={`nav-btn live ${filter === 'live' ? 'active' : ''}`}
           onClick={() => setFilter('live')}
@@ -35,6 +62,24 @@ function Header({ filter, setFilter, liveCount }) {
         >
           Recently Played
         </button>
+        <button
+          className={`nav-btn ${filter === 'week' ? 'active' : ''}`}
+          onClick={() => setFilter('week')}
+        >
+          This Week
+        </button>
+        <button
+          className={`nav-btn ${filter === 'leaders' ? 'active' : ''}`}
+          onClick={() => setFilter('leaders')}
+        >
+          Leaderboards
+        </button>
+        <button
+          className={`nav-btn ${filter === 'depth' ? 'active' : ''}`}
+          onClick={() => setFilter('depth')}
+        >
+          Depth Chart
+        </button>
       </nav>
     </header>
   )
@@ -0,0 +1,132 @@
+import { useState, useEffect } from 'react'
+import { fetchLeaderboard } from '../services/api'
+import { getPlayerPath, withListQuery, handleLinkClick } from '../services/router'
+import './Leaderboards.css'
+
+const STATS = [
+  { id: 'goals', label: 'Goals' },
+  { id: 'assists', label: 'Assists' },
+  { id: 'contributions', label: 'G+A' },
+  { id: 'minutes', label: 'Minutes' },
+  { id: 'starts', label: 'Starts' },
+  { id: 'rating', label: 'Rating' }
+]
+
+const PERIODS = [
+  { id: 'season', label: 'Season' },
+  { id: '30d', label: 'Last 30 days' }
+]
+
+// Fetched in one go so search can narrow the list without another request
+const FETCH_LIMIT = 100
+
+const formatValue = (stat, value) => stat === 'rating' ? value.toFixed(2) : value
+
+// Supporting numbers shown under each name
+const getDetail = (stat, stats) => {
+  const apps = `${stats.appearances} ${stats.appearances === 1 ? 'app' : 'apps'}`
+  if (stat === 'rating') return `${stats.ratedGames} rated games`
+  if (stat === 'contributions') return `${stats.goals}G ${stats.assists}A · ${apps}`
+  if (stat === 'minutes' || stat === 'starts') return `${apps} · ${stats.starts} starts`
+  return `${apps} · ${stats.minutes}'`
+}
+
+// Players ranked by a stat from the backend's stored appearances. `players` is the
+// league/search-filtered list; `league` is the selected league id.
+function Leaderboards({ players, league, hasApi }) {
+  const [stat, setStat] = useState('goals')
+  const [period, setPeriod] = useState('season')
+  const [result, setResult] = useState(null) // { key, data } or { key, error }
+
+  const requestKey = `${stat}|${period}|${league}`
+
+  useEffect(() => {
+    if (!hasApi) return
+    let cancelled = false
+    fetchLeaderboard({ stat, period, league, limit: FETCH_LIMIT })
+      .then(data => { if (!cancelled) setResult({ key: requestKey, data }) })
+      .catch(err => { if (!cancelled) setResult({ key: requestKey, error: err.message }) })
+    return () => { cancelled = true }
+  }, [stat, period, league, requestKey, hasApi])
+
+  const current = result?.key === requestKey ? result : null
+  const ids = new Set(players.map(p => p.id))
+  const entries = (current?.data?.entries || []).filter(e => ids.has(e.player.id))
+
+  return (
+    <div className="leaderboards">
+      <div className="leaderboard-controls">
+        <div className="leaderboard-stats" role="tablist">
+          {STATS.map(s => (
+            <button
+              key={s.id}
+              role="tab"
+              aria-selected={stat === s.id}
+              className={`leaderboard-btn ${stat === s.id ? 'active' : ''}`}
+              onClick={() => setStat(s.id)}
+            >
+              {s.label}
+            </button>
+          ))}
+        </div>
+        <div className="leaderboard-periods">
+          {PERIODS.map(p => (
+            <button
+              key={p.id}
+              className={`leaderboard-btn ${period === p.id ? 'active' : ''}`}
+              onClick={() => setPeriod(p.id)}
+            >
+              {p.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {!hasApi ? (
+        <p className="leaderboard-empty">Leaderboards are built from the backend's match history - connect the API to see them</p>
+      ) : !current ? (
+        <div className="loading">
+          <div className="loading-spinner"></div>
+          <p>Loading leaderboard...</p>
+        </div>
+      ) : current.error ? (
+        <p className="leaderboard-empty">Couldn't load the leaderboard ({current.error})</p>
+      ) : entries.length === 0 ? (
+        <p className="leaderboard-empty">
+          {stat === 'rating'
+            ? 'No players with enough rated games yet'
+            : 'No matches recorded for this period yet'}
+        </p>
+      ) : (
+        <ol className="leaderboard">
+          {entries.map(entry => (
+            <li key={entry.player.id} className="leaderboard-row">
+              <span className="leaderboard-rank">{entry.rank}</span>
+              {entry.player.image ? (
+                <img src={entry.player.image} alt="" className="leaderboard-photo" />
+              ) : (
+                <span className="leaderboard-photo leaderboard-initials">
+                  {entry.player.name.split(' ').map(n => n[0]).join('')}
+                </span>
+              )}
+              <div className="leaderboard-player">
+                <a
+                  href={getPlayerPath(entry.player)}
+                  onClick={(e) => handleLinkClick(e, withListQuery(getPlayerPath(entry.player)))}
+                >
+                  {entry.player.name}
+                </a>
+                <span className="leaderboard-detail">
+                  {entry.player.team} · {getDetail(stat, entry.stats)}
+                </span>
+              </div>
+              <span className="leaderboard-value">{formatValue(stat, entry.value)}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  )
+}
+
+export default Leaderboards
@@ -0,0 +1,101 @@
+import { getPlayerPath, withListQuery, handleLinkClick } from '../services/router'
+import { useTimeZone, getDaysFromToday } from '../services/timezone'
+import { getRatingClass } from '../services/ratings'
+import StatsStrip from './StatsStrip'
+import './MatchupCard.css'
+
+const getMatchDay = (dateStr) => dateStr ? new Date(dateStr).toISOString().split('T')[0] : null
+
+const formatKickoff = (dateStr, timeZone) => {
+  const date = new Date(dateStr)
+  const time = date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone })
+  if (getDaysFromToday(date, timeZone) === 0) return time
+  return `${date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone })} · ${time}`
+}
+
+function LineupBadge({ side }) {
+  if (side.status === 'upcoming') {
+    if (side.lineupStatus === 'starting') return <span className="badge badge-start">STARTING</span>
+    if (side.lineupStatus === 'bench') return <span className="badge badge-bench">BENCH</span>
+    if (side.lineupStatus === 'not_in_squad') return <span className="badge badge-dnp">Not in squad</span>
+    return <span className="badge badge-dnp">Lineup TBC</span>
+  }
+  if (side.participated === false) {
+    return <span className={`badge ${side.onBench ? 'badge-bench' : 'badge-dnp'}`}>
+      {side.onBench ? 'Unused sub' : 'Not in squad'}
+    </span>
+  }
+  return null
+}
+
+function MatchupSide({ sides, matchData, matchDay, align }) {
+  return (
+    <div className={`matchup-side matchup-side-${align}`}>
+      {sides.map(apiSide => {
+        // Prefer the live-updating card data when it's for this match
+        const today = matchData[apiSide.player.id]
+        const side = today && today.status !== 'no_match_today' && getMatchDay(today.kickoff) === matchDay
+          ? { ...apiSide, ...today }
+          : apiSide
+        const path = getPlayerPath(apiSide.player)
+        const showRating = side.participated && side.rating
+        return (
+          <div key={apiSide.player.id} className="matchup-player">
+            <div className="matchup-player-header">
+              {apiSide.player.image ? (
+                <img src={apiSide.player.image} alt="" className="matchup-photo" />
+              ) : (
+                <span className="matchup-photo matchup-initials">
+                  {apiSide.player.name.split(' ').map(n => n[0]).join('')}
+                </span>
+              )}
+              <a href={path} onClick={(e) => handleLinkClick(e, withListQuery(path))} className="matchup-name">
+                {apiSide.player.name}
+              </a>
+              {showRating && <span className={`matchup-rating ${getRatingClass(side.rating)}`}>{side.rating}</span>}
+            </div>
+            <LineupBadge side={side} />
+            {side.status !== 'upcoming' && side.participated && (
+              <StatsStrip data={side} source="today" isLive={side.status === 'live'} />
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+// One card for a match with tracked players on both sides, home players left, away right
+function MatchupCard({ matchup, matchData }) {
+  const timeZone = useTimeZone()
+  const matchDay = getMatchDay(matchup.kickoff)
+  // Score and minute from the freshest card data for this match
+  const live = [...matchup.home, ...matchup.away]
+    .map(side => matchData[side.player.id])
+    .find(data => data && data.status !== 'no_match_today' && getMatchDay(data.kickoff) === matchDay)
+  const match = live ? { ...matchup, ...live } : matchup
+
+  return (
+    <div className={`matchup-card ${match.status === 'live' ? 'matchup-live' : ''}`}>
+      <div className="matchup-meta">
+        {match.competition && <span>{match.competition}</span>}
+        {match.status === 'live' && <span className="matchup-status-live">LIVE {match.minute}'</span>}
+        {match.status === 'finished' && <span>Full time</span>}
+        {match.status === 'upcoming' && <span>{formatKickoff(match.kickoff, timeZone)}</span>}
+      </div>
+      <div className="matchup-scoreline">
+        <span className="matchup-team">{match.homeTeam}</span>
+        <span className="matchup-score">
+          {match.status === 'upcoming' ? 'vs' : `${match.homeScore ?? 0} - ${match.awayScore ?? 0}`}
+        </span>
+        <span className="matchup-team">{match.awayTeam}</span>
+      </div>
+      <div className="matchup-sides">
+        <MatchupSide sides={matchup.home} matchData={matchData} matchDay={matchDay} align="home" />
+        <MatchupSide sides={matchup.away} matchData={matchData} matchDay={matchDay} align="away" />
+      </div>
+    </div>
+  )
+}
+
+export default MatchupCard
@@ -1,10 +1,17 @@
 import { useState, useEffect } from 'react'
-import { fetchPlayerMatchStats } from '../services/api'
+import { fetchPlayerMatchStats, getShareUrl } from '../services/api'
+import { getPlayerPath, withListQuery, handleLinkClick } from '../services/router'
+import { NATION } from '../services/nation'
+import { useTimeZone, getDaysFromToday } from '../services/timezone'
+import { getRatingClass } from '../services/ratings'
+import StatsStrip from './StatsStrip'
 import './PlayerCard.css'
 
-function PlayerCard({ player, matchData, showLastGame = false }) {
+function PlayerCard({ player, matchData, showLastGame = false, isNotified = false, onToggleNotify, isMyPlayer = false, onToggleMyPlayer }) {
   const [expanded, setExpanded] = useState(false)
   const [detailedStats, setDetailedStats] = useState(null)
+  const [shareCopied, setShareCopied] = useState(false)
+  const timeZone = useTimeZone()
 
   const isLive = matchData?.status === 'live'
   const hasTodayMatch = matchData !== null && matchData.status !== 'no_match_today'
@@ -22,6 +29,22 @@ function PlayerCard({ player, matchData, showLastGame = false }) {
       .catch(() => {})
   }, [fixtureId, player.id])
 
+  // Native share sheet where there is one, otherwise copy the link
+  const handleShare = async () => {
+    const url = getShareUrl(player.id, fixtureId)
+    if (navigator.share) {
+      navigator.share({ title: `${player.name} - ${NATION.siteName}`, url }).catch(() => {})
+      return
+    }
+    try {
+      await navigator.clipboard.writeText(url)
+      setShareCopied(true)
+      setTimeout(() => setShareCopied(false), 2000)
+    } catch {
+      window.prompt('Copy this link to share', url)
+    }
+  }
+
   // ── Helpers ────────────────────────────────────────────────────────────────
 
   const abbrevPosition = (pos) => {
@@ -30,34 +53,24 @@ function PlayerCard({ player, matchData, showLastGame = false }) {
       'Left Back': 'LB', 'Right Back': 'RB', 'Wing Back': 'WB',
       'Midfielder': 'MF', 'Central Midfielder': 'CM', 'Defensive Midfielder': 'DM',
       'Attacking Midfielder': 'AM', 'Left Midfielder': 'LM', 'Right Midfielder': 'RM',
-      'Forward': 'FW', 'Left Wing': 'LW', 'Right Wing': 'RW',
+      'Forward': 'FW', 'Left Wing': 'LW', 'Right Wing': 'RW', 'Left Winger': 'LW', 'Right Winger': 'RW',
       'Striker': 'ST', 'Centre Forward': 'CF', 'Center Forward': 'CF', 'Winger': 'W',
     }
     return map[pos] || pos
   }
 
+  // Dates and times in the viewer's timezone preference
   const formatDate = (dateStr) => {
     if (!dateStr) return ''
-    const date = new Date(dateStr)
-    const now = new Date()
-    if (date.toDateString() === now.toDateString()) return 'Today'
-    const tomorrow = new Date(now)
-    tomorrow.setDate(tomorrow.getDate() + 1)
-    if (date.toDateString() === tomorrow.toDateString()) return 'Tomorrow'
-    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+    const days = getDaysFromToday(dateStr, timeZone)
+    if (days === 0) return 'Today'
+    if (days === 1) return 'Tomorrow'
+    return new Date(dateStr).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone })
   }
 
   const formatKickoff = (dateStr) => {
     if (!dateStr) return ''
-    const date = new Date(dateStr)
-    const now = new Date()
-    const isToday = date.toDateString() === now.toDateString()
-    const tomorrow = new Date(now)
-    tomorrow.setDate(tomorrow.getDate() + 1)
-    const isTomorrow = date.toDateString() === tomorrow.toDateString()
-    const time = date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
-    if (isToday) return `Today ${time}`
-    if (isTomorrow) return `Tomorrow ${time}`
+    const time = new Date(dateStr).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone })
     return `${formatDate(dateStr)} ${time}`
   }
 
@@ -80,15 +93,6 @@ function PlayerCard({ player, matchData, showLastGame = false }) {
     return scoreContent
   }
 
-  const getRatingClass = (rating) => {
-    const r = parseFloat(rating)
-    if (isNaN(r)) return ''
-    if (r >= 8) return 'rating-dark-green'
-    if (r >= 7) return 'rating-light-green'
-    if (r >= 6) return 'rating-yellow'
-    return 'rating-red'
-  }
-
   const getStatusClass = (started, participated, onBench) => {
     if (!participated && onBench) return 'status-bench'
     if (!participated) return ''
@@ -101,53 +105,6 @@ function PlayerCard({ player, matchData, showLastGame = false }) {
     return ''
   }
 
-  // Unified stats strip — same pill style for all badge types, left-aligned
-  // source: 'today' (events have minutes + sub_in/sub_out) | 'lastGame' (only goals/assists/cards, no minutes)
-  const renderStatsStrip = (data, source, isLive = false) => {
-    const events = data.events || []
-    const subOutEvent = events.find(e => e.type === 'sub_out')
-    const subInEvent  = events.find(e => e.type === 'sub_in')
-
-    // Prefer actual event minute; for lastGame starters without a sub_out event, infer from minutesPlayed
-    const subOutMinute = subOutEvent?.minute ??
-      (source !== 'today' && data.started && data.minutesPlayed != null && data.minutesPlayed < 90
-        ? data.minutesPlayed : null)
-
-    const subInMinute = subInEvent?.minute ?? null
-
-    // Completed game where player started and played the full 90
-    const isFullGame = !isLive && data.started === true && data.minutesPlayed >= 90
-
-    return (
-      <div className="stats-strip">
-        {data.started === true && !isFullGame && (
-          <span className="badge badge-start">{isLive ? 'START' : '▶ START'}</span>
-        )}
-        {isFullGame && <span className="badge badge-full90">Full 90</span>}
-        {data.started === false && data.minutesPlayed > 0 && (
-          <span className="badge badge-sub-in">
-            ↑ SUB{subInMinute ? ` ${subInMinute}'` : ''}
-          </span>
-        )}
-        {data.minutesPlayed != null && data.minutesPlayed > 0 && !isFullGame
-          && (isLive || (!subOutMinute && data.started !== false)) && (
-          <span className="badge badge-mins">{data.minutesPlayed}'</span>
-        )}
-        {data.started === true && subOutMinute && (
-          <span className="badge badge-sub-out">↓ Out {subOutMinute}'</span>
-        )}
-        {events.filter(e => e.type === 'goal').map((e, i) => (
-          <span key={`g${i}`} className="badge badge-goal">⚽{e.minute ? ` ${e.minute}'` : ''}</span>
-        ))}
-        {events.filter(e => e.type === 'assist').map((e, i) => (
-          <span key={`a${i}`} className="badge badge-assist">🅰️{e.minute ? ` ${e.minute}'` : ''}</span>
-        ))}
-        {events.some(e => e.type === 'yellow') && <span className="badge badge-card">🟨</span>}
-        {events.some(e => e.type === 'red')    && <span className="badge badge-card">🟥</span>}
-      </div>
-    )
-  }
-
   const renderStatsDrawer = (canExpand) => {
     if (!canExpand || !detailedStats) return null
     return (
@@ -195,7 +152,11 @@ function PlayerCard({ player, matchData, showLastGame = false }) {
           {rating && <div className={`photo-rating ${getRatingClass(rating)}`}>{rating}</div>}
         </div>
         <div className="player-details">
-          <h3 className="player-name">{player.name}</h3>
+          <h3 className="player-name">
+            <a href={getPlayerPath(player)} onClick={(e) => handleLinkClick(e, withListQuery(getPlayerPath(player)))}>
+              {player.name}
+            </a>
+          </h3>
           <p className="player-meta">
             <span className="team-inline">{player.team}</span>
             <span className="meta-sep">·</span>
@@ -204,6 +165,35 @@ function PlayerCard({ player, matchData, showLastGame = false }) {
             <span className="league">{player.league}</span>
           </p>
         </div>
+        {fixtureId && (
+          <button
+            className={`card-share-btn ${shareCopied ? 'active' : ''}`}
+            onClick={handleShare}
+            title={shareCopied ? 'Link copied' : 'Share this performance'}
+          >
+            {shareCopied ? '✓' : '📤'}
+          </button>
+        )}
+        {onToggleMyPlayer && (
+          <button
+            className={`star-btn ${isMyPlayer ? 'active' : ''}`}
+            onClick={() => onToggleMyPlayer(player.id)}
+            title={isMyPlayer ? 'Remove from My Players' : 'Add to My Players'}
+            aria-pressed={isMyPlayer}
+          >
+            {isMyPlayer ? '★' : '☆'}
+          </button>
+        )}
+        {onToggleNotify && (
+          <button
+            className={`notify-btn ${isNotified ? 'active' : ''}`}
+            onClick={() => onToggleNotify(player.id)}
+            title={isNotified ? 'Turn off notifications' : 'Notify me about goals, assists and lineups'}
+            aria-pressed={isNotified}
+          >
+            {isNotified ? '🔔' : '🔕'}
+          </button>
+        )}
       </div>
 
       {/* Today's match */}
@@ -271,7 +261,7 @@ function PlayerCard({ player, matchData, showLastGame = false }) {
                         {matchData.onBench ? 'Unused sub' : 'Not in squad'}
                       </span>
                     </div>
-                  : renderStatsStrip(matchData, 'today', true)
+                  : <StatsStrip data={matchData} source="today" isLive />
               )}
 
               {matchData.status === 'finished' && (
@@ -283,7 +273,7 @@ function PlayerCard({ player, matchData, showLastGame = false }) {
                     </div>
                   : matchData.minutesPlayed === 0 && matchData.started === false && !matchData.events?.some(e => e.type === 'sub_in')
                     ? <div className="stats-strip"><span className="badge badge-bench">Unused sub</span></div>
-                    : renderStatsStrip(matchData, 'today')
+                    : <StatsStrip data={matchData} source="today" />
               )}
 
               {renderStatsDrawer(canExpand)}
@@ -351,7 +341,7 @@ function PlayerCard({ player, matchData, showLastGame = false }) {
                 {lastGame.participated
                   ? lastGame.minutesPlayed === 0 && lastGame.started === false && !lastGame.events?.some(e => e.type === 'sub_in')
                     ? <div className="stats-strip"><span className="badge badge-bench">Unused sub</span></div>
-                    : renderStatsStrip(lastGame, 'lastGame')
+                    : <StatsStrip data={lastGame} source="lastGame" />
                   : <div className="stats-strip"><span className="badge badge-dnp">Did not play</span></div>
                 }
 
@@ -0,0 +1,250 @@
+import { useState, useEffect } from 'react'
+import { fetchPlayerProfile } from '../services/api'
+import { withListQuery, handleLinkClick } from '../services/router'
+import { NATION, getNationalities } from '../services/nation'
+import { useTimeZone } from '../services/timezone'
+import { getRatingColor } from '../services/ratings'
+import StatsStrip from './StatsStrip'
+import './PlayerPage.css'
+
+const MAX_CHART_MATCHES = 20
+
+const formatMatchDate = (dateStr, timeZone) => {
+  if (!dateStr) return ''
+  const date = new Date(dateStr)
+  const sameYear = date.getFullYear() === new Date().getFullYear()
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone, ...(sameYear ? {} : { year: 'numeric' }) })
+}
+
+const formatKickoff = (dateStr, timeZone) => {
+  if (!dateStr) return ''
+  const date = new Date(dateStr)
+  return `${date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone })} · ${date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone })}`
+}
+
+const getMatchDay = (dateStr) => dateStr ? new Date(dateStr).toISOString().split('T')[0] : null
+
+// Rating per match, oldest first, as a small SVG line chart
+function RatingChart({ matches }) {
+  const timeZone = useTimeZone()
+  const rated = matches
+    .filter(m => m.participated && m.rating && !isNaN(parseFloat(m.rating)))
+    .slice(0, MAX_CHART_MATCHES)
+    .reverse()
+
+  if (rated.length < 2) {
+    return <p className="player-page-empty">Not enough rated matches for a trend yet</p>
+  }
+
+  const width = 600
+  const height = 160
+  const pad = { top: 12, right: 16, bottom: 12, left: 28 }
+  const minRating = 5
+  const maxRating = 10
+  const x = (i) => pad.left + (i * (width - pad.left - pad.right)) / (rated.length - 1)
+  const y = (rating) => {
+    const clamped = Math.min(maxRating, Math.max(minRating, parseFloat(rating)))
+    return pad.top + ((maxRating - clamped) * (height - pad.top - pad.bottom)) / (maxRating - minRating)
+  }
+  const points = rated.map((m, i) => `${x(i)},${y(m.rating)}`).join(' ')
+  const average = rated.reduce((sum, m) => sum + parseFloat(m.rating), 0) / rated.length
+
+  return (
+    <div className="rating-chart">
+      <svg viewBox={`0 0 ${width} ${height}`} role="img"
+        aria-label={`Ratings over the last ${rated.length} matches, average ${average.toFixed(2)}`}>
+        {[6, 7, 8, 9].map(r => (
+          <g key={r}>
+            <line className="rating-chart-grid" x1={pad.left} x2={width - pad.right} y1={y(r)} y2={y(r)} />
+            <text className="rating-chart-label" x={pad.left - 6} y={y(r) + 4} textAnchor="end">{r}</text>
+          </g>
+        ))}
+        <line className="rating-chart-average" x1={pad.left} x2={width - pad.right} y1={y(average)} y2={y(average)} />
+        <polyline className="rating-chart-line" points={points} />
+        {rated.map((m, i) => (
+          <circle key={`${m.date}-${i}`} cx={x(i)} cy={y(m.rating)} r="5" fill={getRatingColor(m.rating)}>
+            <title>{`${formatMatchDate(m.date, timeZone)} ${m.homeTeam} ${m.homeScore}-${m.awayScore} ${m.awayTeam}: ${m.rating}`}</title>
+          </circle>
+        ))}
+      </svg>
+      <div className="rating-chart-caption">
+        Last {rated.length} rated matches · average {average.toFixed(2)}
+      </div>
+    </div>
+  )
+}
+
+function MatchRow({ match }) {
+  const timeZone = useTimeZone()
+  const fixtureId = match.fixtureId || match.fixtureIds?.[0] || null
+  const score = `${match.homeScore ?? '-'} : ${match.awayScore ?? '-'}`
+  const isUnusedSub = match.participated && match.minutesPlayed === 0 && match.started === false &&
+    !match.events?.some(e => e.type === 'sub_in')
+
+  return (
+    <li className="match-log-row">
+      <div className="match-log-meta">
+        <span>{formatMatchDate(match.date, timeZone)}</span>
+        {match.competition && <span className="match-log-competition">{match.competition}</span>}
+        {match.status === 'live' && <span className="match-log-live">LIVE</span>}
+      </div>
+      <div className="match-log-teams">
+        <span className={match.isHome ? 'highlight' : ''}>{match.homeTeam}</span>
+        {fixtureId ? (
+          <a className="match-log-score" href={`https://www.fotmob.com/match/${fixtureId}`}
+            target="_blank" rel="noopener noreferrer">{score}</a>
+        ) : (
+          <span className="match-log-score">{score}</span>
+        )}
+        <span className={match.isHome === false ? 'highlight' : ''}>{match.awayTeam}</span>
+        {match.participated && match.rating && (
+          <span className="match-log-rating" style={{ background: getRatingColor(match.rating) }}>{match.rating}</span>
+        )}
+      </div>
+      {match.participated
+        ? isUnusedSub
+          ? <div className="stats-strip"><span className="badge badge-bench">Unused sub</span></div>
+          : <StatsStrip data={match} source={match.status === 'live' ? 'today' : 'lastGame'} isLive={match.status === 'live'} />
+        : <div className="stats-strip">
+            <span className={`badge ${match.onBench ? 'badge-bench' : 'badge-dnp'}`}>
+              {match.onBench ? 'Unused sub' : 'Did not play'}
+            </span>
+          </div>
+      }
+    </li>
+  )
+}
+
+function PlayerPage({ player, matchData, hasApi, isMyPlayer = false, onToggleMyPlayer }) {
+  const [profile, setProfile] = useState(null)
+  const [isLoading, setIsLoading] = useState(hasApi)
+  const [error, setError] = useState(null)
+  const timeZone = useTimeZone()
+
+  useEffect(() => {
+    if (!hasApi) return
+    let cancelled = false
+    fetchPlayerProfile(player.id)
+      .then(data => { if (!cancelled) setProfile(data) })
+      .catch(err => { if (!cancelled) setError(err.message) })
+      .finally(() => { if (!cancelled) setIsLoading(false) })
+    return () => { cancelled = true }
+  }, [player.id, hasApi])
+
+  // Stored matches from the API, falling back to the card's last game when offline.
+  // Today's live/finished match is added on top if the log doesn't have it yet.
+  const storedMatches = profile?.matches || (matchData?.lastGame ? [matchData.lastGame] : [])
+  const todayMatch = (matchData?.status === 'live' || matchData?.status === 'finished') ?
+    { ...matchData, date: matchData.kickoff || matchData.date } : null
+  const matches = todayMatch && !storedMatches.some(m => getMatchDay(m.date) === getMatchDay(todayMatch.date))
+    ? [todayMatch, ...storedMatches]
+    : storedMatches
+  const nextFixtures = profile?.nextFixtures ||
+    (matchData?.nextGame ? [matchData.nextGame] : [])
+
+  const played = matches.filter(m => m.participated)
+  const totals = {
+    apps: played.length,
+    goals: played.reduce((sum, m) => sum + (m.goals ?? m.events?.filter(e => e.type === 'goal').length ?? 0), 0),
+    assists: played.reduce((sum, m) => sum + (m.assists ?? m.events?.filter(e => e.type === 'assist').length ?? 0), 0),
+    minutes: played.reduce((sum, m) => sum + (m.minutesPlayed || 0), 0)
+  }
+  // Only worth showing for dual nationals or players tracked for another nation
+  const nationalities = getNationalities(player)
+  const showNationality = nationalities.length > 1 || nationalities[0].code !== NATION.code
+
+  return (
+    <div className="player-page">
+      <a className="player-page-back" href={withListQuery('/')} onClick={(e) => handleLinkClick(e, withListQuery('/'))}>← All players</a>
+
+      <section className="player-page-bio">
+        {player.image ? (
+          <img src={player.image} alt={player.name} className="player-page-photo" />
+        ) : (
+          <div className="player-page-photo player-page-initials">
+            {player.name.split(' ').map(n => n[0]).join('')}
+          </div>
+        )}
+        <div className="player-page-identity">
+          <h2>
+            {player.name}
+            {onToggleMyPlayer && (
+              <button
+                className={`star-btn ${isMyPlayer ? 'active' : ''}`}
+                onClick={() => onToggleMyPlayer(player.id)}
+                title={isMyPlayer ? 'Remove from My Players' : 'Add to My Players'}
+                aria-pressed={isMyPlayer}
+              >
+                {isMyPlayer ? '★' : '☆'}
+              </button>
+            )}
+          </h2>
+          <p className="player-page-club">{player.team} · {player.league}</p>
+          <dl className="player-page-facts">
+            {player.position && <><dt>Position</dt><dd>{player.position}</dd></>}
+            {player.number && <><dt>Number</dt><dd>{player.number}</dd></>}
+            {player.age && <><dt>Age</dt><dd>{player.age}</dd></>}
+            {showNationality && (
+              <><dt>Nationality</dt><dd>{nationalities.map(n => `${n.flag} ${n.name}`).join(' / ')}</dd></>
+            )}
+            {player.caps !== undefined && <><dt>{NATION.nationalTeam} caps</dt><dd>{player.caps}</dd></>}
+          </dl>
+          {player.fotmobId && (
+            <a className="player-page-external" href={`https://www.fotmob.com/players/${player.fotmobId}`}
+              target="_blank" rel="noopener noreferrer">FotMob profile ↗</a>
+          )}
+        </div>
+      </section>
+
+      {isLoading && (
+        <div className="loading">
+          <div className="loading-spinner"></div>
+          <p>Loading matches...</p>
+        </div>
+      )}
+      {error && <p className="player-page-empty">Couldn't load the full match log ({error}) - showing cached data</p>}
+
+      <section className="player-page-section">
+        <h3 className="section-header upcoming-header">Next Fixtures</h3>
+        {nextFixtures.length > 0 ? (
+          <ul className="fixture-list">
+            {nextFixtures.map(f => (
+              <li key={f.fixtureId || f.kickoff} className="fixture-row">
+                <span className="fixture-opponent">
+                  {f.isHome ? 'vs' : 'at'} {f.isHome ? f.awayTeam : f.homeTeam}
+                </span>
+                <span className="fixture-when">{formatKickoff(f.kickoff, timeZone)}</span>
+                {f.competition && <span className="fixture-competition">{f.competition}</span>}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="player-page-empty">No upcoming fixtures known</p>
+        )}
+      </section>
+
+      <section className="player-page-section">
+        <h3 className="section-header recent-header">Rating Trend</h3>
+        <RatingChart matches={matches} />
+      </section>
+
+      <section className="player-page-section">
+        <h3 className="section-header finished-header">Match Log</h3>
+        {played.length > 0 && (
+          <p className="player-page-totals">
+            {totals.apps} apps · {totals.goals} goals · {totals.assists} assists · {totals.minutes}' played
+          </p>
+        )}
+        {matches.length > 0 ? (
+          <ul className="match-log">
+            {matches.map((m, i) => <MatchRow key={`${m.date}-${i}`} match={m} />)}
+          </ul>
+        ) : (
+          !isLoading && <p className="player-page-empty">No stored matches yet</p>
+        )}
+      </section>
+    </div>
+  )
+}
+
+export default PlayerPage
@@ -0,0 +1,225 @@
+import { useState, useEffect, useMemo } from 'react'
+import { fetchFixtures } from '../services/api'
+import { getPlayerPath, withListQuery, handleLinkClick } from '../services/router'
+import { useTimeZone, getLocalDate, startOfLocalDay } from '../services/timezone'
+import './WeekView.css'
+
+const DAYS_PER_WEEK = 7
+
+// Day keys are calendar days in the viewer's timezone, e.g. "2025-03-08"
+const addDays = (dayKey, days) => {
+  const date = new Date(`${dayKey}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() + days)
+  return date.toISOString().split('T')[0]
+}
+
+// The week weekOffset weeks from today: its day keys and the instants it starts and ends
+const getWeek = (weekOffset, timeZone) => {
+  const first = addDays(getLocalDate(new Date(), timeZone), weekOffset * DAYS_PER_WEEK)
+  const days = Array.from({ length: DAYS_PER_WEEK }, (_, i) => addDays(first, i))
+  return {
+    days,
+    start: startOfLocalDay(first, timeZone).getTime(),
+    end: startOfLocalDay(addDays(first, DAYS_PER_WEEK), timeZone).getTime()
+  }
+}
+
+// A day key as a date (formatted in UTC, where the key's midnight is)
+const formatDayKey = (dayKey, options) => new Date(`${dayKey}T00:00:00Z`).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' })
+
+const formatDay = (dayKey, timeZone) => {
+  const today = getLocalDate(new Date(), timeZone)
+  if (dayKey === today) return 'Today'
+  if (dayKey === addDays(today, 1)) return 'Tomorrow'
+  return formatDayKey(dayKey, { weekday: 'long' })
+}
+
+const formatTime = (date, timeZone) => new Date(date).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone })
+
+const formatRange = (dayKeys) => {
+  const options = { month: 'short', day: 'numeric' }
+  return `${formatDayKey(dayKeys[0], options)} - ${formatDayKey(dayKeys[dayKeys.length - 1], options)}`
+}
+
+// Fixtures from the cached match data when the API isn't available: today's upcoming
+// matches and each player's next game, merged so teammates share one fixture
+const getCachedFixtures = (players, matchData) => {
+  const fixtures = new Map()
+  for (const player of players) {
+    const data = matchData[player.id]
+    const games = [
+      data?.status === 'upcoming' ? data : null,
+      data?.nextGame
+    ].filter(game => game?.kickoff)
+    for (const game of games) {
+      const key = game.fixtureId || `${game.kickoff}-${game.homeTeam}-${game.awayTeam}`
+      if (!fixtures.has(key)) {
+        fixtures.set(key, {
+          id: key,
+          kickoff: game.kickoff,
+          homeTeam: game.homeTeam,
+          awayTeam: game.awayTeam,
+          competition: game.competition || '',
+          players: []
+        })
+      }
+      const fixture = fixtures.get(key)
+      if (!fixture.players.some(p => p.id === player.id)) {
+        fixture.players.push({ ...player, isHome: game.isHome })
+      }
+    }
+  }
+  return [...fixtures.values()]
+}
+
+function FixtureCard({ fixture }) {
+  return (
+    <div className="week-fixture">
+      <div className="week-fixture-teams">
+        {fixture.homeTeam} <span className="week-fixture-vs">vs</span> {fixture.awayTeam}
+      </div>
+      {fixture.competition && <div className="week-fixture-competition">{fixture.competition}</div>}
+      <ul className="week-fixture-players">
+        {fixture.players.map(player => (
+          <li key={player.id}>
+            <a
+              href={getPlayerPath(player)}
+              onClick={(e) => handleLinkClick(e, withListQuery(getPlayerPath(player)))}
+              className="week-player"
+            >
+              {player.image ? (
+                <img src={player.image} alt="" className="week-player-photo" />
+              ) : (
+                <span className="week-player-photo week-player-initials">
+                  {player.name.split(' ').map(n => n[0]).join('')}
+                </span>
+              )}
+              <span className="week-player-name">{player.name}</span>
+              {player.position && <span className="week-player-position">{player.position}</span>}
+            </a>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+// Every tracked player's upcoming fixtures for a week, by day and kickoff time
+// in the viewer's timezone preference. `players` is the league/search-filtered list.
+function WeekView({ players, matchData, hasApi }) {
+  const [weekOffset, setWeekOffset] = useState(0)
+  const [result, setResult] = useState(null) // { weekKey, fixtures } or { weekKey, error }
+
+  const timeZone = useTimeZone()
+  const { days: weekDays, start: weekStartTime, end: weekEndTime } = getWeek(weekOffset, timeZone)
+  const weekKey = `${weekStartTime}-${weekEndTime}`
+
+  useEffect(() => {
+    if (!hasApi) return
+    let cancelled = false
+    fetchFixtures(new Date(weekStartTime), new Date(weekEndTime))
+      .then(data => { if (!cancelled) setResult({ weekKey, fixtures: data.fixtures }) })
+      .catch(err => { if (!cancelled) setResult({ weekKey, error: err.message }) })
+    return () => { cancelled = true }
+  }, [weekKey, weekStartTime, weekEndTime, hasApi])
+
+  const current = result?.weekKey === weekKey ? result : null
+  const isLoading = hasApi && !current
+  const useCache = !hasApi || !!current?.error
+
+  // Fixtures grouped by day, then kickoff time, limited to the players being shown
+  const days = useMemo(() => {
+    const ids = new Set(players.map(p => p.id))
+    const source = useCache ? getCachedFixtures(players, matchData) : (current?.fixtures || [])
+    const fixtures = source
+      .map(f => ({ ...f, players: f.players.filter(p => ids.has(p.id)) }))
+      .filter(f => f.players.length > 0)
+      .filter(f => {
+        const kickoff = new Date(f.kickoff).getTime()
+        return kickoff >= weekStartTime && kickoff < weekEndTime
+      })
+      .sort((a, b) => new Date(a.kickoff) - new Date(b.kickoff))
+
+    return Array.from({ length: DAYS_PER_WEEK }, (_, i) => {
+      const dayKey = addDays(getLocalDate(weekStartTime, timeZone), i)
+      const slots = []
+      for (const fixture of fixtures.filter(f => getLocalDate(f.kickoff, timeZone) === dayKey)) {
+        const time = formatTime(fixture.kickoff, timeZone)
+        const slot = slots.find(s => s.time === time)
+        if (slot) {
+          slot.fixtures.push(fixture)
+        } else {
+          slots.push({ time, fixtures: [fixture] })
+        }
+      }
+      return { dayKey, slots }
+    })
+  }, [players, matchData, current, useCache, weekStartTime, weekEndTime, timeZone])
+
+  const fixtureCount = days.reduce((sum, day) => sum + day.slots.reduce((n, s) => n + s.fixtures.length, 0), 0)
+
+  return (
+    <div className="week-view">
+      <div className="week-nav">
+        <button
+          className="week-nav-btn"
+          onClick={() => setWeekOffset(weekOffset - 1)}
+          disabled={weekOffset === 0}
+          aria-label="Previous week"
+        >
+          ‹
+        </button>
+        <div className="week-nav-title">
+          <strong>{weekOffset === 0 ? 'Next 7 days' : formatRange(weekDays)}</strong>
+          <span className="week-nav-subtitle">
+            {weekOffset === 0 && `${formatRange(weekDays)} · `}
+            {fixtureCount} {fixtureCount === 1 ? 'match' : 'matches'} · times in {timeZone}
+          </span>
+        </div>
+        <button
+          className="week-nav-btn"
+          onClick={() => setWeekOffset(weekOffset + 1)}
+          aria-label="Next week"
+        >
+          ›
+        </button>
+      </div>
+
+      {current?.error && (
+        <p className="week-empty">Couldn't load fixtures ({current.error}) - showing each player's next game</p>
+      )}
+
+      {isLoading ? (
+        <div className="loading">
+          <div className="loading-spinner"></div>
+          <p>Loading fixtures...</p>
+        </div>
+      ) : (
+        days.map(day => (
+          <section key={day.dayKey} className="week-day">
+            <h2 className="section-header upcoming-header week-day-header">
+              {formatDay(day.dayKey, timeZone)}
+              <span className="week-day-date">
+                {formatDayKey(day.dayKey, { month: 'short', day: 'numeric' })}
+              </span>
+            </h2>
+            {day.slots.length === 0 ? (
+              <p className="week-empty">No games</p>
+            ) : (
+              day.slots.map(slot => (
+                <div key={slot.time} className="week-slot">
+                  <div className="week-slot-time">{slot.time}</div>
+                  <div className="week-slot-fixtures">
+                    {slot.fixtures.map(fixture => <FixtureCard key={fixture.id} fixture={fixture} />)}
+                  </div>
+                </div>
+              ))
+            )}
+          </section>
+        ))
+      )}
+    </div>
+  )
+}
+
+export default WeekView
@@ -1,5 +1,7 @@
 // API Service for Americans Abroad frontend
 
+import { NATION } from './nation'
+
 const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001/api'
 
 export async function fetchPlayers() {
@@ -14,14 +16,17 @@ export async function fetchLeagues() {
   return response.json()
 }
 
-export async function fetchMatches() {
-  const response = await fetch(`${API_BASE}/matches`)
+// Today's matches - pass the viewer's timezone so "today" is their calendar day
+const tzQuery = timeZone => timeZone ? `?${new URLSearchParams({ tz: timeZone })}` : ''
+
+export async function fetchMatches(timeZone) {
+  const response = await fetch(`${API_BASE}/matches${tzQuery(timeZone)}`)
   if (!response.ok) throw new Error('Failed to fetch matches')
   return response.json()
 }
 
-export async function fetchPlayerMatch(playerId) {
-  const response = await fetch(`${API_BASE}/matches/${playerId}`)
+export async function fetchPlayerMatch(playerId, timeZone) {
+  const response = await fetch(`${API_BASE}/matches/${playerId}${tzQuery(timeZone)}`)
   if (!response.ok) throw new Error('Failed to fetch player match')
   return response.json()
 }
@@ -46,8 +51,108 @@ export async function fetchHealth() {
   return response.json()
 }
 
+// Bio, every stored match and the next fixtures for the player page
+export async function fetchPlayerProfile(playerId) {
+  const response = await fetch(`${API_BASE}/players/${playerId}/profile`)
+  if (!response.ok) throw new Error('Failed to fetch player profile')
+  return response.json()
+}
+
+// Fixtures kicking off between two timestamps, with the tracked players in each
+export async function fetchFixtures(from, to) {
+  const params = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() })
+  const response = await fetch(`${API_BASE}/fixtures?${params}`)
+  if (!response.ok) throw new Error('Failed to fetch fixtures')
+  return response.json()
+}
+
+// Players ranked by a stat over the season or the last 30 days
+export async function fetchLeaderboard({ stat, period, league, limit }) {
+  const params = new URLSearchParams({ stat, period })
+  if (league && league !== 'all') params.set('league', league)
+  if (limit) params.set('limit', limit)
+  const response = await fetch(`${API_BASE}/leaderboards?${params}`)
+  if (!response.ok) throw new Error('Failed to fetch leaderboard')
+  return response.json()
+}
+
+export async function fetchDepthChart() {
+  const response = await fetch(`${API_BASE}/depth-chart`)
+  if (!response.ok) throw new Error('Failed to fetch depth chart')
+  return response.json()
+}
+
+export async function fetchMatchups(timeZone) {
+  const response = await fetch(`${API_BASE}/matchups${tzQuery(timeZone)}`)
+  if (!response.ok) throw new Error('Failed to fetch matchups')
+  return response.json()
+}
+
 export async function fetchPlayerMatchStats(playerId, fixtureId) {
   const response = await fetch(`${API_BASE}/player/${playerId}/match-stats?fixtureId=${fixtureId}`)
   if (!response.ok) throw new Error('Failed to fetch player match stats')
   return response.json()
 }
+
+// Shareable link for a player's match - the page has link-preview tags for the share card image
+export function getShareUrl(playerId, fixtureId) {
+  return `${API_BASE}/share/${playerId}/${fixtureId}`
+}
+
+// ── Push notifications ───────────────────────────────────────────────────────
+
+export function isPushSupported() {
+  return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window
+}
+
+// VAPID keys are base64url; PushManager wants the raw bytes
+function urlBase64ToUint8Array(base64String) {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4)
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/')
+  const raw = atob(base64)
+  return Uint8Array.from(raw, c => c.charCodeAt(0))
+}
+
+async function getPushSubscription() {
+  // The worker is static, so it gets the site name (its fallback notification title) from its URL
+  const registration = await navigator.serviceWorker.register(`/sw.js?site=${encodeURIComponent(NATION.siteName)}`)
+  await navigator.serviceWorker.ready
+  const existing = await registration.pushManager.getSubscription()
+  if (existing) return existing
+
+  const response = await fetch(`${API_BASE}/push/vapid-public-key`)
+  if (!response.ok) throw new Error('Failed to fetch push key')
+  const { publicKey } = await response.json()
+  return registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(publicKey)
+  })
+}
+
+// Subscribe this browser to notifications for the given players (replaces the previous list).
+// An empty list unsubscribes.
+export async function updatePushSubscription(playerIds) {
+  if (playerIds.length === 0) {
+    const registration = await navigator.serviceWorker.getRegistration('/sw.js')
+    const subscription = await registration?.pushManager.getSubscription()
+    if (!subscription) return
+    await fetch(`${API_BASE}/push/unsubscribe`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ endpoint: subscription.endpoint })
+    })
+    await subscription.unsubscribe()
+    return
+  }
+
+  const permission = await Notification.requestPermission()
+  if (permission !== 'granted') throw new Error('Notification permission denied')
+
+  const subscription = await getPushSubscription()
+  const response = await fetch(`${API_BASE}/push/subscribe`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ subscription: subscription.toJSON(), players: playerIds })
+  })
+  if (!response.ok) throw new Error('Failed to save push subscription')
+}
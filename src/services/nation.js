@@ -0,0 +1,32 @@
+// Tracked nation for this build (VITE_NATION, default 'us'): name, flag, branding and roster.
+// Read from the backend's data/nations.json, so both sides share one config.
+
+import nations from '../../backend/data/nations.json'
+
+const NATION_ID = (import.meta.env.VITE_NATION || 'us').toLowerCase()
+
+// Unknown ids fail like the backend's loadNation, rather than shipping another nation's branding
+if (!nations[NATION_ID]) {
+  throw new Error(`Unknown VITE_NATION "${NATION_ID}" (expected one of ${Object.keys(nations).join(', ')})`)
+}
+
+export const NATION = nations[NATION_ID]
+
+// "MX" -> "🇲🇽" (a flag is the code's two regional indicator symbols)
+export function getFlag(code) {
+  return code.toUpperCase().replace(/[A-Z]/g, c => String.fromCodePoint(0x1F1A5 + c.charCodeAt(0)))
+}
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' })
+
+// "MX" -> "Mexico"
+export function getCountryName(code) {
+  return code === NATION.code ? NATION.name : regionNames.of(code.toUpperCase())
+}
+
+// A player's nationalities, tracked nation first when unset: [{ code, flag, name }]
+export function getNationalities(player) {
+  return [player.nationality || NATION.code, player.dualNationality]
+    .filter(Boolean)
+    .map(code => ({ code, flag: getFlag(code), name: getCountryName(code) }))
+}
@@ -0,0 +1,25 @@
+// Match rating scale shared by the player cards, matchup cards and player page
+// (the .rating-* classes are defined in PlayerCard.css with the same colors)
+
+const RATING_SCALE = [
+  { min: 8, className: 'rating-dark-green', color: '#2e7d32' },
+  { min: 7, className: 'rating-light-green', color: '#66bb6a' },
+  { min: 6, className: 'rating-yellow', color: '#f9a825' },
+  { min: -Infinity, className: 'rating-red', color: '#e53935' }
+]
+
+const getRatingStep = (rating) => {
+  const r = parseFloat(rating)
+  if (isNaN(r)) return null
+  return RATING_SCALE.find(step => r >= step.min)
+}
+
+// CSS class for a rating pill, e.g. 'rating-light-green' for 7.2 ('' without a rating)
+export function getRatingClass(rating) {
+  return getRatingStep(rating)?.className || ''
+}
+
+// Fill color for a rating (chart points, inline pills), or null without a rating
+export function getRatingColor(rating) {
+  return getRatingStep(rating)?.color || null
+}
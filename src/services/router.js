@@ -0,0 +1,103 @@
+// Client-side routing on top of the History API (no router dependency)
+// Routes: / (player list) and /player/:id-slug (player page)
+// List state lives in the query string on every route: ?filter=recent&league=serie_a&q=pulisic
+
+import { useState, useEffect } from 'react'
+
+// "Christian Pulisic" -> "christian-pulisic"
+export function slugify(name) {
+  return (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+}
+
+export function getPlayerPath(player) {
+  return `/player/${player.id}-${slugify(player.name)}`
+}
+
+// Player id from /player/16-ricardo-pepi (the slug is only for readability), or null
+export function parsePlayerPath(pathname) {
+  const match = pathname.match(/^\/player\/(\d+)(?:-[^/]*)?\/?$/)
+  return match ? parseInt(match[1]) : null
+}
+
+// Query param per piece of list state, and the value that's left out of the URL
+const LIST_PARAMS = {
+  filter: { param: 'filter', fallback: 'today' },
+  league: { param: 'league', fallback: 'all' },
+  search: { param: 'q', fallback: '' }
+}
+
+// { filter, league, search } from a query string, falling back to the defaults
+export function parseListState(search) {
+  const params = new URLSearchParams(search)
+  const state = {}
+  for (const [key, { param, fallback }] of Object.entries(LIST_PARAMS)) {
+    state[key] = params.get(param) || fallback
+  }
+  return state
+}
+
+// Query string for list state, keeping unrelated params; defaults are omitted so "/" stays clean
+export function getListQuery(state, search = window.location.search) {
+  const params = new URLSearchParams(search)
+  for (const [key, { param, fallback }] of Object.entries(LIST_PARAMS)) {
+    const value = state[key] ?? fallback
+    if (value && value !== fallback) {
+      params.set(param, value)
+    } else {
+      params.delete(param)
+    }
+  }
+  const query = params.toString()
+  return query ? `?${query}` : ''
+}
+
+// An in-app path carrying the current list state, e.g. the player page's back link
+export function withListQuery(path) {
+  return `${path}${getListQuery(parseListState(window.location.search), '')}`
+}
+
+// Apply saved list state when the URL doesn't carry any (first load only), so the
+// history entry the app opened on is complete and back/forward restore it as-is
+export function restoreListState(saved) {
+  const params = new URLSearchParams(window.location.search)
+  if (Object.values(LIST_PARAMS).some(({ param }) => params.has(param))) return
+  const query = getListQuery(saved)
+  window.history.replaceState(null, '', `${window.location.pathname}${query}${window.location.hash}`)
+}
+
+export function navigate(path, { replace = false } = {}) {
+  if (path === `${window.location.pathname}${window.location.search}`) return
+  if (replace) {
+    window.history.replaceState(null, '', path)
+  } else {
+    window.history.pushState(null, '', path)
+  }
+  window.dispatchEvent(new PopStateEvent('popstate'))
+}
+
+// Follow an in-app link without reloading (modified clicks still open a new tab)
+export function handleLinkClick(event, path) {
+  if (event.defaultPrevented || event.button !== 0 ||
+      event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return
+  event.preventDefault()
+  navigate(path)
+  window.scrollTo(0, 0)
+}
+
+const readLocation = () => ({ pathname: window.location.pathname, search: window.location.search })
+
+// Current pathname and query string, updated on back/forward and navigate()
+export function useLocation() {
+  const [location, setLocation] = useState(readLocation)
+  useEffect(() => {
+    const onPopState = () => setLocation(readLocation())
+    window.addEventListener('popstate', onPopState)
+    return () => window.removeEventListener('popstate', onPopState)
+  }, [])
+  return location
+}
@@ -0,0 +1,88 @@
+// Viewer's timezone preference, stored in this browser. It decides what "today" is, how
+// kickoff times are shown and which matchday the API returns (?tz=). Defaults to the
+// tracked nation's timezone.
+
+import { useEffect, useState } from 'react'
+import { NATION } from './nation'
+
+const STORAGE_KEY = 'americansAbroad_timezone'
+const CHANGE_EVENT = 'timezonechange'
+
+export const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone
+
+// Zones offered in the picker (the browser's and the saved one are added when missing)
+export const TIME_ZONE_CHOICES = [
+  { value: 'America/Los_Angeles', label: 'Pacific (Los Angeles)' },
+  { value: 'America/Denver', label: 'Mountain (Denver)' },
+  { value: 'America/Chicago', label: 'Central (Chicago)' },
+  { value: 'America/New_York', label: 'Eastern (New York)' },
+  { value: 'America/Toronto', label: 'Eastern (Toronto)' },
+  { value: 'America/Mexico_City', label: 'Mexico City' },
+  { value: 'Europe/London', label: 'London' },
+  { value: 'Europe/Paris', label: 'Central Europe (Paris)' },
+  { value: 'Europe/Athens', label: 'Eastern Europe (Athens)' },
+  { value: 'Asia/Tokyo', label: 'Tokyo' },
+  { value: 'Australia/Sydney', label: 'Sydney' },
+  { value: 'UTC', label: 'UTC' }
+]
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+export function getTimeZone() {
+  const stored = localStorage.getItem(STORAGE_KEY)
+  return isValidTimeZone(stored) ? stored : NATION.timezone
+}
+
+export function setTimeZone(timeZone) {
+  localStorage.setItem(STORAGE_KEY, timeZone)
+  window.dispatchEvent(new Event(CHANGE_EVENT))
+}
+
+// Current timezone preference, re-rendering when it changes
+export function useTimeZone() {
+  const [timeZone, setState] = useState(getTimeZone)
+  useEffect(() => {
+    const onChange = () => setState(getTimeZone())
+    window.addEventListener(CHANGE_EVENT, onChange)
+    return () => window.removeEventListener(CHANGE_EVENT, onChange)
+  }, [])
+  return timeZone
+}
+
+// Calendar day of `date` in `timeZone`, e.g. "2025-03-08"
+export function getLocalDate(date, timeZone) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone })
+}
+
+// Days from today to `date`'s calendar day in `timeZone` (0 today, 1 tomorrow, -1 yesterday)
+export function getDaysFromToday(date, timeZone) {
+  const toUtcDay = day => Date.parse(`${getLocalDate(day, timeZone)}T00:00:00Z`)
+  return Math.round((toUtcDay(date) - toUtcDay(new Date())) / (24 * 60 * 60 * 1000))
+}
+
+// Minutes `timeZone` is ahead of UTC at `date`
+function getOffsetMinutes(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(date).map(p => [p.type, p.value]))
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000)
+}
+
+// The instant a YYYY-MM-DD day starts in `timeZone`
+export function startOfLocalDay(day, timeZone) {
+  const midnightUtc = new Date(`${day}T00:00:00Z`)
+  const guess = new Date(midnightUtc.getTime() - getOffsetMinutes(midnightUtc, timeZone) * 60000)
+  return new Date(midnightUtc.getTime() - getOffsetMinutes(guess, timeZone) * 60000)
+}
@@ -1,8 +1,54 @@
-import { defineConfig } from 'vite'
+import { readFileSync } from 'fs'
+import { fileURLToPath } from 'url'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const escapeHtml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// The build's nation (VITE_NATION in backend/data/nations.json, default 'us')
+function loadNation(env) {
+  const nations = JSON.parse(readFileSync(new URL('./backend/data/nations.json', import.meta.url), 'utf-8'))
+  const id = (env.VITE_NATION || 'us').toLowerCase()
+  const nation = nations[id]
+  if (!nation) {
+    throw new Error(`Unknown VITE_NATION "${id}" (expected one of ${Object.keys(nations).join(', ')})`)
+  }
+  return nation
+}
+
+// Fills the %NATION_*% placeholders in index.html from the tracked nation's branding
+// (VITE_SITE_URL overrides its siteUrl)
+function nationBranding(nation, env) {
+  const values = {
+    NAME: nation.name,
+    NATIONAL_TEAM: nation.nationalTeam,
+    SITE_NAME: nation.siteName,
+    SITE_URL: (env.VITE_SITE_URL || nation.siteUrl || '').replace(/\/$/, ''),
+    TITLE: nation.title,
+    DESCRIPTION: nation.description,
+    KEYWORDS: nation.keywords
+  }
+  return {
+    name: 'nation-branding',
+    transformIndexHtml: html => html.replace(/%NATION_(\w+)%/g, (placeholder, key) =>
+      key in values ? escapeHtml(values[key]) : placeholder)
+  }
+}
+
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-  base: '/',
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, '.')
+  const nation = loadNation(env)
+  return {
+    plugins: [react(), nationBranding(nation, env)],
+    resolve: {
+      // The nation's seed roster, so a build bundles only its own
+      alias: { '@nation-roster': fileURLToPath(new URL(`./backend/data/${nation.roster}`, import.meta.url)) }
+    },
+    base: '/',
+  }
 })